@@ -0,0 +1,12 @@
+// Library entry point of Omega-Red-Cappa-Edition (the CLI is src/omega-red-cappa-edition.mjs)
+export { createScraper } from './lib/scraper.js';
+export { createTokenProvider, GRANT_TYPES } from './lib/tokenProvider.js';
+export { createAuthorCache } from './lib/authorCache.js';
+export { createThreadStore } from './lib/threadStore.js';
+export { openJournal } from './lib/checkpoint.js';
+export { describeJob, jobKey, jobSource } from './lib/groupConfig.js';
+export { buildThreadObject, buildCommentTree } from './lib/commentTree.js';
+export { createCsvAppender, exportGroupToMarkdown, THREAD_CSV_HEADER, COMMENT_CSV_HEADER } from './lib/export.js';
+export { createNdjsonWriter, toNdjsonRecord } from './lib/ndjsonWriter.js';
+export { openExporters, registerExporter, loadExporters, exporterNames, EXPORT_FORMATS } from './lib/exporters.js';
+export { validateConfig } from './lib/validateConfig.js';
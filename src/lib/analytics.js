@@ -0,0 +1,206 @@
+import fs from 'fs/promises';
+import natural from 'natural';
+import { createNormalizer } from './normalizeText.js';
+import { mdEscape } from './helpers.js';
+
+// Text analytics report for Omega-Red-Cappa-Edition.
+// Posts (the objects of the JSON export, with their comment tree) are fed one
+// at a time to an analyzer that only keeps counters, so a report can be built
+// during a scrape, from a JSON export or from an NDJSON file of any size.
+
+const TOP_TERMS = 25;
+const TOP_AUTHORS = 20;
+
+// Texte d'origine quand il est exporté, sans URL, mentions, emojis ni mots vides
+const analyzeNormalize = createNormalizer({ stopwords: true, stripUrls: true, stripMentions: true, emoji: 'strip' });
+const WORD = /\p{L}/u;
+
+function tokens(text, lang) {
+  return analyzeNormalize(text, lang).split(' ').filter(token => token.length > 1 && WORD.test(token));
+}
+
+function increment(map, key, by = 1) {
+  map.set(key, (map.get(key) || 0) + by);
+}
+
+function top(map, n, name) {
+  return [...map.entries()]
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .slice(0, n)
+    .map(([key, count]) => ({ [name]: key, count }));
+}
+
+function day(ts) {
+  return ts ? new Date(ts * 1000).toISOString().slice(0, 10) : null;
+}
+
+export function createAnalyzer(meta) {
+  const subreddits = new Map();
+  const authors = new Map();
+  const volume = new Map();
+  const depths = new Map();
+  const seen = new Set();
+  let totalThreads = 0;
+  let totalComments = 0;
+
+  function subredditStats(name) {
+    if (!subreddits.has(name)) {
+      subreddits.set(name, { threads: 0, comments: 0, terms: new Map(), bigrams: new Map() });
+    }
+    return subreddits.get(name);
+  }
+
+  function authorStats(username) {
+    if (!authors.has(username)) authors.set(username, { threads: 0, comments: 0, score: 0 });
+    return authors.get(username);
+  }
+
+  function countDay(ts, field) {
+    const date = day(ts);
+    if (!date) return;
+    if (!volume.has(date)) volume.set(date, { threads: 0, comments: 0 });
+    volume.get(date)[field]++;
+  }
+
+  function addText(stats, text, lang) {
+    const words = tokens(text, lang);
+    words.forEach(word => increment(stats.terms, word));
+    natural.NGrams.bigrams(words).forEach(pair => increment(stats.bigrams, pair.join(' ')));
+  }
+
+  function addComments(stats, comments) {
+    for (const c of comments || []) {
+      totalComments++;
+      stats.comments++;
+      increment(depths, c.depth || 0);
+      countDay(c.created_utc, 'comments');
+      const username = c.author?.username;
+      if (username && username !== '[deleted]') {
+        const author = authorStats(username);
+        author.comments++;
+        author.score += c.score || 0;
+      }
+      addText(stats, c.raw_body ?? c.body, c.lang);
+      addComments(stats, c.replies);
+    }
+  }
+
+  // Un même thread peut venir de plusieurs listings ou recherches du groupe
+  function addPost(post) {
+    if (seen.has(post.id)) return;
+    seen.add(post.id);
+    totalThreads++;
+    const stats = subredditStats(post.subreddit || 'all');
+    stats.threads++;
+    countDay(post.created_utc, 'threads');
+    const username = post.author?.username;
+    if (username && username !== '[deleted]') {
+      const author = authorStats(username);
+      author.threads++;
+      author.score += post.score || 0;
+    }
+    addText(stats, post.raw_title ?? post.title, post.lang);
+    addText(stats, post.raw_selftext ?? post.selftext, post.lang);
+    addComments(stats, post.comments);
+  }
+
+  function report() {
+    // Un document TF-IDF par subreddit : ses termes distinctifs au sein du groupe
+    const tfidf = new natural.TfIdf();
+    const names = [...subreddits.keys()].sort();
+    names.forEach(name => tfidf.addDocument(Object.fromEntries(subreddits.get(name).terms), name));
+    return {
+      meta,
+      generatedAt: new Date().toISOString(),
+      totals: { threads: totalThreads, comments: totalComments, subreddits: subreddits.size, authors: authors.size },
+      subreddits: Object.fromEntries(names.map((name, i) => {
+        const stats = subreddits.get(name);
+        return [name, {
+          threads: stats.threads,
+          comments: stats.comments,
+          topTerms: top(stats.terms, TOP_TERMS, 'term'),
+          topBigrams: top(stats.bigrams, TOP_TERMS, 'bigram'),
+          distinctiveTerms: tfidf.listTerms(i).slice(0, TOP_TERMS).map(t => ({ term: t.term, tfidf: Number(t.tfidf.toFixed(3)) }))
+        }];
+      })),
+      authors: [...authors.entries()]
+        .map(([author, stats]) => ({ author, ...stats, total: stats.threads + stats.comments }))
+        .sort((a, b) => b.total - a.total || b.score - a.score)
+        .slice(0, TOP_AUTHORS),
+      volume: [...volume.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, counts]) => ({ date, ...counts })),
+      commentDepth: [...depths.entries()].sort((a, b) => a[0] - b[0]).map(([depth, count]) => ({ depth, count }))
+    };
+  }
+
+  return { addPost, report, get threads() { return totalThreads; } };
+}
+
+function mdTable(headers, rows) {
+  if (!rows.length) return '_Aucune donnée._\n';
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${row.map(cell => mdEscape(String(cell)).replace(/\|/g, '\\|')).join(' | ')} |`)
+  ].join('\n') + '\n';
+}
+
+export function reportToMarkdown(report) {
+  let md = `# Rapport d'analyse — Groupe : ${report.meta}\n\n`;
+  md += `> *Généré le ${report.generatedAt}*\n\n`;
+  md += `**Threads** : ${report.totals.threads} — **Commentaires** : ${report.totals.comments} — `;
+  md += `**Subreddits** : ${report.totals.subreddits} — **Auteurs** : ${report.totals.authors}\n`;
+
+  for (const [name, stats] of Object.entries(report.subreddits)) {
+    md += `\n---\n\n## 🧵 r/${name} (${stats.threads} threads, ${stats.comments} commentaires)\n\n`;
+    md += `### Termes les plus fréquents\n\n`;
+    md += mdTable(['Terme', 'Occurrences'], stats.topTerms.map(t => [t.term, t.count]));
+    md += `\n### Bigrammes les plus fréquents\n\n`;
+    md += mdTable(['Bigramme', 'Occurrences'], stats.topBigrams.map(b => [b.bigram, b.count]));
+    md += `\n### Termes distinctifs (TF-IDF)\n\n`;
+    md += mdTable(['Terme', 'TF-IDF'], stats.distinctiveTerms.map(t => [t.term, t.tfidf]));
+  }
+
+  md += `\n---\n\n## 👤 Auteurs les plus actifs\n\n`;
+  md += mdTable(['Auteur', 'Threads', 'Commentaires', 'Score cumulé'], report.authors.map(a => [`u/${a.author}`, a.threads, a.comments, a.score]));
+  md += `\n## 📅 Volume par jour\n\n`;
+  md += mdTable(['Date', 'Threads', 'Commentaires'], report.volume.map(v => [v.date, v.threads, v.comments]));
+  md += `\n## 🌳 Profondeur des commentaires\n\n`;
+  md += mdTable(['Profondeur', 'Commentaires'], report.commentDepth.map(d => [d.depth, d.count]));
+  return md;
+}
+
+// Write <base>-report.json and <base>-report.md; returns their paths
+export async function writeReport(report, basePath) {
+  const jsonPath = `${basePath}-report.json`;
+  const mdPath = `${basePath}-report.md`;
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  await fs.writeFile(mdPath, reportToMarkdown(report));
+  return { jsonPath, mdPath };
+}
+
+// Build the report of an existing export: a JSON file (array of subreddits /
+// searches with their posts) or an NDJSON file (one post per line)
+export async function analyzeExportFile(filePath, meta) {
+  const analyzer = createAnalyzer(meta);
+  if (filePath.endsWith('.ndjson')) {
+    const handle = await fs.open(filePath);
+    try {
+      for await (const line of handle.readLines()) {
+        if (!line.trim()) continue;
+        const post = JSON.parse(line);
+        // Commentaires à plat (ndjsonComments: "flat") : pas d'arbre à parcourir
+        if (post.comments && post.comments.length && !('replies' in post.comments[0])) {
+          post.comments = post.comments.map(c => ({ ...c, body: c.text, raw_body: c.raw_text, author: { username: c.author }, created_utc: c.time, score: c.ups }));
+        }
+        analyzer.addPost(post);
+      }
+    } finally {
+      await handle.close();
+    }
+  } else {
+    const sources = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    if (!Array.isArray(sources)) throw new Error(`${filePath} is not a JSON export (expected an array of subreddits)`);
+    sources.forEach(source => (source.posts || []).forEach(post => analyzer.addPost(post)));
+  }
+  return analyzer.report();
+}
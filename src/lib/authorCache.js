@@ -0,0 +1,102 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fetchWithRateLimit } from './fetchWithRateLimit.js';
+import { apiUrl, userAgent } from './endpoints.js';
+import { warn } from './helpers.js';
+
+// Author enrichment for Omega-Red-Cappa-Edition (port of legacy/omega-author.js)
+
+const DELETED_AUTHORS = new Set(['', '[deleted]', '[removed]']);
+
+// Cache persistant des profils /user/<name>/about, avec TTL
+export async function createAuthorCache(cachePath, { ttlSec = 7 * 24 * 3600 } = {}) {
+  let entries = {};
+  try {
+    entries = JSON.parse(await fs.readFile(cachePath, 'utf-8')).authors || {};
+  } catch {}
+  const inFlight = new Map();
+  let dirty = false;
+
+  function isFresh(entry) {
+    return entry && (Date.now() / 1000 - entry.fetchedAt) < ttlSec;
+  }
+
+  async function fetchAuthor(username, tokenProvider, fetchOptions) {
+    const url = apiUrl(`/user/${encodeURIComponent(username)}/about?raw_json=1`, fetchOptions);
+    const response = await fetchWithRateLimit(url, {
+      headers: {
+        'User-Agent': userAgent(fetchOptions)
+      }
+    }, { ...fetchOptions, tokenProvider });
+    // 404 / 403 : compte supprimé ou shadowban
+    if (response.status === 404 || response.status === 403) {
+      return { status: 'missing' };
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch author: u/${username}`);
+    }
+    const data = (await response.json()).data || {};
+    if (data.is_suspended) {
+      return { status: 'suspended' };
+    }
+    return {
+      status: 'ok',
+      link_karma: data.link_karma ?? 0,
+      comment_karma: data.comment_karma ?? 0,
+      is_gold: !!data.is_gold,
+      // Modère au moins un subreddit, pas forcément celui du thread : jamais affiché comme tel
+      is_mod: !!data.is_mod,
+      created_utc: data.created_utc || 0
+    };
+  }
+
+  // Un seul appel réseau par auteur, même si plusieurs threads le demandent en parallèle
+  async function get(username, tokenProvider, fetchOptions) {
+    if (DELETED_AUTHORS.has(username || '')) return { status: 'deleted' };
+    const cached = entries[username];
+    if (isFresh(cached)) return cached;
+    if (inFlight.has(username)) return inFlight.get(username);
+    const pending = fetchAuthor(username, tokenProvider, fetchOptions)
+      .then(info => {
+        entries[username] = { ...info, fetchedAt: Math.floor(Date.now() / 1000) };
+        dirty = true;
+        return entries[username];
+      })
+      .finally(() => inFlight.delete(username));
+    inFlight.set(username, pending);
+    return pending;
+  }
+
+  async function save() {
+    if (!dirty) return;
+    await fs.mkdir(path.dirname(cachePath), { recursive: true });
+    await fs.writeFile(cachePath, JSON.stringify({ authors: entries }, null, 2));
+    dirty = false;
+  }
+
+  return { get, save };
+}
+
+// Remplit authorlinkkarma / authorcommentkarma / authorisgold / authorismod / authorcreated
+// sur des lignes thread ou commentaire
+export async function enrichAuthors(rows, authorCache, tokenProvider, fetchOptions) {
+  const usernames = [...new Set(rows.map(r => r.author))];
+  const infos = new Map();
+  for (const username of usernames) {
+    try {
+      infos.set(username, await authorCache.get(username, tokenProvider, fetchOptions));
+    } catch (err) {
+      warn(fetchOptions, `Error in enrichAuthors for u/${username}: ${err.message}`);
+    }
+  }
+  for (const row of rows) {
+    const info = infos.get(row.author);
+    if (!info || info.status !== 'ok') continue;
+    row.authorlinkkarma = info.link_karma;
+    row.authorcommentkarma = info.comment_karma;
+    row.authorisgold = info.is_gold ? 1 : 0;
+    row.authorismod = info.is_mod ? 1 : 0;
+    row.authorcreated = info.created_utc;
+  }
+  return rows;
+}
@@ -0,0 +1,96 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Resumable checkpoints for Omega-Red-Cappa-Edition.
+// A run keeps `run.json` (date prefix, format, finished groups) plus one
+// append-only journal per group in the checkpoint directory. Every listing
+// page and every thread's comments are journaled as soon as they are fetched,
+// so --resume can continue from the last `after` cursor and skip threads
+// whose comments are already known. A user history is journaled in one piece
+// once both of its listings are fetched.
+
+const RUN_STATE_FILE = 'run.json';
+
+export async function loadRunState(checkpointDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(checkpointDir, RUN_STATE_FILE), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+export async function saveRunState(checkpointDir, state) {
+  await fs.mkdir(checkpointDir, { recursive: true });
+  const target = path.join(checkpointDir, RUN_STATE_FILE);
+  // Écriture atomique : un crash pendant l'écriture ne doit pas corrompre l'état
+  await fs.writeFile(`${target}.tmp`, JSON.stringify(state, null, 2));
+  await fs.rename(`${target}.tmp`, target);
+}
+
+export async function clearCheckpoint(checkpointDir) {
+  await fs.rm(checkpointDir, { recursive: true, force: true });
+}
+
+// Open (or, with resume, replay) the journal of one group
+export async function openJournal(journalPath, { resume = false } = {}) {
+  const jobs = new Map();
+
+  function job(key) {
+    if (!jobs.has(key)) {
+      jobs.set(key, { threads: [], after: null, listingDone: false, complete: true, comments: new Map(), userComments: [] });
+    }
+    return jobs.get(key);
+  }
+
+  function apply(record) {
+    const state = job(record.job);
+    if (record.type === 'page') {
+      state.threads.push(...record.threads);
+      state.after = record.after;
+    } else if (record.type === 'history') {
+      // Historique utilisateur complet (threads + commentaires de l'utilisateur)
+      state.threads = record.threads;
+      state.userComments = record.comments;
+      state.listingDone = true;
+      state.complete = record.complete !== false;
+    } else if (record.type === 'listingDone') {
+      state.listingDone = true;
+      state.complete = record.complete !== false;
+    } else if (record.type === 'comments') {
+      state.comments.set(record.threadId, record.comments);
+    }
+  }
+
+  await fs.mkdir(path.dirname(journalPath), { recursive: true });
+  if (resume) {
+    let content = '';
+    try {
+      content = await fs.readFile(journalPath, 'utf-8');
+    } catch {}
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch {
+        // Dernière ligne tronquée par un crash : on l'ignore
+      }
+    }
+  } else {
+    await fs.writeFile(journalPath, '');
+  }
+
+  // Appends are serialized so concurrent pMap workers never interleave lines
+  let queue = Promise.resolve();
+  function append(record) {
+    queue = queue.then(() => fs.appendFile(journalPath, JSON.stringify(record) + '\n'));
+    apply(record);
+    return queue;
+  }
+
+  async function remove() {
+    await queue;
+    await fs.rm(journalPath, { force: true });
+  }
+
+  return { job, append, remove };
+}
@@ -0,0 +1,110 @@
+import { parseArgs } from 'util';
+import { EXPORT_FORMATS, EXPORTER_NAME } from './exporters.js';
+
+// Command-line interface for Omega-Red-Cappa-Edition
+
+// 0 : tout s'est bien passé, 1 : échec total (ou erreur fatale),
+// 2 : échec partiel (au moins un subreddit / une recherche / un utilisateur en erreur, ou des commentaires
+// de threads non récupérés), 3 : arguments invalides
+export const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  PARTIAL: 2,
+  USAGE: 3
+};
+
+export const USAGE = `Usage: node src/omega-red-cappa-edition.mjs [options]
+
+Options:
+  -c, --config <path>       Config file (default: config.json at the repo root)
+  -o, --output <dir>        Output directory (default: content/)
+  -f, --format <formats>    Export format(s), comma-separated: ${EXPORT_FORMATS.join(', ')},
+                            or an exporter of options.exporters
+  -g, --group <name>        Only scrape this group (repeatable, or comma-separated)
+      --incremental         Only fetch threads/comments newer than each source's last mark
+      --no-incremental      Fetch everything, ignoring the saved marks
+      --concurrency <n>     Number of threads fetched in parallel
+      --dry-run             Validate the config and print the plan without scraping
+      --preflight           Check every subreddit through /r/<sub>/about before scraping
+      --non-interactive     Never prompt and never write back to the config file
+      --resume              Continue the last interrupted run from its checkpoint
+      --refresh             Re-fetch known threads and write a diff of their comments
+      --from-db             Export any other format from the SQLite database without scraping
+      --analyze <file>      Write the analytics report of an existing .json / .ndjson export, without scraping
+  -h, --help                Show this help
+
+Exit codes:
+  0  success
+  1  fatal error, or every job failed
+  2  partial failure (some jobs failed, or the comments of some threads)
+  3  invalid command-line arguments`;
+
+export function parseCliArgs(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: 'string', short: 'c' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      group: { type: 'string', short: 'g', multiple: true },
+      incremental: { type: 'boolean' },
+      'no-incremental': { type: 'boolean' },
+      concurrency: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      preflight: { type: 'boolean' },
+      'non-interactive': { type: 'boolean' },
+      resume: { type: 'boolean' },
+      refresh: { type: 'boolean' },
+      'from-db': { type: 'boolean' },
+      analyze: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    },
+    strict: true,
+    allowPositionals: false
+  });
+
+  if (values.incremental && values['no-incremental']) {
+    throw new Error('--incremental and --no-incremental are mutually exclusive');
+  }
+  if (values.resume && values.refresh) {
+    throw new Error('--resume and --refresh are mutually exclusive');
+  }
+  // Les exporteurs tiers ne sont connus qu'après lecture de la config : seul le nom est vérifié ici
+  const formats = values.format ? [...new Set(values.format.split(',').map(f => f.trim().toLowerCase()).filter(Boolean))] : null;
+  if (formats && (!formats.length || formats.some(f => !EXPORTER_NAME.test(f)))) {
+    throw new Error(`Invalid --format '${values.format}' (expected one or more of ${EXPORT_FORMATS.join(', ')}, comma-separated)`);
+  }
+  if (values.analyze && !/\.(nd)?json$/.test(values.analyze)) {
+    throw new Error(`--analyze expects a .json or .ndjson export (got '${values.analyze}')`);
+  }
+  if (values['from-db'] && formats && formats.includes('sqlite')) {
+    throw new Error('--from-db exports the database to another format than sqlite');
+  }
+  let concurrency;
+  if (values.concurrency !== undefined) {
+    concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid --concurrency '${values.concurrency}' (expected a positive integer)`);
+    }
+  }
+  let incremental;
+  if (values.incremental) incremental = true;
+  if (values['no-incremental']) incremental = false;
+
+  return {
+    help: !!values.help,
+    configPath: values.config,
+    outputDir: values.output,
+    formats,
+    groups: values.group ? values.group.flatMap(g => g.split(',')).map(g => g.trim()).filter(Boolean) : null,
+    incremental,
+    concurrency,
+    dryRun: !!values['dry-run'],
+    preflight: !!values.preflight,
+    nonInteractive: !!values['non-interactive'],
+    resume: !!values.resume,
+    refresh: !!values.refresh,
+    fromDb: !!values['from-db'],
+    analyze: values.analyze || null
+  };
+}
@@ -0,0 +1,94 @@
+// Comment tree assembly for Omega-Red-Cappa-Edition
+
+// Strip the Reddit kind prefix (t1_, t3_) from a fullname
+export function stripFullname(name) {
+  return (name || '').replace(/^t\d_/, '');
+}
+
+// Author block shared by posts and comments in the JSON/Markdown output
+export function buildAuthorObject(row) {
+  const linkKarma = Number(row.authorlinkkarma) || 0;
+  const commentKarma = Number(row.authorcommentkarma) || 0;
+  return {
+    username: row.author || '[deleted]',
+    karma: linkKarma + commentKarma,
+    link_karma: linkKarma,
+    comment_karma: commentKarma,
+    is_gold: row.authorisgold === 1,
+    is_mod: row.authorismod === 1,
+    created_utc: row.authorcreated || 0
+  };
+}
+
+// Text of a row for a text variant (see textVariant.js)
+function pickText(normalized, raw, variant) {
+  return variant === 'raw' ? (raw ?? normalized ?? '') : (normalized || '');
+}
+
+// Rebuild the reply hierarchy of a thread from the flat rows returned by
+// fetchAllComments (parent_id / depth / position).
+export function buildCommentTree(thread, comments, variant = 'normalized') {
+  const commentsMap = new Map();
+  const topLevelComments = [];
+  comments.forEach(comment => {
+    const authorObject = buildAuthorObject(comment);
+    const commentObject = {
+      id: comment.id,
+      parent_id: null,
+      depth: comment.depth || 0,
+      position: comment.position || 0,
+      author: authorObject,
+      created_utc: comment.time || 0,
+      score: comment.ups || 0,
+      body: pickText(comment.text, comment.raw_text, variant),
+      ...(variant === 'both' ? { raw_body: comment.raw_text ?? '' } : {}),
+      lang: comment.lang || '',
+      ...(typeof comment.sentiment === 'number' ? { sentiment: comment.sentiment } : {}),
+      replies: []
+    };
+    commentsMap.set(comment.id, commentObject);
+  });
+  // Une ligne répétée (reprise, autosave fusionnée) ne doit apparaître qu'une fois dans l'arbre
+  const placed = new Set();
+  comments.forEach(comment => {
+    const commentObj = commentsMap.get(comment.id);
+    if (!commentObj || placed.has(comment.id)) return;
+    placed.add(comment.id);
+    const parentId = stripFullname(comment.parent_id);
+    if (parentId && parentId !== thread.id && commentsMap.has(parentId)) {
+      commentObj.parent_id = parentId;
+      commentsMap.get(parentId).replies.push(commentObj);
+    } else {
+      commentObj.parent_id = thread.id;
+      topLevelComments.push(commentObj);
+    }
+  });
+  const byPosition = (a, b) => a.position - b.position;
+  topLevelComments.sort(byPosition);
+  commentsMap.forEach(c => c.replies.sort(byPosition));
+  return { comments: topLevelComments, total: commentsMap.size };
+}
+
+// Post object of the JSON/Markdown output, with its comment tree
+export function buildThreadObject(thread, comments, variant = 'normalized') {
+  const { comments: topLevelComments, total } = buildCommentTree(thread, comments, variant);
+  return {
+    id: thread.id,
+    subreddit: thread.subreddit,
+    title: pickText(thread.title, thread.raw_title, variant),
+    ...(variant === 'both' ? { raw_title: thread.raw_title ?? '' } : {}),
+    listing: thread.listing || '',
+    query: thread.query || '',
+    author: buildAuthorObject(thread),
+    created_utc: thread.time || 0,
+    score: thread.ups || 0,
+    num_comments: total,
+    permalink: `/r/${thread.subreddit}/comments/${thread.id}/`,
+    url: thread.url || `https://www.reddit.com/r/${thread.subreddit}/comments/${thread.id}/`,
+    selftext: pickText(thread.text, thread.raw_text, variant),
+    ...(variant === 'both' ? { raw_selftext: thread.raw_text ?? '' } : {}),
+    lang: thread.lang || '',
+    ...(typeof thread.sentiment === 'number' ? { sentiment: thread.sentiment } : {}),
+    comments: topLevelComments
+  };
+}
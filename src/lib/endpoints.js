@@ -0,0 +1,37 @@
+// Reddit endpoints for Omega-Red-Cappa-Edition.
+// The API and auth base URLs can be overridden (options.apiBaseUrl /
+// options.authBaseUrl, or REDDIT_API_BASE_URL / REDDIT_AUTH_BASE_URL) to go
+// through a caching proxy or the offline mock server of the test suite.
+
+export const DEFAULT_API_BASE_URL = 'https://oauth.reddit.com';
+export const DEFAULT_AUTH_BASE_URL = 'https://www.reddit.com';
+
+function join(baseUrl, pathAndQuery) {
+  return `${baseUrl.replace(/\/+$/, '')}${pathAndQuery}`;
+}
+
+// Full URL of an API path; `fetchOptions.apiBaseUrl` replaces oauth.reddit.com
+export function apiUrl(pathAndQuery, fetchOptions) {
+  return join((fetchOptions && fetchOptions.apiBaseUrl) || DEFAULT_API_BASE_URL, pathAndQuery);
+}
+
+// Full URL of an auth path (/api/v1/access_token); `authBaseUrl` replaces www.reddit.com
+export function authUrl(pathAndQuery, authBaseUrl) {
+  return join(authBaseUrl || DEFAULT_AUTH_BASE_URL, pathAndQuery);
+}
+
+// Whether `value` can be used as a base URL (http or https, no query string)
+export function isBaseUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && !url.search && !url.hash;
+  } catch {
+    return false;
+  }
+}
+
+// User-Agent of the API requests: fetchOptions.userAgent (library API), REDDIT_USER_AGENT otherwise
+export function userAgent(fetchOptions) {
+  return (fetchOptions && fetchOptions.userAgent) || process.env.REDDIT_USER_AGENT;
+}
@@ -1,38 +1,112 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { formatDate, mdEscape } from './helpers.js';
-import chalk from 'chalk';
+import { dateLocaleFor } from './language.js';
+import { createObjectCsvWriter } from 'csv-writer';
 
-// Helper: Render comments recursively in Markdown
-function renderCommentsMd(comments, level = 0) {
+// CSV columns of the *-threads.csv and *-comments.csv files
+export const THREAD_CSV_HEADER = [
+  {id: 'text', title: 'text'},
+  {id: 'title', title: 'title'},
+  {id: 'url', title: 'url'},
+  {id: 'id', title: 'id'},
+  {id: 'subreddit', title: 'subreddit'},
+  {id: 'meta', title: 'meta'},
+  {id: 'listing', title: 'listing'},
+  {id: 'query', title: 'query'},
+  {id: 'time', title: 'time'},
+  {id: 'author', title: 'author'},
+  {id: 'ups', title: 'ups'},
+  {id: 'downs', title: 'downs'},
+  {id: 'authorlinkkarma', title: 'authorlinkkarma'},
+  {id: 'authorcommentkarma', title: 'authorcommentkarma'},
+  {id: 'authorisgold', title: 'authorisgold'},
+  {id: 'authorismod', title: 'authorismod'},
+  {id: 'authorcreated', title: 'authorcreated'},
+  {id: 'lang', title: 'lang'},
+  {id: 'sentiment', title: 'sentiment'}
+];
+
+export const COMMENT_CSV_HEADER = [
+  {id: 'text', title: 'text'},
+  {id: 'id', title: 'id'},
+  {id: 'parent_id', title: 'parent_id'},
+  {id: 'link_id', title: 'link_id'},
+  {id: 'depth', title: 'depth'},
+  {id: 'position', title: 'position'},
+  {id: 'subreddit', title: 'subreddit'},
+  {id: 'meta', title: 'meta'},
+  {id: 'listing', title: 'listing'},
+  {id: 'query', title: 'query'},
+  {id: 'time', title: 'time'},
+  {id: 'author', title: 'author'},
+  {id: 'ups', title: 'ups'},
+  {id: 'downs', title: 'downs'},
+  {id: 'authorlinkkarma', title: 'authorlinkkarma'},
+  {id: 'authorcommentkarma', title: 'authorcommentkarma'},
+  {id: 'authorisgold', title: 'authorisgold'},
+  {id: 'authorismod', title: 'authorismod'},
+  {id: 'authorcreated', title: 'authorcreated'},
+  {id: 'lang', title: 'lang'},
+  {id: 'sentiment', title: 'sentiment'}
+];
+
+// CSV writer for rows appended batch by batch: the header is written right
+// away, so the file exists even without rows, and empty batches are skipped
+// (csv-writer writes an empty line for them)
+export async function createCsvAppender(csvPath, header) {
+  await fs.writeFile(csvPath, header.map(column => column.title).join(',') + '\n');
+  const writer = createObjectCsvWriter({ path: csvPath, header, append: true });
+  return {
+    writeRecords: records => (records.length ? writer.writeRecords(records) : Promise.resolve())
+  };
+}
+
+// Helper: Blockquote that survives multi-line (raw) text, inside `prefix` (outer quote levels)
+function mdQuote(text, prefix = '') {
+  return mdEscape(text).split('\n').map(line => `${prefix}> ${line}`).join('\n');
+}
+
+// Helper: Sentiment score (options.sentiment), signed
+function formatSentiment(sentiment, prefix = '') {
+  if (typeof sentiment !== 'number') return '';
+  return `${prefix}**Sentiment** : ${sentiment > 0 ? '+' : ''}${sentiment.toFixed(2)}`;
+}
+
+// Helper: Render comments recursively in Markdown, one blockquote level per
+// reply level (leading spaces would turn deep replies into code blocks)
+function renderCommentsMd(comments, level = 0, dateLocale) {
   if (!comments || !comments.length) return '';
   let md = '';
   for (const c of comments) {
-    const indent = '  '.repeat(level);
-    const mod = c.author && c.author.is_mod ? ' — modérateur' : '';
-    md += `\n${indent}#### 🔹 u/${mdEscape(c.author?.username)} (karma : ${c.author?.karma || 0}${mod})\n`;
-    md += `${indent}**Posté le** : ${formatDate(c.created_utc)} — **Score** : ${c.score}\n`;
-    md += `${indent}> ${mdEscape(c.body)}\n`;
+    const prefix = '> '.repeat(level);
+    if (level === 0) {
+      md += `\n#### 🔹 u/${mdEscape(c.author?.username)} (karma : ${c.author?.karma || 0})\n`;
+    } else {
+      md += `\n${prefix}##### ↪ Réponse de u/${mdEscape(c.author?.username)} (karma : ${c.author?.karma || 0})\n`;
+    }
+    md += `${prefix}**Posté le** : ${formatDate(c.created_utc, dateLocaleFor(c.lang, dateLocale))} — **Score** : ${c.score}${formatSentiment(c.sentiment, ' — ')}\n`;
+    // Texte d'origine quand l'export contient les deux variantes
+    md += `${mdQuote(c.raw_body ?? c.body, prefix)}\n`;
     if (c.replies && c.replies.length) {
-      for (const reply of c.replies) {
-        md += `\n${indent}##### ↪ Réponse de u/${mdEscape(reply.author?.username)} (karma : ${reply.author?.karma || 0}${reply.author?.is_mod ? ' — modérateur' : ''})\n`;
-        md += `${indent}**Posté le** : ${formatDate(reply.created_utc)} — **Score** : ${reply.score}\n`;
-        md += `${indent}> ${mdEscape(reply.body)}\n`;
-        if (reply.replies && reply.replies.length) {
-          md += renderCommentsMd(reply.replies, level + 2);
-        }
-      }
+      md += renderCommentsMd(c.replies, level + 1, dateLocale);
     }
-    md += '\n---\n';
+    if (level === 0) md += '\n---\n';
   }
   return md;
 }
 
-// Export group to Markdown with size limits
+// Export group to Markdown with size limits: a new -partN.md file starts
+// when the next post would push the current one over maxMarkdownSizeMB. Posts
+// are never cut, so a single post larger than the limit gets a part of its own.
+// The parts are named after threadsJsonPath (x.json -> x.md, x-part2.md...);
+// returns their paths.
 export async function exportGroupToMarkdown(meta, jsonOutput, threadsJsonPath, options = {}) {
   const maxFileSizeMB = options.maxMarkdownSizeMB || 1; // Default to 1MB per file
   const maxFileSizeBytes = maxFileSizeMB * 1024 * 1024; // Convert to bytes
   const isAutosave = options.isAutosave || false;
+  // Locale des dates : fixe, ou 'auto' pour suivre la langue de chaque post / commentaire
+  const dateLocale = options.dateLocale || 'fr-FR';
   
   // Utiliser le dirname du jsonPath pour s'assurer que les fichiers MD sont dans le même dossier
   const baseMdPath = threadsJsonPath.replace(/\.json$/, '');
@@ -45,6 +119,8 @@ export async function exportGroupToMarkdown(meta, jsonOutput, threadsJsonPath, o
   }
   
   let currentMd = mdHeader;
+  // Une partie n'est écrite que si elle contient au moins un post
+  let partHasPosts = false;
   let partNumber = 1;
   let partsCreated = [];
   
@@ -59,6 +135,7 @@ export async function exportGroupToMarkdown(meta, jsonOutput, threadsJsonPath, o
     partsCreated.push(mdPath);
     partNumber++;
     currentMd = mdHeader + `\n> *Suite de l'export (partie ${partNumber})*\n\n`;
+    partHasPosts = false;
   }
   
   // Process each subreddit and its posts
@@ -66,53 +143,49 @@ export async function exportGroupToMarkdown(meta, jsonOutput, threadsJsonPath, o
     const subreddit = jsonOutput[subredditKey];
     if (!subreddit || !subreddit.posts || !subreddit.posts.length) continue;
     
-    const subredditHeader = `\n---\n\n## 🧵 Subreddit : r/${subreddit.subreddit}\n`;
-    currentMd += subredditHeader;
-    
-    // Check if adding subreddit header pushed us over the limit
-    if (Buffer.byteLength(currentMd, 'utf8') > maxFileSizeBytes) {
-      currentMd = mdHeader + subredditHeader; // Reset with just header + subreddit
-      await saveCurrentMarkdown();
+    let subredditHeader = `\n---\n\n## 🧵 Subreddit : r/${subreddit.subreddit}\n`;
+    if (subreddit.query) {
+      subredditHeader = `\n---\n\n## 🔎 Recherche : « ${mdEscape(subreddit.query)} » (r/${subreddit.subreddit})\n`;
+    } else if (subreddit.user) {
+      subredditHeader = `\n---\n\n## 👤 Utilisateur : u/${mdEscape(subreddit.user)}\n`;
     }
     
     // Process each post in the subreddit
-    for (const post of subreddit.posts) {
+    for (const [index, post] of subreddit.posts.entries()) {
       // Generate markdown for this post
-      let postMd = `\n---\n\n## 🧵 Post : ${mdEscape(post.title)}\n`;
+      let postMd = `\n---\n\n## 🧵 Post : ${mdEscape(post.raw_title ?? post.title)}\n`;
       postMd += `**Auteur** : u/${mdEscape(post.author?.username)} (karma : ${post.author?.karma || 0})  \n`;
-      postMd += `**Date** : ${formatDate(post.created_utc)}  \n`;
+      postMd += `**Date** : ${formatDate(post.created_utc, dateLocaleFor(post.lang, dateLocale))}  \n`;
       postMd += `**Score** : ${post.score} points  \n`;
+      if (typeof post.sentiment === 'number') postMd += `${formatSentiment(post.sentiment)}  \n`;
+      if (post.query || subreddit.user) postMd += `**Subreddit** : r/${post.subreddit}  \n`;
+      if (post.listing) postMd += `**Tri** : ${post.listing}  \n`;
       postMd += `**Commentaires** : ${post.num_comments}  \n`;
       postMd += `**Lien** : [Voir sur Reddit](https://www.reddit.com${post.permalink || ''})\n`;
-      postMd += `\n### 📝 Contenu du post :\n> ${mdEscape(post.selftext)}\n`;
+      postMd += `\n### 📝 Contenu du post :\n${mdQuote(post.raw_selftext ?? post.selftext)}\n`;
       postMd += `\n---\n`;
       postMd += `\n### 💬 Commentaires\n`;
-      postMd += renderCommentsMd(post.comments, 0);
+      postMd += renderCommentsMd(post.comments, 0, dateLocale);
+      
+      // L'en-tête du subreddit accompagne son premier post, et est répété en tête d'une nouvelle partie
+      const headerMd = index === 0 ? subredditHeader : '';
       
       // Check if adding this post would exceed the limit
-      if (Buffer.byteLength(currentMd + postMd, 'utf8') > maxFileSizeBytes && currentMd !== mdHeader) {
+      if (partHasPosts && Buffer.byteLength(currentMd + headerMd + postMd, 'utf8') > maxFileSizeBytes) {
         await saveCurrentMarkdown();
+        if (index > 0) currentMd += subredditHeader;
       }
       
       // Add the post to current markdown
-      currentMd += postMd;
+      currentMd += headerMd + postMd;
+      partHasPosts = true;
     }
   }
   
   // Save the final part if there's content
-  if (currentMd !== mdHeader && Buffer.byteLength(currentMd, 'utf8') > 0) {
+  if (partHasPosts) {
     await saveCurrentMarkdown();
   }
   
-  // Log the result
-  if (partsCreated.length === 1) {
-    console.log(chalk.green(`Exported Markdown data to ${partsCreated[0]}`));
-  } else if (partsCreated.length > 1) {
-    console.log(chalk.green(`Exported Markdown data to ${partsCreated.length} files:`));
-    partsCreated.forEach(p => console.log(chalk.green(`- ${path.basename(p)}`)));
-  } else {
-    console.log(chalk.yellow(`No Markdown data was exported (no content found).`));
-  }
-  
   return partsCreated;
 } 
\ No newline at end of file
@@ -0,0 +1,267 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createCsvAppender, exportGroupToMarkdown, THREAD_CSV_HEADER, COMMENT_CSV_HEADER } from './export.js';
+import { buildThreadObject } from './commentTree.js';
+import { exportGroupToHtml } from './htmlExport.js';
+import { createNdjsonWriter, toNdjsonRecord } from './ndjsonWriter.js';
+import { textVariantFor, applyTextVariant, csvHeaderFor } from './textVariant.js';
+
+// Export formats of Omega-Red-Cappa-Edition.
+// An exporter is a factory called once per group with
+//   { format, meta, fileBase, contentDir, autosaveDir, sqlitePath, text, options }
+// (fileBase: "<date>-<group>", text: the text variant of the format, options:
+// config.options), returning any of:
+//   open()                                   before the first write
+//   writeThread(thread, source)              each thread row, in listing order
+//   writeComments(thread, comments, source)  its comment rows, right after it
+//   checkpoint()                             periodic autosave, and on Ctrl+C
+//   close()                                  end of the group: the files written
+// Methods may be async. `source` is where the thread was found (see jobSource):
+// { key, subreddit, query?, user? }.
+
+// Un thread présent dans plusieurs listings n'a qu'un jeu de commentaires
+function createCommentDeduper() {
+  const seen = new Set();
+  return thread => {
+    if (seen.has(thread.id)) return false;
+    seen.add(thread.id);
+    return true;
+  };
+}
+
+// Posts grouped by source, as in the JSON export
+function createPostCollector(text) {
+  const output = {};
+  let count = 0;
+  function add(thread, comments, source) {
+    if (!output[source.key]) {
+      const { key, ...description } = source;
+      output[source.key] = { ...description, posts: [] };
+    }
+    output[source.key].posts.push(buildThreadObject(thread, comments, text));
+    count++;
+  }
+  return { output, add, get count() { return count; } };
+}
+
+function writeJson(filePath, output) {
+  return fs.writeFile(filePath, JSON.stringify(Object.values(output), null, 2));
+}
+
+// CSV : lignes ajoutées au fil de l'eau, le fichier est toujours à jour
+function csvExporter({ contentDir, fileBase, text }) {
+  const threadsPath = path.join(contentDir, `${fileBase}-threads.csv`);
+  const commentsPath = path.join(contentDir, `${fileBase}-comments.csv`);
+  const firstSeen = createCommentDeduper();
+  let threadsWriter, commentsWriter;
+  return {
+    async open() {
+      threadsWriter = await createCsvAppender(threadsPath, csvHeaderFor(THREAD_CSV_HEADER, text));
+      commentsWriter = await createCsvAppender(commentsPath, csvHeaderFor(COMMENT_CSV_HEADER, text));
+    },
+    writeThread: thread => threadsWriter.writeRecords([applyTextVariant(thread, text)]),
+    async writeComments(thread, comments) {
+      if (firstSeen(thread)) await commentsWriter.writeRecords(comments.map(c => applyTextVariant(c, text)));
+    },
+    close: () => [threadsPath, commentsPath]
+  };
+}
+
+function jsonExporter({ contentDir, autosaveDir, fileBase, text }) {
+  const jsonPath = path.join(contentDir, `${fileBase}.json`);
+  const autosavePath = path.join(autosaveDir, `${fileBase}-autosave.json`);
+  const posts = createPostCollector(text);
+  return {
+    writeComments: (thread, comments, source) => posts.add(thread, comments, source),
+    async checkpoint() {
+      if (posts.count) await writeJson(autosavePath, posts.output);
+    },
+    async close() {
+      if (!posts.count) return [];
+      await writeJson(jsonPath, posts.output);
+      return [jsonPath];
+    }
+  };
+}
+
+// Markdown : le groupe entier est réécrit (et découpé en parties) à chaque sauvegarde
+function markdownExporter({ meta, contentDir, autosaveDir, fileBase, text, options }) {
+  const posts = createPostCollector(text);
+  const mdOptions = { maxMarkdownSizeMB: options.maxMarkdownSizeMB || 1, dateLocale: options.dateLocale };
+  return {
+    writeComments: (thread, comments, source) => posts.add(thread, comments, source),
+    async checkpoint() {
+      if (!posts.count) return;
+      await exportGroupToMarkdown(meta, posts.output, path.join(autosaveDir, `${fileBase}-autosave.json`), { ...mdOptions, isAutosave: true });
+    },
+    async close() {
+      if (!posts.count) return [];
+      return exportGroupToMarkdown(meta, posts.output, path.join(contentDir, `${fileBase}.json`), { ...mdOptions, isAutosave: false });
+    }
+  };
+}
+
+// HTML : une page autonome par groupe, réécrite à chaque sauvegarde comme le Markdown
+function htmlExporter({ meta, contentDir, autosaveDir, fileBase, text, options }) {
+  const posts = createPostCollector(text);
+  return {
+    writeComments: (thread, comments, source) => posts.add(thread, comments, source),
+    async checkpoint() {
+      if (!posts.count) return;
+      await exportGroupToHtml(meta, posts.output, path.join(autosaveDir, `${fileBase}-autosave.html`), { dateLocale: options.dateLocale, isAutosave: true });
+    },
+    close: () => exportGroupToHtml(meta, posts.output, path.join(contentDir, `${fileBase}.html`), { dateLocale: options.dateLocale })
+  };
+}
+
+// NDJSON : une ligne par thread, écrite dès que ses commentaires sont connus
+function ndjsonExporter({ meta, contentDir, fileBase, text, options }) {
+  const ndjsonPath = path.join(contentDir, `${fileBase}.ndjson`);
+  let writer;
+  return {
+    open() {
+      writer = createNdjsonWriter(ndjsonPath);
+    },
+    writeComments(thread, comments, source) {
+      return writer.write(toNdjsonRecord(thread, comments, { meta, source: source.key, comments: options.ndjsonComments || 'tree', text }));
+    },
+    async close() {
+      await writer.close();
+      return [ndjsonPath];
+    }
+  };
+}
+
+// Parquet : les fichiers ne sont lisibles qu'une fois fermés, le journal de reprise suffit
+function parquetExporter({ contentDir, fileBase, text }) {
+  const threadsPath = path.join(contentDir, `${fileBase}-threads.parquet`);
+  const commentsPath = path.join(contentDir, `${fileBase}-comments.parquet`);
+  const firstSeen = createCommentDeduper();
+  let writers;
+  return {
+    async open() {
+      const { createParquetWriters } = await import('./parquetExport.js');
+      writers = await createParquetWriters(threadsPath, commentsPath);
+    },
+    writeThread: thread => writers.writeThreads([applyTextVariant(thread, text)]),
+    async writeComments(thread, comments) {
+      if (firstSeen(thread)) await writers.writeComments(comments.map(c => applyTextVariant(c, text)));
+    },
+    async close() {
+      await writers.close();
+      return [threadsPath, commentsPath];
+    }
+  };
+}
+
+// SQLite : threads et commentaires sont upsertés au fil de l'eau
+function sqliteExporter({ meta, sqlitePath }) {
+  let store, database;
+  return {
+    async open() {
+      store = await import('./sqliteStore.js');
+      database = store.openDatabase(sqlitePath);
+    },
+    writeThread(thread, source) {
+      store.saveThreads(database, [thread], { meta, source: source.key, subreddit: source.subreddit, query: source.query, username: source.user });
+    },
+    writeComments(thread, comments) {
+      store.saveComments(database, comments);
+    },
+    close() {
+      database.close();
+      return [sqlitePath];
+    }
+  };
+}
+
+const registry = new Map([
+  ['csv', csvExporter],
+  ['json', jsonExporter],
+  ['md', markdownExporter],
+  ['html', htmlExporter],
+  ['ndjson', ndjsonExporter],
+  ['parquet', parquetExporter],
+  ['sqlite', sqliteExporter]
+]);
+
+export const EXPORT_FORMATS = [...registry.keys()];
+
+// Nom utilisable dans exportFormats / --format (minuscules)
+export const EXPORTER_NAME = /^[a-z0-9_-]+$/;
+
+export function registerExporter(name, factory) {
+  if (!EXPORTER_NAME.test(name)) throw new Error(`Invalid exporter name '${name}'`);
+  if (typeof factory !== 'function') throw new Error(`Exporter '${name}' must be a factory function`);
+  registry.set(name, factory);
+}
+
+export function exporterNames() {
+  return [...registry.keys()];
+}
+
+export function hasExporter(name) {
+  return registry.has(name);
+}
+
+// Third-party exporters of options.exporters ({ name: modulePath }), paths
+// being relative to `baseDir` (the directory of config.json). A module
+// exports its factory as default export or as createExporter.
+export async function loadExporters(exporters = {}, baseDir = process.cwd()) {
+  for (const [name, modulePath] of Object.entries(exporters)) {
+    const resolved = path.resolve(baseDir, modulePath);
+    let module;
+    try {
+      module = await import(pathToFileURL(resolved).href);
+    } catch (err) {
+      throw new Error(`Failed to load exporter '${name}' from ${resolved}: ${err.message}`);
+    }
+    const factory = module.default || module.createExporter;
+    if (typeof factory !== 'function') {
+      throw new Error(`Exporter '${name}' (${resolved}) must export a factory function (default export or createExporter)`);
+    }
+    registerExporter(name, factory);
+  }
+}
+
+// Exporters of every format of the run for one group, behind a single
+// exporter: each call is forwarded to all of them in turn. checkpoint()
+// resolves to the formats that have one, close() to { format: files }.
+export async function openExporters(formats, context) {
+  const exporters = formats.map(format => {
+    const factory = registry.get(format);
+    if (!factory) throw new Error(`Unknown export format '${format}' (expected one of ${exporterNames().join(', ')})`);
+    const options = context.options || {};
+    return { format, exporter: factory({ ...context, options, format, text: textVariantFor(format, options.exportText) }) };
+  });
+
+  async function forward(method, ...args) {
+    for (const { exporter } of exporters) {
+      if (exporter[method]) await exporter[method](...args);
+    }
+  }
+
+  await forward('open');
+  return {
+    formats,
+    writeThread: (thread, source) => forward('writeThread', thread, source),
+    writeComments: (thread, comments, source) => forward('writeComments', thread, comments, source),
+    async checkpoint() {
+      const saved = [];
+      for (const { format, exporter } of exporters) {
+        if (!exporter.checkpoint) continue;
+        await exporter.checkpoint();
+        saved.push(format);
+      }
+      return saved;
+    },
+    async close() {
+      const files = {};
+      for (const { format, exporter } of exporters) {
+        files[format] = (exporter.close && await exporter.close()) || [];
+      }
+      return files;
+    }
+  };
+}
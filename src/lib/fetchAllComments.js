@@ -1,46 +1,171 @@
 import { fetchWithRateLimit } from './fetchWithRateLimit.js';
 import { normalizeText } from './normalizeText.js';
+import { detectLanguage, UNDETERMINED } from './language.js';
+import { apiUrl, userAgent } from './endpoints.js';
+import { warn } from './helpers.js';
 
-export async function fetchAllComments(subreddit, meta, threadId, token, fetchOptions) {
-  const url = `https://oauth.reddit.com/r/${subreddit}/comments/${threadId}?raw_json=1`;
+// /api/morechildren accepte au plus 100 IDs par requête
+const MORE_CHILDREN_BATCH = 100;
+
+// Flat comment row shared by every comment fetcher (thread comments, user history, ...)
+export function toCommentRow(comment, meta, fields = {}, { normalize = normalizeText, language = detectLanguage } = {}) {
+  const lang = language.detect(comment.body);
+  return {
+    text: normalize(comment.body, lang === UNDETERMINED ? language.fallback : lang),
+    raw_text: comment.body || '',
+    id: comment.id,
+    parent_id: comment.parent_id,
+    link_id: comment.link_id,
+    depth: '',
+    position: '',
+    subreddit: comment.subreddit,
+    meta,
+    listing: '',
+    query: '',
+    time: comment.created_utc,
+    // false, ou la date de la dernière modification
+    edited: comment.edited || false,
+    author: comment.author,
+    ups: comment.ups,
+    downs: comment.downs,
+    authorlinkkarma: '',
+    authorcommentkarma: '',
+    authorisgold: '',
+    authorismod: '',
+    authorcreated: '',
+    lang,
+    // Rempli par scoreThreads / scoreComments (options.sentiment)
+    sentiment: '',
+    ...fields
+  };
+}
+
+// Every comment of a thread as flat rows; rejects if the thread or one of its
+// expansions cannot be fetched (the "more" cap only warns).
+export async function fetchAllComments(subreddit, meta, threadId, tokenProvider, fetchOptions, { expandMore = true, maxMoreRequests = 10 } = {}) {
+  const url = apiUrl(`/r/${subreddit}/comments/${threadId}?raw_json=1`, fetchOptions);
+  const headers = {
+    'User-Agent': userAgent(fetchOptions)
+  };
+  const linkId = `t3_${threadId}`;
   let comments = [];
-  try {
-    const response = await fetchWithRateLimit(url, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'User-Agent': process.env.REDDIT_USER_AGENT
+  const seen = new Set();
+  const depthById = new Map();
+  const nextPosition = new Map();
+  // Stubs "more" en attente : IDs à résoudre via /api/morechildren et
+  // parents des stubs "continue this thread"
+  let pendingIds = [];
+  let pendingContinue = [];
+
+  // trustDepth : faux pour les réponses d'un permalink "continue this thread",
+  // où Reddit compte la profondeur à partir du commentaire ciblé (profondeur 0)
+  function pushComment(d, depth, trustDepth = true) {
+    if (seen.has(d.id)) return;
+    seen.add(d.id);
+    const parentId = d.parent_id || linkId;
+    const position = nextPosition.get(parentId) || 0;
+    nextPosition.set(parentId, position + 1);
+    const commentDepth = trustDepth && typeof d.depth === 'number' ? d.depth : depth;
+    depthById.set(d.id, commentDepth);
+    comments.push(toCommentRow(d, meta, {
+      subreddit,
+      parent_id: parentId,
+      link_id: d.link_id || linkId,
+      depth: commentDepth,
+      position
+    }, fetchOptions));
+  }
+
+  function collectMore(d) {
+    if (d.children && d.children.length) {
+      pendingIds.push(...d.children.filter(id => !seen.has(id)));
+    } else if (d.parent_id && d.parent_id.startsWith('t1_')) {
+      // "continue this thread" : stub vide qui renvoie vers le commentaire parent
+      pendingContinue.push(d.parent_id.slice(3));
+    }
+  }
+
+  // Garde parent_id / link_id / depth / position pour pouvoir reconstruire l'arbre
+  function extractComments(commentArr, depth = 0, trustDepth = true) {
+    for (const c of commentArr) {
+      if (!c.data) continue;
+      if (c.kind === 'more') {
+        collectMore(c.data);
+        continue;
+      }
+      if (c.kind !== 't1') continue;
+      pushComment(c.data, depth, trustDepth);
+      if (c.data.replies && c.data.replies.data && c.data.replies.data.children) {
+        extractComments(c.data.replies.data.children, depth + 1, trustDepth);
       }
-    }, fetchOptions);
+    }
+  }
+
+  async function fetchMoreChildren(ids) {
+    const moreUrl = apiUrl(`/api/morechildren?api_type=json&raw_json=1&limit_children=false&link_id=${linkId}&children=${ids.join(',')}`, fetchOptions);
+    const response = await fetchWithRateLimit(moreUrl, { headers }, { ...fetchOptions, tokenProvider });
     if (!response.ok) {
-      throw new Error(`Failed to fetch comments for thread: ${threadId}`);
+      throw new Error(`Failed to expand more comments for thread: ${threadId}`);
+    }
+    const data = await response.json();
+    const things = (data.json && data.json.data && data.json.data.things) || [];
+    for (const c of things) {
+      if (!c.data) continue;
+      if (c.kind === 'more') {
+        collectMore(c.data);
+      } else if (c.kind === 't1') {
+        const parentDepth = depthById.get((c.data.parent_id || '').slice(3));
+        pushComment(c.data, parentDepth === undefined ? 0 : parentDepth + 1);
+      }
+    }
+  }
+
+  async function fetchContinueThread(commentId) {
+    const continueUrl = apiUrl(`/r/${subreddit}/comments/${threadId}/_/${commentId}?raw_json=1`, fetchOptions);
+    const response = await fetchWithRateLimit(continueUrl, { headers }, { ...fetchOptions, tokenProvider });
+    if (!response.ok) {
+      throw new Error(`Failed to continue thread ${threadId} at comment ${commentId}`);
     }
     const data = await response.json();
-    function extractComments(commentArr) {
-      for (const c of commentArr) {
-        if (!c.data || c.kind !== 't1') continue;
-        comments.push({
-          text: normalizeText(c.data.body),
-          id: c.data.id,
-          subreddit,
-          meta,
-          time: c.data.created_utc,
-          author: c.data.author,
-          ups: c.data.ups,
-          downs: c.data.downs,
-          authorlinkkarma: '',
-          authorcommentkarma: '',
-          authorisgold: ''
-        });
-        if (c.data.replies && c.data.replies.data && c.data.replies.data.children) {
-          extractComments(c.data.replies.data.children);
-        }
+    const children = (data[1] && data[1].data && data[1].data.children) || [];
+    for (const c of children) {
+      // Le commentaire racine est déjà connu : on ne descend que dans ses réponses
+      if (c.kind === 't1' && c.data.id === commentId && c.data.replies && c.data.replies.data) {
+        extractComments(c.data.replies.data.children, (depthById.get(commentId) || 0) + 1, false);
       }
     }
+  }
+
+  try {
+    const response = await fetchWithRateLimit(url, { headers }, { ...fetchOptions, tokenProvider });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch comments for thread: ${threadId}`);
+    }
+    const data = await response.json();
     if (data[1] && data[1].data && data[1].data.children) {
       extractComments(data[1].data.children);
     }
+
+    // Résolution des stubs "more", plafonnée par thread pour préserver le quota
+    let moreRequests = 0;
+    while (expandMore && (pendingIds.length || pendingContinue.length)) {
+      const batch = pendingIds.splice(0, MORE_CHILDREN_BATCH).filter(id => !seen.has(id));
+      const continueId = batch.length ? null : pendingContinue.shift();
+      if (!batch.length && !continueId) continue;
+      if (moreRequests >= maxMoreRequests) {
+        warn(fetchOptions, `Thread ${threadId}: more comments left unexpanded (limit of ${maxMoreRequests} requests reached)`);
+        break;
+      }
+      moreRequests++;
+      if (batch.length) {
+        await fetchMoreChildren(batch);
+      } else {
+        await fetchContinueThread(continueId);
+      }
+    }
   } catch (err) {
-    console.log(`Error in fetchAllComments for thread ${threadId}: ${err.message}`);
+    // Pas de résultat partiel : un thread incomplet ne doit pas être journalisé comme fait
+    throw new Error(`Error in fetchAllComments for thread ${threadId}: ${err.message}`);
   }
   return comments;
-} 
\ No newline at end of file
+}
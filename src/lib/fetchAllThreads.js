@@ -1,52 +1,97 @@
 import { fetchWithRateLimit } from './fetchWithRateLimit.js';
 import { normalizeText } from './normalizeText.js';
+import { detectLanguage, UNDETERMINED } from './language.js';
+import { listingLabel } from './groupConfig.js';
+import { apiUrl, userAgent } from './endpoints.js';
+import { warn } from './helpers.js';
 
-// Fetch all threads for Omega-Red-Cappa-Edition
-export async function fetchAllThreads(subreddit, meta, count, token, fetchOptions) {
-  let after = null;
+// Flat thread row shared by every thread fetcher (listings, search, ...).
+// `lang` is detected on title + selftext, which then go through `normalize`
+// for that language; raw_text / raw_title keep the original.
+export function toThreadRow(post, meta, fields = {}, { normalize = normalizeText, language = detectLanguage } = {}) {
+  const lang = language.detect([post.title, post.selftext].filter(Boolean).join('\n'));
+  const textLang = lang === UNDETERMINED ? language.fallback : lang;
+  return {
+    text: normalize(post.selftext, textLang),
+    title: normalize(post.title, textLang),
+    raw_text: post.selftext || '',
+    raw_title: post.title || '',
+    url: post.url,
+    id: post.id,
+    subreddit: post.subreddit,
+    meta,
+    listing: '',
+    query: '',
+    time: post.created_utc,
+    author: post.author,
+    ups: post.ups,
+    downs: post.downs,
+    authorlinkkarma: '',
+    authorcommentkarma: '',
+    authorisgold: '',
+    authorismod: '',
+    authorcreated: '',
+    lang,
+    // Rempli par scoreThreads / scoreComments (options.sentiment)
+    sentiment: '',
+    ...fields
+  };
+}
+
+// Page through a Reddit listing with the `after` cursor, 100 items at a time.
+// `baseUrl` must already contain a query string. `after` resumes from a saved
+// cursor and `onPage(items, after)` is awaited after every page. On a listing
+// sorted by date, `since` ({ fullname, created_utc }) stops paging at the
+// first item already seen by a previous run. When paging fails after some
+// items were fetched, they are returned and `onError(err)` is called.
+export async function fetchListing(baseUrl, count, tokenProvider, fetchOptions, toRow, label, { after: startAfter = null, onPage, onError, since } = {}) {
+  let after = startAfter;
+  let reachedSeen = false;
   let fetched = 0;
-  let threads = [];
+  let items = [];
   try {
     while (fetched < count) {
       const limit = Math.min(100, count - fetched);
-      const url = `https://oauth.reddit.com/r/${subreddit}/new?limit=${limit}${after ? `&after=${after}` : ''}`;
+      const url = `${baseUrl}&limit=${limit}${after ? `&after=${after}` : ''}`;
       const response = await fetchWithRateLimit(url, {
         headers: {
-          'Authorization': `Bearer ${token}`,
-          'User-Agent': process.env.REDDIT_USER_AGENT
+          'User-Agent': userAgent(fetchOptions)
         }
-      }, fetchOptions);
+      }, { ...fetchOptions, tokenProvider });
       if (!response.ok) {
-        throw new Error(`Failed to fetch threads for r/${subreddit}`);
+        throw new Error(`Failed to fetch listing for ${label}`);
       }
       const data = await response.json();
       const children = data.data.children;
       if (!children || children.length === 0) break;
+      const page = [];
       for (const child of children) {
-        const t = child.data;
-        threads.push({
-          text: normalizeText(t.selftext),
-          title: normalizeText(t.title),
-          url: t.url,
-          id: t.id,
-          subreddit,
-          meta,
-          time: t.created_utc,
-          author: t.author,
-          ups: t.ups,
-          downs: t.downs,
-          authorlinkkarma: '',
-          authorcommentkarma: '',
-          authorisgold: ''
-        });
-        after = t.name;
+        if (since && (child.data.name === since.fullname || child.data.created_utc <= since.created_utc)) {
+          reachedSeen = true;
+          break;
+        }
+        page.push(toRow(child.data));
+        after = child.data.name;
         fetched++;
         if (fetched >= count) break;
       }
-      if (children.length < limit) break;
+      items.push(...page);
+      if (onPage) await onPage(page, after);
+      if (reachedSeen || children.length < limit) break;
     }
   } catch (err) {
-    console.log(`Error in fetchAllThreads for r/${subreddit}: ${err.message}`);
+    warn(fetchOptions, `Error in fetchListing for ${label}: ${err.message}`);
+    // Rien récupéré : c'est un échec, pas une liste vide
+    if (items.length === 0) throw err;
+    if (onError) onError(err);
   }
-  return threads;
-} 
\ No newline at end of file
+  return items;
+}
+
+// Fetch all threads for Omega-Red-Cappa-Edition.
+// `since` only short-circuits the `new` listing: the other sorts are not chronological.
+export async function fetchAllThreads(subreddit, meta, count, tokenProvider, fetchOptions, { sort = 'new', t, after, onPage, onError, since } = {}) {
+  const listing = listingLabel({ sort, t });
+  const baseUrl = apiUrl(`/r/${subreddit}/${sort}?raw_json=1${t ? `&t=${t}` : ''}`, fetchOptions);
+  return fetchListing(baseUrl, count, tokenProvider, fetchOptions, post => toThreadRow(post, meta, { subreddit, listing }, fetchOptions), `r/${subreddit}`, { after, onPage, onError, since: sort === 'new' ? since : undefined });
+}
@@ -0,0 +1,19 @@
+import { fetchListing, toThreadRow } from './fetchAllThreads.js';
+import { listingLabel } from './groupConfig.js';
+import { apiUrl } from './endpoints.js';
+
+// Search threads for Omega-Red-Cappa-Edition, in one subreddit or site-wide
+export async function fetchSearchThreads(query, meta, count, tokenProvider, fetchOptions, { subreddit, restrictSr = true, sort = 'relevance', t, after, onPage, onError, since } = {}) {
+  const listing = `search:${listingLabel({ sort, t })}`;
+  const params = new URLSearchParams({ q: query, sort, raw_json: '1', type: 'link' });
+  if (t) params.set('t', t);
+  let baseUrl;
+  if (subreddit) {
+    params.set('restrict_sr', restrictSr ? '1' : '0');
+    baseUrl = apiUrl(`/r/${subreddit}/search?${params}`, fetchOptions);
+  } else {
+    baseUrl = apiUrl(`/search?${params}`, fetchOptions);
+  }
+  const label = `search "${query}"${subreddit ? ` in r/${subreddit}` : ''}`;
+  return fetchListing(baseUrl, count, tokenProvider, fetchOptions, post => toThreadRow(post, meta, { listing, query }, fetchOptions), label, { after, onPage, onError, since: sort === 'new' ? since : undefined });
+}
@@ -0,0 +1,77 @@
+import { fetchWithRateLimit } from './fetchWithRateLimit.js';
+import { fetchListing, toThreadRow } from './fetchAllThreads.js';
+import { toCommentRow } from './fetchAllComments.js';
+import { apiUrl, userAgent } from './endpoints.js';
+import { warn } from './helpers.js';
+
+// /api/info accepte au plus 100 fullnames par requête
+const INFO_BATCH = 100;
+
+// Fetch thread rows from their fullnames (t3_...) through /api/info
+export async function fetchThreadsById(linkIds, meta, tokenProvider, fetchOptions, { listing = 'user:comments' } = {}) {
+  const threads = [];
+  for (let i = 0; i < linkIds.length; i += INFO_BATCH) {
+    const ids = linkIds.slice(i, i + INFO_BATCH).join(',');
+    const response = await fetchWithRateLimit(apiUrl(`/api/info?raw_json=1&id=${ids}`, fetchOptions), {
+      headers: {
+        'User-Agent': userAgent(fetchOptions)
+      }
+    }, { ...fetchOptions, tokenProvider });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch parent threads (${ids})`);
+    }
+    const data = await response.json();
+    for (const child of data.data.children || []) {
+      threads.push(toThreadRow(child.data, meta, { listing }, fetchOptions));
+    }
+  }
+  return threads;
+}
+
+// Fetch a user's submissions and comments for Omega-Red-Cappa-Edition.
+// Returns the usual thread rows plus the user's comment rows; comments whose
+// parent thread was not submitted by the user get a parent thread row too,
+// either fetched in full (parentContext) or rebuilt from the link_* fields.
+// Both listings are sorted by date, so `since` stops each of them early.
+export async function fetchUserHistory(username, meta, count, tokenProvider, fetchOptions, { submitted = true, comments = true, parentContext = false, since, onError } = {}) {
+  const baseUrl = apiUrl(`/user/${encodeURIComponent(username)}`, fetchOptions);
+  let threads = [];
+  let userComments = [];
+  if (submitted) {
+    threads = await fetchListing(`${baseUrl}/submitted?raw_json=1&sort=new`, count, tokenProvider, fetchOptions,
+      post => toThreadRow(post, meta, { listing: 'user:submitted' }, fetchOptions), `u/${username} submissions`, { since, onError });
+  }
+  // Titre / lien / auteur du thread parent, tels que renvoyés avec chaque commentaire
+  const linkInfo = new Map();
+  if (comments) {
+    userComments = await fetchListing(`${baseUrl}/comments?raw_json=1&sort=new`, count, tokenProvider, fetchOptions, comment => {
+      linkInfo.set(comment.link_id, {
+        id: comment.link_id.slice(3),
+        title: comment.link_title,
+        url: comment.link_url || `https://www.reddit.com${comment.link_permalink || ''}`,
+        subreddit: comment.subreddit,
+        author: comment.link_author
+      });
+      return toCommentRow(comment, meta, { listing: 'user:comments' }, fetchOptions);
+    }, `u/${username} comments`, { since, onError });
+  }
+
+  const knownThreads = new Set(threads.map(t => t.id));
+  const missing = [...new Set(userComments.map(c => c.link_id))].filter(linkId => !knownThreads.has(linkId.slice(3)));
+  let parentThreads = [];
+  if (parentContext && missing.length) {
+    try {
+      parentThreads = await fetchThreadsById(missing, meta, tokenProvider, fetchOptions);
+    } catch (err) {
+      warn(fetchOptions, `Error in fetchUserHistory for u/${username}: ${err.message}`);
+    }
+  }
+  const fetchedParents = new Set(parentThreads.map(t => t.id));
+  // Sans contexte (ou si /api/info a échoué) : thread minimal tiré des champs link_*
+  for (const linkId of missing) {
+    if (fetchedParents.has(linkId.slice(3))) continue;
+    parentThreads.push(toThreadRow(linkInfo.get(linkId), meta, { listing: 'user:comments' }, fetchOptions));
+  }
+
+  return { threads: [...threads, ...parentThreads], comments: userComments };
+}
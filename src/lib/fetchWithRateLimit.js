@@ -1,39 +1,66 @@
 import fetch from 'node-fetch';
 import chalk from 'chalk';
+import { toTokenProvider } from './tokenProvider.js';
 
-// Fetch with rate limit for Omega-Red-Cappa-Edition
-export async function fetchWithRateLimit(url, options, { maxRetries = 5, baseDelay = 2000, minDelay = 1000, highDelay = 3000 } = {}) {
+// Delay to wait after a response, from its x-ratelimit-remaining / -reset
+// headers (NaN when absent). `info` is the status line shown when fewer than
+// 20 requests are left, null otherwise.
+export function computeThrottle(remaining, reset, { minDelay = 1000, highDelay = 3000 } = {}) {
+  let throttle = minDelay;
+  let info = null;
+  if (!isNaN(remaining) && !isNaN(reset) && remaining > 0) {
+    // Calcule le délai optimal pour ne pas dépasser la limite
+    throttle = Math.max(minDelay, Math.ceil((reset * 1000) / remaining));
+    if (remaining < 3) {
+      throttle = Math.max(throttle, 10000); // 10s si on est vraiment limite
+    } else if (remaining < 10) {
+      throttle = Math.max(throttle, highDelay);
+    }
+    if (remaining < 20) {
+      info = `[ratelimit] Remaining: ${remaining}, Reset in: ${reset}s, Throttle: ${throttle}ms`;
+    }
+  } else if (!isNaN(remaining) && remaining < 10) {
+    throttle = highDelay;
+    info = `[ratelimit] Remaining: ${remaining}, Throttle: ${throttle}ms`;
+  }
+  return { throttle, info };
+}
+
+// Fetch with rate limit for Omega-Red-Cappa-Edition.
+// With a tokenProvider, the Authorization header is set on every attempt and
+// a 401 is retried once with a renewed token.
+// With onRateLimited({ url, attempt, delayMs }), 429 backoffs are reported to
+// it and waited silently instead of being counted down on stdout.
+export async function fetchWithRateLimit(url, options, { maxRetries = 5, baseDelay = 2000, minDelay = 1000, highDelay = 3000, tokenProvider = null, onRateLimited = null } = {}) {
   let attempt = 0;
   let delay = baseDelay;
   let lastRateLimitInfo = null;
+  let authRetried = false;
+  const auth = tokenProvider && toTokenProvider(tokenProvider);
   while (attempt <= maxRetries) {
-    const response = await fetch(url, options);
-    // Throttle based on quota
-    const remaining = parseFloat(response.headers.get('x-ratelimit-remaining'));
-    const reset = parseFloat(response.headers.get('x-ratelimit-reset'));
-    let throttle = minDelay;
-    let dynamic = false;
-    if (!isNaN(remaining) && !isNaN(reset) && remaining > 0) {
-      // Calcule le délai optimal pour ne pas dépasser la limite
-      throttle = Math.max(minDelay, Math.ceil((reset * 1000) / remaining));
-      dynamic = true;
-      if (remaining < 3) {
-        throttle = Math.max(throttle, 10000); // 10s si on est vraiment limite
-      } else if (remaining < 10) {
-        throttle = Math.max(throttle, highDelay);
-      }
-      if (remaining < 20) {
-        lastRateLimitInfo = `[ratelimit] Remaining: ${remaining}, Reset in: ${reset}s, Throttle: ${throttle}ms`;
-      }
-    } else if (!isNaN(remaining) && remaining < 10) {
-      throttle = highDelay;
-      if (remaining < 20) {
-        lastRateLimitInfo = `[ratelimit] Remaining: ${remaining}, Throttle: ${throttle}ms`;
-      }
+    let token = null;
+    let requestOptions = options;
+    if (auth) {
+      token = await auth.getToken();
+      requestOptions = { ...options, headers: { ...options.headers, 'Authorization': `Bearer ${token}` } };
+    }
+    const response = await fetch(url, requestOptions);
+    // Token expiré ou révoqué : on en redemande un et on rejoue la requête une seule fois
+    if (response.status === 401 && auth && !authRetried) {
+      authRetried = true;
+      auth.invalidate(token);
+      continue;
     }
+    // Throttle based on quota
+    const { throttle, info } = computeThrottle(
+      parseFloat(response.headers.get('x-ratelimit-remaining')),
+      parseFloat(response.headers.get('x-ratelimit-reset')),
+      { minDelay, highDelay }
+    );
+    if (info) lastRateLimitInfo = info;
     if (response.status !== 429) {
       // Clear any previous rate limit message
-      if (attempt > 0) process.stdout.write('\r' + ' '.repeat(100) + '\r');
+      if (attempt > 0 && !onRateLimited) process.stdout.write('\r' + ' '.repeat(100) + '\r');
       // Wait before next request to avoid burning the quota
       await new Promise(res => setTimeout(res, throttle));
       // Ajoute l'info ratelimit sur l'objet response
@@ -41,6 +68,13 @@ export async function fetchWithRateLimit(url, options, { maxRetries = 5, baseDel
       return response;
     }
     // 429 Too Many Requests
+    if (onRateLimited) {
+      onRateLimited({ url, attempt: attempt + 1, delayMs: delay });
+      await new Promise(res => setTimeout(res, delay));
+      delay *= 2;
+      attempt++;
+      continue;
+    }
     let remainingMs = delay;
     const explanation = chalk.yellowBright('Rate limited by Reddit API (HTTP 429). This means you have sent too many requests in a short period. Waiting before retrying...');
     const interval = 200;
@@ -59,6 +93,6 @@ export async function fetchWithRateLimit(url, options, { maxRetries = 5, baseDel
     attempt++;
   }
   // Clear the line before throwing
-  process.stdout.write('\r' + ' '.repeat(120) + '\r');
+  if (!onRateLimited) process.stdout.write('\r' + ' '.repeat(120) + '\r');
   throw new Error('Exceeded maximum retries due to Reddit API rate limiting (HTTP 429).');
 } 
\ No newline at end of file
@@ -0,0 +1,111 @@
+// Group configuration helpers for Omega-Red-Cappa-Edition
+
+export const LISTING_SORTS = ['new', 'hot', 'top', 'controversial', 'rising'];
+export const TIME_WINDOWS = ['hour', 'day', 'week', 'month', 'year', 'all'];
+
+// Label stored on every row so mixed datasets stay interpretable ("new", "top:week", ...)
+export function listingLabel({ sort, t }) {
+  return t ? `${sort}:${t}` : sort;
+}
+
+// Normalise a group of config.subreddits into a list of jobs.
+// A group is either the plain { subreddit: count } map, or
+// { sort, t, languages, subreddits: { ... } } to set group-wide defaults.
+// A subreddit value is either a count or { count, sort, t, languages }.
+// `languages` keeps only the threads detected in those languages.
+export function resolveGroup(groupConfig, options = {}) {
+  const isExtended = !!groupConfig.subreddits && typeof groupConfig.subreddits === 'object';
+  const entries = isExtended ? groupConfig.subreddits : groupConfig;
+  const groupSort = (isExtended && groupConfig.sort) || options.sort || 'new';
+  const groupT = (isExtended && groupConfig.t) || options.t;
+  const groupLanguages = (isExtended && groupConfig.languages) || undefined;
+  return Object.keys(entries).map(subreddit => {
+    const value = entries[subreddit];
+    const job = typeof value === 'number'
+      ? { kind: 'listing', subreddit, count: value, sort: groupSort, t: groupT, languages: groupLanguages }
+      : { kind: 'listing', subreddit, count: value.count, sort: value.sort || groupSort, t: value.t || groupT, languages: value.languages || groupLanguages };
+    if (!LISTING_SORTS.includes(job.sort)) {
+      throw new Error(`Invalid sort '${job.sort}' for r/${subreddit} (expected one of ${LISTING_SORTS.join(', ')})`);
+    }
+    // t n'a de sens que pour top / controversial
+    if (job.sort !== 'top' && job.sort !== 'controversial') {
+      job.t = undefined;
+    } else if (job.t && !TIME_WINDOWS.includes(job.t)) {
+      throw new Error(`Invalid time window '${job.t}' for r/${subreddit} (expected one of ${TIME_WINDOWS.join(', ')})`);
+    }
+    return job;
+  });
+}
+
+export const SEARCH_SORTS = ['relevance', 'hot', 'top', 'new', 'comments'];
+
+// Normalise a group of config.searches (an array of queries) into search jobs.
+// Each query is { query, count, subreddit?, restrict_sr?, sort?, t?, languages? };
+// without subreddit the search runs site-wide.
+export function resolveSearchGroup(searchConfig, options = {}) {
+  return searchConfig.map(entry => {
+    if (!entry || typeof entry.query !== 'string' || !entry.query.trim()) {
+      throw new Error('Each search needs a non-empty "query"');
+    }
+    const job = {
+      kind: 'search',
+      query: entry.query,
+      subreddit: entry.subreddit || null,
+      restrictSr: entry.restrict_sr !== false,
+      count: entry.count ?? options.searchCount ?? 100,
+      sort: entry.sort || 'relevance',
+      t: entry.t,
+      languages: entry.languages
+    };
+    if (!SEARCH_SORTS.includes(job.sort)) {
+      throw new Error(`Invalid search sort '${job.sort}' for "${job.query}" (expected one of ${SEARCH_SORTS.join(', ')})`);
+    }
+    if (job.t && !TIME_WINDOWS.includes(job.t)) {
+      throw new Error(`Invalid time window '${job.t}' for "${job.query}" (expected one of ${TIME_WINDOWS.join(', ')})`);
+    }
+    return job;
+  });
+}
+
+// Normalise a group of config.users into user jobs. Each entry is a username
+// or { username, count?, submitted?, comments?, parentContext?, languages? }.
+export function resolveUserGroup(userConfig, options = {}) {
+  return userConfig.map(entry => {
+    const value = typeof entry === 'string' ? { username: entry } : (entry || {});
+    if (typeof value.username !== 'string' || !value.username.trim()) {
+      throw new Error('Each user needs a non-empty "username"');
+    }
+    return {
+      kind: 'user',
+      username: value.username.replace(/^u\//, ''),
+      count: value.count ?? options.userCount ?? 100,
+      submitted: value.submitted !== false,
+      comments: value.comments !== false,
+      parentContext: value.parentContext ?? options.userParentContext ?? false,
+      languages: value.languages
+    };
+  });
+}
+
+// Human-readable label for a job, used in logs
+export function describeJob(job) {
+  if (job.kind === 'search') {
+    return `search "${job.query}"${job.subreddit ? ` in r/${job.subreddit}` : ''}`;
+  }
+  if (job.kind === 'user') return `u/${job.username}`;
+  return `r/${job.subreddit} (${listingLabel(job)})`;
+}
+
+// Stable identifier of a job, used to key checkpoint journals
+export function jobKey(job) {
+  return [job.kind, job.subreddit || '', job.query || '', job.username || '', job.sort || '', job.t || ''].join('|');
+}
+
+// Where the posts of a job are grouped in the exports: `key` names the entry of
+// the JSON export (and the SQLite `source`), the other fields describe it
+export function jobSource(job) {
+  const subreddit = job.subreddit || 'all';
+  if (job.kind === 'search') return { key: `search:${job.query}:${subreddit}`, subreddit, query: job.query };
+  if (job.kind === 'user') return { key: `user:${job.username}`, subreddit, user: job.username };
+  return { key: subreddit, subreddit };
+}
@@ -3,6 +3,13 @@ export function wait(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Non-fatal problem met while fetching: handed to fetchOptions.onWarning when
+// set (library API), printed otherwise
+export function warn(fetchOptions, message) {
+  if (fetchOptions && fetchOptions.onWarning) fetchOptions.onWarning(message);
+  else console.log(message);
+}
+
 export function padNumber(num, length = 4) {
   return String(num).padStart(length, '0');
 }
@@ -28,10 +35,10 @@ export function calculateEta(startTime, completed, total) {
   return rate * remaining;
 }
 
-export function formatDate(ts) {
+export function formatDate(ts, locale = 'fr-FR') {
   if (!ts) return '';
   const d = new Date(ts * 1000);
-  return d.toLocaleString('fr-FR', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+  return d.toLocaleString(locale, { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
 }
 
 export function mdEscape(str) {
@@ -0,0 +1,239 @@
+import fs from 'fs/promises';
+import { formatDate } from './helpers.js';
+import { dateLocaleFor } from './language.js';
+
+// Self-contained HTML export: one file per group, readable offline. Reply
+// trees are native <details> elements, so they fold even without JavaScript;
+// the inline script only adds search, sorting and filters. No external asset.
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function htmlEscape(str) {
+  return String(str ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+const STYLE = `
+:root { --fg: #1c1c1c; --muted: #6b6b6b; --line: #e2e2e2; --bg: #fafafa; --card: #fff; --accent: #d93a00; --hit: #fff3b0; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 15px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: var(--fg); background: var(--bg); }
+header.top { position: sticky; top: 0; z-index: 1; background: var(--card); border-bottom: 1px solid var(--line); padding: .6rem 1rem; }
+header.top h1 { font-size: 1.15rem; margin: 0 0 .4rem; }
+.controls { display: flex; flex-wrap: wrap; gap: .5rem; align-items: center; }
+.controls input, .controls select, .controls button { font: inherit; padding: .2rem .4rem; }
+.controls input[type=search] { flex: 1 1 16rem; }
+.controls input[type=number] { width: 6rem; }
+.stats { color: var(--muted); font-size: .85rem; }
+.layout { display: flex; align-items: flex-start; }
+nav.index { position: sticky; top: 6.5rem; flex: 0 0 18rem; max-height: calc(100vh - 7rem); overflow: auto; padding: 1rem; font-size: .85rem; }
+nav.index ul { list-style: none; margin: .2rem 0 .6rem; padding-left: .6rem; }
+nav.index a { color: inherit; text-decoration: none; }
+nav.index a:hover { text-decoration: underline; }
+main { flex: 1; min-width: 0; padding: 1rem; }
+section.source > h2 { font-size: 1.05rem; border-bottom: 2px solid var(--accent); padding-bottom: .2rem; }
+article.post { background: var(--card); border: 1px solid var(--line); border-radius: 6px; padding: .8rem 1rem; margin: 0 0 1rem; }
+article.post h3 { margin: 0 0 .3rem; font-size: 1rem; }
+.meta { color: var(--muted); font-size: .82rem; }
+.text { white-space: pre-wrap; overflow-wrap: anywhere; margin: .4rem 0; }
+details.comment { border-left: 2px solid var(--line); margin: .3rem 0 .3rem .4rem; padding-left: .6rem; }
+details.comment > summary { cursor: pointer; color: var(--muted); font-size: .82rem; }
+details.comment > summary .author { color: var(--fg); font-weight: 600; }
+details.comment.hit > .text { background: var(--hit); }
+.hidden { display: none !important; }
+@media (max-width: 800px) { nav.index { display: none; } header.top { position: static; } }
+`;
+
+// Recherche plein texte, tri et filtres côté client (aucune dépendance)
+const SCRIPT = `
+(function () {
+  var $ = function (sel) { return document.querySelector(sel); };
+  var posts = Array.prototype.slice.call(document.querySelectorAll('article.post'));
+  posts.forEach(function (post) {
+    post._text = post.textContent.toLowerCase();
+    post._comments = Array.prototype.slice.call(post.querySelectorAll('details.comment'));
+    post._comments.forEach(function (c) {
+      c._text = c.querySelector(':scope > .text').textContent.toLowerCase();
+      c._author = c.getAttribute('data-author').toLowerCase();
+    });
+  });
+  function openAncestors(el) {
+    for (var p = el.parentElement; p; p = p.parentElement) if (p.tagName === 'DETAILS') p.open = true;
+  }
+  function apply() {
+    var terms = $('#q').value.toLowerCase().split(/\\s+/).filter(Boolean);
+    var author = $('#author').value.trim().toLowerCase().replace(/^u\\//, '');
+    var minScore = parseFloat($('#min-score').value);
+    var shown = 0;
+    posts.forEach(function (post) {
+      var match = terms.every(function (t) { return post._text.indexOf(t) >= 0; });
+      if (match && !isNaN(minScore)) match = Number(post.getAttribute('data-score')) >= minScore;
+      var byAuthor = !author || post.getAttribute('data-author').toLowerCase() === author;
+      post._comments.forEach(function (c) {
+        var hit = (terms.length > 0 || author) &&
+          terms.every(function (t) { return c._text.indexOf(t) >= 0 || c._author.indexOf(t) >= 0; }) &&
+          (!author || c._author === author);
+        c.classList.toggle('hit', !!hit);
+        if (hit) { byAuthor = true; openAncestors(c); }
+      });
+      match = match && byAuthor;
+      post.classList.toggle('hidden', !match);
+      var link = document.querySelector('nav.index a[href="#' + post.id + '"]');
+      if (link) link.parentElement.classList.toggle('hidden', !match);
+      if (match) shown++;
+    });
+    document.querySelectorAll('section.source').forEach(function (section) {
+      section.classList.toggle('hidden', !section.querySelector('article.post:not(.hidden)'));
+    });
+    $('#shown').textContent = shown;
+  }
+  function sort() {
+    var key = $('#sort').value.split(':');
+    var attr = 'data-' + key[0];
+    var dir = key[1] === 'asc' ? 1 : -1;
+    document.querySelectorAll('section.source').forEach(function (section) {
+      var list = section.querySelector('.posts');
+      Array.prototype.slice.call(list.children)
+        .sort(function (a, b) { return dir * (Number(a.getAttribute(attr)) - Number(b.getAttribute(attr))) || Number(a.getAttribute('data-order')) - Number(b.getAttribute('data-order')); })
+        .forEach(function (post) { list.appendChild(post); });
+    });
+  }
+  function toggleAll(open) {
+    document.querySelectorAll('details.comment').forEach(function (d) { d.open = open; });
+  }
+  var timer;
+  $('#q').addEventListener('input', function () { clearTimeout(timer); timer = setTimeout(apply, 150); });
+  $('#author').addEventListener('input', apply);
+  $('#min-score').addEventListener('input', apply);
+  $('#sort').addEventListener('change', sort);
+  $('#expand').addEventListener('click', function () { toggleAll(true); });
+  $('#collapse').addEventListener('click', function () { toggleAll(false); });
+})();
+`;
+
+function formatSentiment(sentiment) {
+  if (typeof sentiment !== 'number') return '';
+  return ` · sentiment ${sentiment > 0 ? '+' : ''}${sentiment.toFixed(2)}`;
+}
+
+function isoDate(ts) {
+  return ts ? new Date(ts * 1000).toISOString() : '';
+}
+
+function sourceTitle(source) {
+  if (source.query) return `🔎 Recherche : « ${htmlEscape(source.query)} » (r/${htmlEscape(source.subreddit)})`;
+  if (source.user) return `👤 Utilisateur : u/${htmlEscape(source.user)}`;
+  return `🧵 Subreddit : r/${htmlEscape(source.subreddit)}`;
+}
+
+function countReplies(comments) {
+  return comments.reduce((total, c) => total + 1 + countReplies(c.replies || []), 0);
+}
+
+// Helper: Reply tree as nested <details>, every level open by default
+function renderCommentsHtml(comments, dateLocale) {
+  return comments.map(c => {
+    const username = c.author?.username || '[deleted]';
+    const replies = c.replies || [];
+    const replyCount = countReplies(replies);
+    return `<details class="comment" open data-author="${htmlEscape(username)}">` +
+      `<summary><span class="author">u/${htmlEscape(username)}</span> (karma : ${c.author?.karma || 0}) · ` +
+      `score ${c.score} · <time datetime="${isoDate(c.created_utc)}">${htmlEscape(formatDate(c.created_utc, dateLocaleFor(c.lang, dateLocale)))}</time>` +
+      `${formatSentiment(c.sentiment)}${replyCount ? ` · ${replyCount} réponse${replyCount > 1 ? 's' : ''}` : ''}</summary>` +
+      `<div class="text">${htmlEscape(c.raw_body ?? c.body)}</div>` +
+      renderCommentsHtml(replies, dateLocale) +
+      '</details>';
+  }).join('');
+}
+
+function renderPostHtml(post, anchor, order, source, dateLocale) {
+  const username = post.author?.username || '[deleted]';
+  const title = post.raw_title ?? post.title;
+  let html = `<article class="post" id="${anchor}" data-order="${order}" data-score="${post.score}" data-date="${post.created_utc || 0}" data-comments="${post.num_comments}" data-author="${htmlEscape(username)}">`;
+  html += `<h3>${htmlEscape(title)}</h3>`;
+  html += `<div class="meta">u/${htmlEscape(username)} (karma : ${post.author?.karma || 0}) · ` +
+    `<time datetime="${isoDate(post.created_utc)}">${htmlEscape(formatDate(post.created_utc, dateLocaleFor(post.lang, dateLocale)))}</time> · ` +
+    `score ${post.score}${formatSentiment(post.sentiment)} · ${post.num_comments} commentaire${post.num_comments > 1 ? 's' : ''}` +
+    `${source.query || source.user ? ` · r/${htmlEscape(post.subreddit)}` : ''}${post.listing ? ` · tri ${htmlEscape(post.listing)}` : ''} · ` +
+    `<a href="https://www.reddit.com${htmlEscape(post.permalink || '')}">Voir sur Reddit</a></div>`;
+  const text = post.raw_selftext ?? post.selftext;
+  if (text) html += `<div class="text">${htmlEscape(text)}</div>`;
+  if (post.comments && post.comments.length) html += renderCommentsHtml(post.comments, dateLocale);
+  return html + '</article>';
+}
+
+// Whole page of a group. jsonOutput is the JSON export ({ key: { subreddit,
+// query?, user?, posts } }); options: { dateLocale, isAutosave }.
+export function renderGroupHtml(meta, jsonOutput, options = {}) {
+  // Locale des dates : fixe, ou 'auto' pour suivre la langue de chaque post / commentaire
+  const dateLocale = options.dateLocale || 'fr-FR';
+  const sources = Object.values(jsonOutput).filter(source => source && source.posts && source.posts.length);
+  const postCount = sources.reduce((total, source) => total + source.posts.length, 0);
+  const authors = new Set();
+  const collectAuthors = comments => comments.forEach(c => {
+    authors.add(c.author?.username || '[deleted]');
+    collectAuthors(c.replies || []);
+  });
+
+  let index = '';
+  let body = '';
+  sources.forEach((source, sourceIndex) => {
+    index += `<strong>${sourceTitle(source)}</strong><ul>`;
+    body += `<section class="source"><h2>${sourceTitle(source)}</h2><div class="posts">`;
+    // Un même thread peut venir de plusieurs sources : l'ancre inclut la source
+    source.posts.forEach((post, order) => {
+      const anchor = `post-${sourceIndex}-${htmlEscape(post.id)}`;
+      authors.add(post.author?.username || '[deleted]');
+      collectAuthors(post.comments || []);
+      index += `<li><a href="#${anchor}">${htmlEscape(post.raw_title ?? post.title)}</a></li>`;
+      body += renderPostHtml(post, anchor, order, source, dateLocale);
+    });
+    index += '</ul>';
+    body += '</div></section>';
+  });
+  const authorOptions = [...authors].sort().map(name => `<option value="${htmlEscape(name)}">`).join('');
+  const autosave = options.isAutosave ? ` · sauvegarde automatique du ${htmlEscape(new Date().toLocaleString())}` : '';
+
+  return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Export Reddit — ${htmlEscape(meta)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header class="top">
+<h1>Export Reddit — Groupe : ${htmlEscape(meta)}</h1>
+<div class="controls">
+<input type="search" id="q" placeholder="Rechercher dans les posts et commentaires…" aria-label="Recherche">
+<input type="text" id="author" list="authors" placeholder="Auteur" aria-label="Auteur">
+<datalist id="authors">${authorOptions}</datalist>
+<input type="number" id="min-score" placeholder="Score min." aria-label="Score minimum">
+<select id="sort" aria-label="Tri">
+<option value="order:asc">Ordre du listing</option>
+<option value="score:desc">Score décroissant</option>
+<option value="date:desc">Plus récents</option>
+<option value="date:asc">Plus anciens</option>
+<option value="comments:desc">Plus commentés</option>
+</select>
+<button type="button" id="expand">Tout déplier</button>
+<button type="button" id="collapse">Tout replier</button>
+<span class="stats"><span id="shown">${postCount}</span> / ${postCount} posts${autosave}</span>
+</div>
+</header>
+<div class="layout">
+<nav class="index">${index}</nav>
+<main>${body}</main>
+</div>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// Writes the page of the group to htmlPath; returns [htmlPath], or [] (and
+// writes nothing) when the group has no post.
+export async function exportGroupToHtml(meta, jsonOutput, htmlPath, options = {}) {
+  if (!Object.values(jsonOutput).some(source => source && source.posts && source.posts.length)) return [];
+  await fs.writeFile(htmlPath, renderGroupHtml(meta, jsonOutput, options));
+  return [htmlPath];
+}
@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+
+// Incremental state for Omega-Red-Cappa-Edition.
+// last_run.json keeps one high-water mark (newest fullname + created_utc) per
+// subreddit listing (and sort), search and user, instead of a single global timestamp:
+// { "subreddits": { "saas|new": { "fullname": "t3_abc", "created_utc": 1747272000, "updatedAt": 1747272453 } },
+//   "searches": { ... }, "users": { ... } }
+// A legacy `lastRun` value, or a legacy mark shared by every sort of a subreddit,
+// is still read as the fallback for sources without a mark.
+
+export async function loadIncrementalState(statePath) {
+  let data = {};
+  try {
+    data = JSON.parse(await fs.readFile(statePath, 'utf-8'));
+  } catch {}
+  return {
+    lastRun: data.lastRun || 0,
+    subreddits: data.subreddits || {},
+    searches: data.searches || {},
+    users: data.users || {}
+  };
+}
+
+export async function saveIncrementalState(statePath, state) {
+  const { lastRun, ...marks } = state;
+  // Écriture atomique, comme pour les checkpoints
+  await fs.writeFile(`${statePath}.tmp`, JSON.stringify(lastRun ? state : marks, null, 2));
+  await fs.rename(`${statePath}.tmp`, statePath);
+}
+
+// Section and key of the mark tracked for a job. Each sort of a subreddit has
+// its own mark: a `top` or `hot` listing must not move the mark of `/new` past
+// posts that `/new` never listed.
+export function markLocation(job) {
+  if (job.kind === 'search') {
+    return ['searches', `${job.query}|${(job.subreddit || 'all').toLowerCase()}`];
+  }
+  if (job.kind === 'user') return ['users', job.username.toLowerCase()];
+  return ['subreddits', [job.subreddit.toLowerCase(), job.sort || 'new', job.t].filter(Boolean).join('|')];
+}
+
+export function getMark(state, job) {
+  const [section, key] = markLocation(job);
+  if (state[section][key]) return state[section][key];
+  // Anciens last_run.json : un seul repère par subreddit, toutes sortes confondues
+  if (section === 'subreddits' && state[section][job.subreddit.toLowerCase()]) {
+    return state[section][job.subreddit.toLowerCase()];
+  }
+  return state.lastRun ? { fullname: null, created_utc: state.lastRun } : null;
+}
+
+export function setMark(state, job, mark) {
+  const [section, key] = markLocation(job);
+  state[section][key] = { ...mark, updatedAt: Math.floor(Date.now() / 1000) };
+}
+
+// Newest item of a batch of thread (t3) and comment (t1) rows, or the previous
+// mark when nothing newer was fetched
+export function newestMark(rows, previous = null) {
+  let mark = previous ? { fullname: previous.fullname, created_utc: previous.created_utc } : null;
+  for (const row of rows) {
+    if (!row.time) continue;
+    if (!mark || row.time > mark.created_utc) {
+      // Seules les lignes commentaire ont un link_id
+      mark = { fullname: `${row.link_id ? 't1' : 't3'}_${row.id}`, created_utc: row.time };
+    }
+  }
+  return mark;
+}
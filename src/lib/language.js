@@ -0,0 +1,75 @@
+import natural from 'natural';
+import { francAll } from 'franc';
+import stopwordsFr from 'natural/lib/natural/util/stopwords_fr.js';
+import stopwordsEs from 'natural/lib/natural/util/stopwords_es.js';
+import stopwordsIt from 'natural/lib/natural/util/stopwords_it.js';
+import stopwordsPt from 'natural/lib/natural/util/stopwords_pt.js';
+import stopwordsNl from 'natural/lib/natural/util/stopwords_nl.js';
+
+// Language detection for Omega-Red-Cappa-Edition.
+// Posts and comments get a `lang` field (ISO 639-1, or "und" when the text is
+// too short or ambiguous), detected offline from character trigrams (franc).
+// The language then picks the tokenizer, the stop words and the date locale.
+
+export const UNDETERMINED = 'und';
+
+// Langues prises en charge : code franc (ISO 639-3), locale des dates,
+// tokenizer et mots vides de natural
+export const LANGUAGES = {
+  en: { iso3: 'eng', locale: 'en-US', tokenizer: () => new natural.TreebankWordTokenizer(), stopwords: natural.stopwords },
+  fr: { iso3: 'fra', locale: 'fr-FR', tokenizer: () => new natural.AggressiveTokenizerFr(), stopwords: stopwordsFr.words },
+  es: { iso3: 'spa', locale: 'es-ES', tokenizer: () => new natural.AggressiveTokenizerEs(), stopwords: stopwordsEs.words },
+  it: { iso3: 'ita', locale: 'it-IT', tokenizer: () => new natural.AggressiveTokenizerIt(), stopwords: stopwordsIt.words },
+  pt: { iso3: 'por', locale: 'pt-PT', tokenizer: () => new natural.AggressiveTokenizerPt(), stopwords: stopwordsPt.words },
+  nl: { iso3: 'nld', locale: 'nl-NL', tokenizer: () => new natural.AggressiveTokenizerNl(), stopwords: stopwordsNl.words }
+};
+
+export const DEFAULT_LANGUAGE_OPTIONS = {
+  detect: true,
+  candidates: Object.keys(LANGUAGES),
+  minLength: 20,
+  fallback: 'en',
+  include: null,
+  exclude: [],
+  filterComments: false
+};
+
+// Écart minimal entre les deux meilleurs scores : en dessous, le texte est
+// trop court ou trop mélangé pour trancher
+const MIN_MARGIN = 0.05;
+
+const BY_ISO3 = new Map(Object.entries(LANGUAGES).map(([code, language]) => [language.iso3, code]));
+
+// Build the detector used by the row builders. `detect(text)` returns a key of
+// LANGUAGES or UNDETERMINED; `fallback` is the language used to tokenize
+// undetermined text.
+export function createLanguageDetector(options = {}) {
+  const settings = { ...DEFAULT_LANGUAGE_OPTIONS, ...options };
+  // Se limiter aux langues attendues rend les textes courts bien plus fiables
+  const only = settings.candidates.map(code => LANGUAGES[code].iso3);
+
+  function detect(text) {
+    if (!settings.detect || !text) return UNDETERMINED;
+    const [best, second] = francAll(text, { only, minLength: settings.minLength });
+    if (second && best[1] - second[1] < MIN_MARGIN) return UNDETERMINED;
+    return BY_ISO3.get(best[0]) || UNDETERMINED;
+  }
+
+  return { detect, fallback: settings.fallback };
+}
+
+export const detectLanguage = createLanguageDetector();
+
+// Whether a row in `lang` passes the { include, exclude } filter. Undetermined
+// text is always kept: short comments would otherwise vanish.
+export function acceptsLanguage(lang, { include, exclude } = {}) {
+  if (!lang || lang === UNDETERMINED) return true;
+  if (exclude && exclude.includes(lang)) return false;
+  return !include || include.includes(lang);
+}
+
+// Locale used to print dates: fixed, or 'auto' to follow the content language
+export function dateLocaleFor(lang, dateLocale = 'fr-FR') {
+  if (dateLocale !== 'auto') return dateLocale;
+  return (LANGUAGES[lang] || LANGUAGES.fr).locale;
+}
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import { once } from 'events';
+import { buildThreadObject } from './commentTree.js';
+import { applyTextVariant } from './textVariant.js';
+
+// NDJSON (JSON Lines) export for Omega-Red-Cappa-Edition: one thread per
+// line, appended as soon as its comments are known, so a group never has to
+// be held in memory or rewritten in full.
+
+export const NDJSON_COMMENT_MODES = ['tree', 'flat'];
+
+// Line written for one thread: the usual post object, tagged with its group
+// and source, and its comments either as a reply tree or as flat rows
+export function toNdjsonRecord(thread, comments, { meta, source, comments: mode = 'tree', text = 'both' }) {
+  const post = buildThreadObject(thread, comments, text);
+  return {
+    meta,
+    source,
+    ...post,
+    comments: mode === 'flat' ? comments.map(c => applyTextVariant(c, text)) : post.comments
+  };
+}
+
+// write() resolves once the line is accepted: when the stream buffer is full
+// (slow disk), only after it has drained, so memory stays flat on large runs.
+export function createNdjsonWriter(filePath, { highWaterMark } = {}) {
+  // Le flux garde l'ordre des écritures, même avec plusieurs workers pMap
+  const stream = fs.createWriteStream(filePath, { flags: 'w', ...(highWaterMark ? { highWaterMark } : {}) });
+  let written = 0;
+  let failure = null;
+  stream.on('error', err => { failure = err; });
+
+  async function write(record) {
+    if (failure) throw failure;
+    written++;
+    if (!stream.write(JSON.stringify(record) + '\n')) {
+      await once(stream, 'drain');
+    }
+  }
+
+  function close() {
+    return new Promise((resolve, reject) => {
+      if (failure) return reject(failure);
+      stream.end(err => (err ? reject(err) : resolve(written)));
+    });
+  }
+
+  return {
+    write,
+    close,
+    get written() { return written; }
+  };
+}
@@ -1,10 +1,106 @@
 import natural from 'natural';
+import { LANGUAGES } from './language.js';
 
-const tokenizer = new natural.TreebankWordTokenizer();
+// Text normalization for Omega-Red-Cappa-Edition.
+// The pipeline is configured by `options.normalization`. With the default
+// `auto` tokenizer, each text is tokenized for its detected language (Treebank
+// for English, natural's language tokenizers otherwise).
 
-// Text normalization for Omega-Red-Cappa-Edition
+export const TOKENIZERS = {
+  treebank: () => new natural.TreebankWordTokenizer(),
+  word: () => new natural.WordTokenizer(),
+  wordpunct: () => new natural.WordPunctTokenizer(),
+  whitespace: () => ({ tokenize: text => text.split(/\s+/).filter(Boolean) })
+};
 
-export function normalizeText(text) {
-  if (!text) return '';
-  return tokenizer.tokenize(text.toLowerCase()).join(' ');
-} 
\ No newline at end of file
+// Tokenizer name meaning "the one of the text's language"
+export const AUTO_TOKENIZER = 'auto';
+
+export const EMOJI_MODES = ['keep', 'strip', 'separate'];
+
+export const DEFAULT_NORMALIZATION = {
+  enabled: true,
+  lowercase: true,
+  tokenizer: AUTO_TOKENIZER,
+  stopwords: false,
+  stripUrls: false,
+  stripMentions: false,
+  emoji: 'keep'
+};
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+// Mentions Reddit : u/nom, /u/nom, r/sub, /r/sub
+const MENTION_PATTERN = /(^|[^\w/])\/?[ur]\/[A-Za-z0-9_-]+/g;
+// Drapeaux compris (paires d'indicateurs régionaux)
+const EMOJI_PATTERN = /\p{Regional_Indicator}{2}|\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F|\u200D\p{Extended_Pictographic})*/gu;
+// Emojis and non-ASCII letters: natural's tokenizers cut emojis into lone
+// surrogate halves and treat accented letters as punctuation (città -> citt,
+// café -> caf é). They only get the text in between, and the protected runs
+// are glued back to the word characters they were written against.
+const PROTECTED_SPLIT = new RegExp(`(${EMOJI_PATTERN.source}|(?:(?![A-Za-z])[\\p{L}\\p{M}])+)`, 'u');
+const WORD_END = /[^\s\p{P}]$/u;
+const WORD_START = /^[^\s\p{P}]/u;
+
+function tokenizeProtected(text, tokenizer) {
+  const tokens = [];
+  let previous = '';
+  text.split(PROTECTED_SPLIT).forEach((part, i) => {
+    if (!part) return;
+    const partTokens = i % 2 ? [part] : tokenizer.tokenize(part);
+    if (tokens.length && partTokens.length && WORD_END.test(previous) && WORD_START.test(part)) {
+      tokens[tokens.length - 1] += partTokens.shift();
+    }
+    tokens.push(...partTokens);
+    previous = part;
+  });
+  return tokens;
+}
+
+// Build a normalize(text, lang) function. `lang` is a key of LANGUAGES (English
+// when unknown). `tokenizer: 'none'` keeps the text untokenized; `enabled:
+// false` returns it unchanged.
+export function createNormalizer(options = {}) {
+  const settings = { ...DEFAULT_NORMALIZATION, ...options };
+  if (!settings.enabled) return text => text || '';
+  const fixedTokenizer = settings.tokenizer === 'none' || settings.tokenizer === AUTO_TOKENIZER
+    ? null
+    : TOKENIZERS[settings.tokenizer]();
+  // Tokenizers et mots vides par langue, créés à la demande
+  const tokenizers = new Map();
+  const stopwords = new Map();
+
+  function tokenizerFor(lang) {
+    if (settings.tokenizer !== AUTO_TOKENIZER) return fixedTokenizer;
+    if (!tokenizers.has(lang)) tokenizers.set(lang, LANGUAGES[lang].tokenizer());
+    return tokenizers.get(lang);
+  }
+
+  function stopwordsFor(lang) {
+    if (!stopwords.has(lang)) stopwords.set(lang, new Set(LANGUAGES[lang].stopwords));
+    return stopwords.get(lang);
+  }
+
+  return function normalize(text, lang = 'en') {
+    if (!text) return '';
+    let out = text;
+    if (settings.stripUrls) out = out.replace(URL_PATTERN, ' ');
+    if (settings.stripMentions) out = out.replace(MENTION_PATTERN, '$1 ');
+    if (settings.emoji === 'strip') out = out.replace(EMOJI_PATTERN, ' ');
+    // Chaque emoji devient un token à part entière
+    if (settings.emoji === 'separate') out = out.replace(EMOJI_PATTERN, ' $& ');
+    if (settings.lowercase) out = out.toLowerCase();
+    const language = LANGUAGES[lang] ? lang : 'en';
+    const tokenizer = tokenizerFor(language);
+    // Le tokenizer whitespace ne coupe que sur les espaces : rien à protéger
+    let tokens = !tokenizer ? out.split(/\s+/).filter(Boolean)
+      : settings.tokenizer === 'whitespace' ? tokenizer.tokenize(out)
+      : tokenizeProtected(out, tokenizer);
+    if (settings.stopwords) {
+      const words = stopwordsFor(language);
+      tokens = tokens.filter(token => !words.has(token.toLowerCase()));
+    }
+    return tokens.join(' ');
+  };
+}
+
+export const normalizeText = createNormalizer();
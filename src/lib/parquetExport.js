@@ -0,0 +1,123 @@
+import parquet from '@dsnp/parquetjs';
+
+// Parquet export for Omega-Red-Cappa-Edition: same columns and per-group
+// files as the CSV export, but typed (int64 timestamps and scores, booleans,
+// nullable strings) so DuckDB / pandas do not have to guess. raw_title /
+// raw_text stay null unless the export text variant is 'both'.
+
+const { ParquetSchema, ParquetWriter } = parquet;
+
+const optionalString = { type: 'UTF8', optional: true };
+const optionalInt64 = { type: 'INT64', optional: true };
+const optionalInt32 = { type: 'INT32', optional: true };
+const optionalBoolean = { type: 'BOOLEAN', optional: true };
+const optionalDouble = { type: 'DOUBLE', optional: true };
+
+const AUTHOR_FIELDS = {
+  author: optionalString,
+  ups: optionalInt64,
+  downs: optionalInt64,
+  authorlinkkarma: optionalInt64,
+  authorcommentkarma: optionalInt64,
+  authorisgold: optionalBoolean,
+  authorismod: optionalBoolean,
+  authorcreated: optionalInt64
+};
+
+export const THREAD_PARQUET_SCHEMA = new ParquetSchema({
+  text: optionalString,
+  title: optionalString,
+  url: optionalString,
+  id: { type: 'UTF8' },
+  subreddit: optionalString,
+  meta: optionalString,
+  listing: optionalString,
+  query: optionalString,
+  time: optionalInt64,
+  ...AUTHOR_FIELDS,
+  lang: optionalString,
+  sentiment: optionalDouble,
+  raw_title: optionalString,
+  raw_text: optionalString
+});
+
+export const COMMENT_PARQUET_SCHEMA = new ParquetSchema({
+  text: optionalString,
+  id: { type: 'UTF8' },
+  parent_id: optionalString,
+  link_id: optionalString,
+  depth: optionalInt32,
+  position: optionalInt32,
+  subreddit: optionalString,
+  meta: optionalString,
+  listing: optionalString,
+  query: optionalString,
+  time: optionalInt64,
+  ...AUTHOR_FIELDS,
+  lang: optionalString,
+  sentiment: optionalDouble,
+  raw_text: optionalString
+});
+
+// Les lignes utilisent '' pour "inconnu" : en Parquet, c'est null
+function toInt(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const n = Math.trunc(Number(value));
+  return Number.isFinite(n) ? n : null;
+}
+
+function toDouble(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toBool(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  return value === true || value === 1 || value === '1';
+}
+
+function toStr(value) {
+  return value === '' || value === null || value === undefined ? null : String(value);
+}
+
+// Convert a thread or comment row to the types of `schema`
+export function toParquetRow(schema, row) {
+  const out = {};
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const value = row[name];
+    if (field.primitiveType === 'INT64' || field.primitiveType === 'INT32') out[name] = toInt(value);
+    else if (field.primitiveType === 'DOUBLE') out[name] = toDouble(value);
+    else if (field.primitiveType === 'BOOLEAN') out[name] = toBool(value);
+    else out[name] = toStr(value);
+  }
+  return out;
+}
+
+// Writers for the <prefix>-<group>-threads.parquet / -comments.parquet pair.
+// Rows are appended one batch at a time; the files are only valid once closed.
+export async function createParquetWriters(threadsPath, commentsPath) {
+  const threads = await ParquetWriter.openFile(THREAD_PARQUET_SCHEMA, threadsPath);
+  const comments = await ParquetWriter.openFile(COMMENT_PARQUET_SCHEMA, commentsPath);
+  // Les workers pMap écrivent en parallèle : on sérialise les appendRow
+  let queue = Promise.resolve();
+
+  function append(writer, schema, rows) {
+    queue = queue.then(async () => {
+      for (const row of rows) {
+        await writer.appendRow(toParquetRow(schema, row));
+      }
+    });
+    return queue;
+  }
+
+  return {
+    writeThreads: rows => append(threads, THREAD_PARQUET_SCHEMA, rows),
+    writeComments: rows => append(comments, COMMENT_PARQUET_SCHEMA, rows),
+    async close() {
+      await queue;
+      await threads.close();
+      await comments.close();
+    }
+  };
+}
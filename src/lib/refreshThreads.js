@@ -0,0 +1,35 @@
+import pMap from 'p-map';
+import { fetchAllComments } from './fetchAllComments.js';
+import { diffComments } from './threadStore.js';
+
+// Refresh mode for Omega-Red-Cappa-Edition: re-fetch the comments of threads
+// already in the snapshot store and report what changed since the last fetch.
+// Returns one entry per thread: { thread, previousFetch, added, edited, removed, rescored },
+// or { thread, previousFetch, error } when the re-fetch failed (its snapshot is then left as is).
+export async function refreshThreads(snapshots, tokenProvider, fetchOptions, { store, commentOptions, concurrency = 5, onThread } = {}) {
+  if (!store) throw new Error('refreshThreads needs a thread store (createThreadStore) holding the snapshots');
+  return pMap(snapshots, async snapshot => {
+    const thread = {
+      id: snapshot.id,
+      subreddit: snapshot.subreddit,
+      meta: snapshot.meta,
+      title: snapshot.title,
+      time: snapshot.created_utc
+    };
+    const result = {
+      thread: { id: thread.id, subreddit: thread.subreddit, title: thread.title, created_utc: thread.time },
+      previousFetch: snapshot.fetchedAt
+    };
+    try {
+      const comments = await fetchAllComments(thread.subreddit, thread.meta, thread.id, tokenProvider, fetchOptions, commentOptions);
+      Object.assign(result, diffComments(snapshot, comments));
+      // Nouvelle référence pour le prochain refresh
+      await store.save(thread, comments);
+    } catch (err) {
+      // Un échec ne doit ni passer pour « aucun changement » ni écraser la référence
+      result.error = err.message;
+    }
+    if (onThread) onThread(result);
+    return result;
+  }, { concurrency });
+}
@@ -0,0 +1,328 @@
+import { EventEmitter } from 'events';
+import pMap from 'p-map';
+import { fetchAllThreads } from './fetchAllThreads.js';
+import { fetchAllComments } from './fetchAllComments.js';
+import { fetchSearchThreads } from './fetchSearchThreads.js';
+import { fetchUserHistory, fetchThreadsById } from './fetchUserHistory.js';
+import { enrichAuthors } from './authorCache.js';
+import { resolveGroup, resolveSearchGroup, resolveUserGroup, jobKey, jobSource } from './groupConfig.js';
+import { validateConfig, preflightSubreddits } from './validateConfig.js';
+import { createTokenProvider, toTokenProvider } from './tokenProvider.js';
+import { createNormalizer } from './normalizeText.js';
+import { createLanguageDetector, acceptsLanguage, DEFAULT_LANGUAGE_OPTIONS } from './language.js';
+import { createSentimentScorer, scoreThreads, scoreComments } from './sentiment.js';
+import { refreshThreads } from './refreshThreads.js';
+
+// Programmatic API of Omega-Red-Cappa-Edition.
+// The scrape methods are async generators of events:
+//   { type: 'job', meta, job, source }                      before a job starts
+//   { type: 'threads', meta, job, source, threads }         its threads, filtered and enriched
+//   { type: 'thread', meta, job, source, index, thread, comments, error? }
+//                                                           one per thread, in listing order; with
+//                                                           an error its comments are empty, are not
+//                                                           journaled (a resume fetches them again)
+//                                                           and the job is not complete
+//   { type: 'jobDone', meta, job, source, complete, listedRows }
+//   { type: 'jobError', meta, job, source, error }          the listing itself failed
+// Every event is also emitted under its type, next to 'warning' (message) and
+// 'rateLimited' ({ url, attempt, delayMs }). Nothing is ever printed, asked or
+// exited here: output formats, progress and exit codes belong to the caller.
+
+const DEFAULT_CONCURRENCY = 5;
+
+// Journal stand-in when the caller does not checkpoint its run
+function emptyJobState() {
+  return { threads: [], after: null, listingDone: false, complete: true, comments: new Map(), userComments: [] };
+}
+
+// pMap, but each result is yielded as soon as it and those before it are ready.
+// When the consumer stops early (break, return), the items not started yet are skipped.
+async function* mapInOrder(items, mapper, concurrency) {
+  const results = new Map();
+  let failure = null;
+  let stopped = false;
+  let wake = null;
+  const signal = () => {
+    if (wake) wake();
+    wake = null;
+  };
+  pMap(items, async (item, index) => {
+    if (stopped) return;
+    const result = await mapper(item, index);
+    if (stopped) return;
+    results.set(index, result);
+    signal();
+  }, { concurrency }).catch(err => {
+    failure = err;
+    signal();
+  });
+  try {
+    for (let index = 0; index < items.length; index++) {
+      while (!results.has(index)) {
+        if (failure) throw failure;
+        await new Promise(resolve => { wake = resolve; });
+      }
+      yield results.get(index);
+      results.delete(index);
+    }
+  } finally {
+    stopped = true;
+    results.clear();
+  }
+}
+
+// options: the config.json options (throttle, apiBaseUrl, authBaseUrl,
+// normalization, language, sentiment, expandMoreComments, maxParallelThreads, ...)
+// plus credentials (see createTokenProvider) or a tokenProvider (or plain token),
+// and optionally an authorCache (createAuthorCache) to enrich authors and a
+// threadStore (createThreadStore) to keep the snapshots used by refreshThreads
+// (required by it). Snapshots are saved by scrapeJob and fetchThread with every
+// comment fetched, before the since / language filters; comments taken from a
+// user history are not a full thread and leave none.
+export function createScraper(options = {}) {
+  const { credentials, tokenProvider: token, authorCache = null, threadStore = null, ...settings } = options;
+  const errors = validateConfig({ subreddits: {}, options: settings });
+  if (errors.length) {
+    throw new Error(`Invalid scraper options: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+  }
+  if (!credentials && !token) {
+    throw new Error('createScraper needs credentials or a tokenProvider');
+  }
+
+  const events = new EventEmitter();
+  const tokenProvider = token
+    ? toTokenProvider(token)
+    : createTokenProvider({ authBaseUrl: settings.authBaseUrl, ...credentials });
+  const languageOptions = { ...DEFAULT_LANGUAGE_OPTIONS, ...settings.language };
+  const throttle = settings.throttle || {};
+  const fetchOptions = {
+    minDelay: throttle.minDelayMs ?? 1000,
+    highDelay: throttle.highDelayMs ?? 3000,
+    apiBaseUrl: settings.apiBaseUrl,
+    userAgent: credentials && credentials.userAgent,
+    normalize: createNormalizer(settings.normalization),
+    language: createLanguageDetector(languageOptions),
+    onWarning: message => events.emit('warning', message),
+    onRateLimited: info => events.emit('rateLimited', info)
+  };
+  const commentOptions = {
+    expandMore: settings.expandMoreComments !== false,
+    maxMoreRequests: settings.maxMoreRequestsPerThread ?? 10
+  };
+  const concurrency = settings.maxParallelThreads || DEFAULT_CONCURRENCY;
+  const scoreSentiment = settings.sentiment ? createSentimentScorer({ fallback: languageOptions.fallback }) : null;
+
+  function emit(event) {
+    events.emit(event.type, event);
+    return event;
+  }
+
+  // Post-traitement commun : filtres since / langue, listing et requête, auteurs, sentiment
+  async function processComments(thread, comments, { since, languageFilter }) {
+    if (since) {
+      comments = comments.filter(c => (c.time || 0) > since.created_utc);
+    }
+    if (languageOptions.filterComments) {
+      comments = comments.filter(c => acceptsLanguage(c.lang, languageFilter));
+    }
+    comments.forEach(c => {
+      c.listing = c.listing || thread.listing;
+      c.query = thread.query;
+    });
+    if (authorCache) {
+      await enrichAuthors(comments, authorCache, tokenProvider, fetchOptions);
+    }
+    if (scoreSentiment) scoreComments(comments, scoreSentiment);
+    return comments;
+  }
+
+  async function processThreads(threads, languageFilter) {
+    threads = threads.filter(t => acceptsLanguage(t.lang, languageFilter));
+    if (scoreSentiment) scoreThreads(threads, scoreSentiment);
+    if (authorCache) {
+      await enrichAuthors(threads, authorCache, tokenProvider, fetchOptions);
+    }
+    return threads;
+  }
+
+  // Normalise one group of the config ({ subreddits, searches, users }) into jobs
+  function resolveJobs({ subreddits, searches, users } = {}) {
+    return [
+      ...(subreddits ? resolveGroup(subreddits, settings) : []),
+      ...(searches ? resolveSearchGroup(searches, settings) : []),
+      ...(users ? resolveUserGroup(users, settings) : [])
+    ];
+  }
+
+  async function fetchAndSnapshot(meta, thread) {
+    const comments = await fetchAllComments(thread.subreddit, meta, thread.id, tokenProvider, fetchOptions, commentOptions);
+    // Référence complète du thread pour un futur --refresh : avant les filtres since / langue,
+    // puisque le refresh compare avec le thread entier
+    if (threadStore) await threadStore.save(thread, comments);
+    return comments;
+  }
+
+  // Les lignes sont complétées par processComments (listing, requête, auteurs) :
+  // chaque job en reçoit une copie. Un échec n'est pas gardé, le job suivant réessaie.
+  async function fetchCommentsOnce(meta, thread, cache) {
+    if (!cache) return fetchAndSnapshot(meta, thread);
+    if (!cache.has(thread.id)) {
+      cache.set(thread.id, fetchAndSnapshot(meta, thread).catch(err => {
+        cache.delete(thread.id);
+        throw err;
+      }));
+    }
+    return (await cache.get(thread.id)).map(comment => ({ ...comment }));
+  }
+
+  // `since` is the incremental mark of the job ({ fullname, created_utc }).
+  // With a `journal` (openJournal), pages and comments are checkpointed and
+  // whatever it already holds is replayed instead of being fetched again.
+  // `commentCache` (Map threadId -> promise of the fetched comments) is shared
+  // by the jobs of a group, so a thread listed by several of them is fetched once.
+  async function* scrapeJob(meta, job, { since = null, journal = null, commentCache = null } = {}) {
+    const source = jobSource(job);
+    const key = jobKey(job);
+    const saved = journal ? journal.job(key) : emptyJobState();
+    const languageFilter = { include: job.languages || languageOptions.include, exclude: languageOptions.exclude };
+    let jobComplete = true;
+    const onError = () => { jobComplete = false; };
+    // Commentaires déjà connus (historique utilisateur) : pas de fetchAllComments pour ces threads
+    const presetComments = new Map();
+    let threads = [];
+    // Lignes issues du listing du job lui-même : base du prochain repère
+    let listedRows = [];
+
+    yield emit({ type: 'job', meta, job, source });
+    try {
+      if (job.kind === 'user') {
+        // Historique déjà journalisé : repris tel quel, sans refaire les deux listings
+        let history = { threads: saved.threads, comments: saved.userComments };
+        jobComplete = saved.complete;
+        if (!saved.listingDone) {
+          history = await fetchUserHistory(job.username, meta, job.count, tokenProvider, fetchOptions, { ...job, since, onError });
+          // Une seule ligne : un historique n'est jamais repris à moitié
+          if (journal) await journal.append({ type: 'history', job: key, threads: history.threads, comments: history.comments, complete: jobComplete });
+        }
+        threads = history.threads;
+        listedRows = [...threads.filter(t => t.listing === 'user:submitted'), ...history.comments];
+        const submittedIds = new Set(threads.filter(t => t.listing === 'user:submitted').map(t => t.id));
+        for (const comment of history.comments) {
+          const threadId = comment.link_id.slice(3);
+          if (submittedIds.has(threadId)) continue;
+          if (!presetComments.has(threadId)) presetComments.set(threadId, []);
+          presetComments.get(threadId).push(comment);
+        }
+      } else {
+        // Les pages déjà journalisées sont reprises telles quelles, puis on repart du dernier curseur
+        threads = [...saved.threads];
+        jobComplete = saved.complete;
+        if (!saved.listingDone && threads.length < job.count) {
+          const listingOptions = {
+            ...job,
+            after: saved.after,
+            since,
+            onError,
+            onPage: journal ? (page, after) => journal.append({ type: 'page', job: key, threads: page, after }) : undefined
+          };
+          const remaining = job.count - threads.length;
+          threads.push(...(job.kind === 'search'
+            ? await fetchSearchThreads(job.query, meta, remaining, tokenProvider, fetchOptions, listingOptions)
+            : await fetchAllThreads(job.subreddit, meta, remaining, tokenProvider, fetchOptions, listingOptions)));
+        }
+        if (journal) await journal.append({ type: 'listingDone', job: key, complete: jobComplete });
+        listedRows = threads;
+        // Les tris autres que `new` ne s'arrêtent pas d'eux-mêmes au repère
+        if (since) {
+          threads = threads.filter(t => (t.time || 0) > since.created_utc);
+        }
+      }
+      threads = await processThreads(threads, languageFilter);
+    } catch (err) {
+      yield emit({ type: 'jobError', meta, job, source, error: err });
+      return;
+    }
+    yield emit({ type: 'threads', meta, job, source, threads });
+
+    const fetchComments = async thread => {
+      // Commentaires déjà journalisés par un run interrompu : rien à refaire
+      const savedComments = saved.comments.get(thread.id);
+      if (savedComments) return { thread, comments: savedComments };
+      try {
+        let comments;
+        if (presetComments.has(thread.id)) {
+          comments = presetComments.get(thread.id);
+        } else {
+          comments = await fetchCommentsOnce(meta, thread, commentCache);
+        }
+        comments = await processComments(thread, comments, { since, languageFilter });
+        if (journal) await journal.append({ type: 'comments', job: key, threadId: thread.id, comments });
+        return { thread, comments };
+      } catch (err) {
+        jobComplete = false;
+        return { thread, comments: [], error: err };
+      }
+    };
+    let index = 0;
+    for await (const result of mapInOrder(threads, fetchComments, concurrency)) {
+      yield emit({ type: 'thread', meta, job, source, index: index++, ...result });
+    }
+    yield emit({ type: 'jobDone', meta, job, source, complete: jobComplete, listedRows });
+  }
+
+  // `since(job)` gives the incremental mark of each job, if any
+  async function* scrapeJobs(meta, jobs, { since, journal } = {}) {
+    const commentCache = new Map();
+    for (const job of jobs) {
+      yield* scrapeJob(meta, job, { since: since ? since(job) : null, journal, commentCache });
+    }
+  }
+
+  function scrapeGroup(meta, group, scrapeOptions) {
+    return scrapeJobs(meta, resolveJobs(group), scrapeOptions);
+  }
+
+  // Single subreddit listing: { count, sort, t, languages } as in config.subreddits
+  function scrapeSubreddit(subreddit, { meta = subreddit, count = 100, sort, t, languages, since } = {}) {
+    const [job] = resolveGroup({ [subreddit]: { count, sort, t, languages } }, settings);
+    return scrapeJob(meta, job, { since });
+  }
+
+  // One thread and its comments, from its id (with or without the t3_ prefix)
+  async function fetchThread(threadId, { meta = '' } = {}) {
+    const id = threadId.replace(/^t3_/, '');
+    const [thread] = await fetchThreadsById([`t3_${id}`], meta, tokenProvider, fetchOptions, { listing: 'thread' });
+    if (!thread) throw new Error(`Thread ${id} not found`);
+    const [processed] = await processThreads([thread], {});
+    // Même référence que scrapeJob pour un futur refresh
+    const comments = await fetchAndSnapshot(meta, thread);
+    return { thread: processed, comments: await processComments(thread, comments, {}) };
+  }
+
+  const scraper = {
+    on(eventName, listener) {
+      events.on(eventName, listener);
+      return scraper;
+    },
+    off(eventName, listener) {
+      events.off(eventName, listener);
+      return scraper;
+    },
+    tokenProvider,
+    authenticate: () => tokenProvider.getToken(),
+    resolveJobs,
+    scrapeJob,
+    scrapeJobs,
+    scrapeGroup,
+    scrapeSubreddit,
+    fetchThread,
+    checkSubreddits: names => preflightSubreddits(names, tokenProvider, fetchOptions),
+    refreshThreads: (snapshots, { onThread } = {}) => refreshThreads(snapshots, tokenProvider, fetchOptions, {
+      store: threadStore,
+      commentOptions,
+      concurrency,
+      onThread
+    })
+  };
+  return scraper;
+}
@@ -0,0 +1,132 @@
+import natural from 'natural';
+import { UNDETERMINED } from './language.js';
+
+// Sentiment enrichment for Omega-Red-Cappa-Edition (options.sentiment).
+// Threads (title + selftext) and comments get a `sentiment` score from
+// natural's SentimentAnalyzer: AFINN where natural has it (English, Spanish,
+// Portuguese), the Pattern lexicon otherwise (French, Italian, Dutch).
+// The Italian lexicon only lists some inflections (bellissima but not
+// bellissimo): words it lacks are looked up again by their Porter stem.
+
+// Vocabulaire natural par langue, et facteur qui ramène le score par mot à [-1, 1]
+// (AFINN note de -5 à 5, Pattern de -1 à 1)
+const VOCABULARIES = {
+  en: { language: 'English', type: 'afinn', scale: 1 / 5, tokenizer: () => new natural.AggressiveTokenizer() },
+  es: { language: 'Spanish', type: 'afinn', scale: 1 / 5, tokenizer: () => new natural.AggressiveTokenizerEs() },
+  pt: { language: 'Portuguese', type: 'afinn', scale: 1 / 5, tokenizer: () => new natural.AggressiveTokenizerPt() },
+  fr: { language: 'French', type: 'pattern', scale: 1, tokenizer: () => new natural.AggressiveTokenizerFr() },
+  it: { language: 'Italian', type: 'pattern', scale: 1, stemmer: natural.PorterStemmerIt, tokenizer: () => new natural.AggressiveTokenizerIt() },
+  nl: { language: 'Dutch', type: 'pattern', scale: 1, tokenizer: () => new natural.AggressiveTokenizerNl() }
+};
+
+// Build score(text, lang): the mean polarity per word in [-1, 1], or '' when
+// the text is empty or its language has no lexicon. Undetermined text is
+// scored in `fallback`.
+export function createSentimentScorer({ fallback = 'en' } = {}) {
+  // Les lexiques sont chargés à la première utilisation de chaque langue
+  const analyzers = new Map();
+
+  function analyzerFor(lang) {
+    if (!analyzers.has(lang)) {
+      const vocabulary = VOCABULARIES[lang];
+      analyzers.set(lang, {
+        analyzer: new natural.SentimentAnalyzer(vocabulary.language, vocabulary.stemmer ?? null, vocabulary.type),
+        tokenizer: vocabulary.tokenizer(),
+        scale: vocabulary.scale
+      });
+    }
+    return analyzers.get(lang);
+  }
+
+  return function score(text, lang) {
+    const language = !lang || lang === UNDETERMINED ? fallback : lang;
+    if (!text || !VOCABULARIES[language]) return '';
+    const { analyzer, tokenizer, scale } = analyzerFor(language);
+    const words = tokenizer.tokenize(text.toLowerCase());
+    if (!words.length) return '';
+    return Number((analyzer.getSentiment(words) * scale).toFixed(4));
+  };
+}
+
+// Score thread and comment rows in place, from their original text
+export function scoreThreads(threads, score) {
+  for (const thread of threads) {
+    thread.sentiment = score([thread.raw_title ?? thread.title, thread.raw_text ?? thread.text].filter(Boolean).join('\n'), thread.lang);
+  }
+}
+
+export function scoreComments(comments, score) {
+  for (const comment of comments) {
+    comment.sentiment = score(comment.raw_text ?? comment.text, comment.lang);
+  }
+}
+
+// Somme et effectif plutôt que la liste des scores : un groupe peut compter des centaines de milliers de commentaires
+function createAccumulator() {
+  return { count: 0, sum: 0 };
+}
+
+function accumulate(acc, values) {
+  for (const value of values) {
+    acc.count++;
+    acc.sum += value;
+  }
+}
+
+function average(acc) {
+  return acc.count ? acc.sum / acc.count : null;
+}
+
+// End-of-group aggregates: mean sentiment per subreddit and per thread
+export function createSentimentSummary() {
+  const subreddits = new Map();
+  const threads = [];
+  const seen = new Set();
+
+  // Un thread renvoyé par plusieurs listings du groupe n'est compté qu'une fois
+  function add(thread, comments) {
+    if (seen.has(thread.id)) return;
+    seen.add(thread.id);
+    const commentScores = comments.map(c => c.sentiment).filter(s => typeof s === 'number');
+    const threadComments = createAccumulator();
+    accumulate(threadComments, commentScores);
+    const name = thread.subreddit || 'all';
+    if (!subreddits.has(name)) subreddits.set(name, { threads: createAccumulator(), comments: createAccumulator() });
+    const stats = subreddits.get(name);
+    if (typeof thread.sentiment === 'number') accumulate(stats.threads, [thread.sentiment]);
+    accumulate(stats.comments, commentScores);
+    threads.push({
+      id: thread.id,
+      subreddit: name,
+      title: thread.raw_title ?? thread.title ?? '',
+      sentiment: typeof thread.sentiment === 'number' ? thread.sentiment : null,
+      comments: threadComments.count,
+      commentSentiment: average(threadComments)
+    });
+  }
+
+  function summarize() {
+    return {
+      subreddits: [...subreddits.entries()].map(([subreddit, stats]) => ({
+        subreddit,
+        threads: stats.threads.count,
+        threadSentiment: average(stats.threads),
+        comments: stats.comments.count,
+        commentSentiment: average(stats.comments)
+      })),
+      threads
+    };
+  }
+
+  return { add, summarize };
+}
+
+// Threads whose comments are the most positive (score > 0) and the most
+// negative (score < 0): a neutral or negative thread never shows up as positive
+export function extremeThreads(threads, count = 3) {
+  const scored = threads.filter(t => t.commentSentiment !== null);
+  return {
+    positive: scored.filter(t => t.commentSentiment > 0).sort((a, b) => b.commentSentiment - a.commentSentiment).slice(0, count),
+    negative: scored.filter(t => t.commentSentiment < 0).sort((a, b) => a.commentSentiment - b.commentSentiment).slice(0, count)
+  };
+}
@@ -0,0 +1,362 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// SQLite storage for Omega-Red-Cappa-Edition.
+// Subreddits, threads, comments and authors live in normalized tables keyed
+// by their Reddit ID. Reruns upsert: first_seen is kept, last_seen and the
+// mutable fields (score, body, karma...) are updated. thread_sources records
+// which group / listing / search / user brought each thread in, so a group
+// can be exported again from the database alone. Texts are stored both
+// normalized (title, selftext, body) and as posted (raw_*).
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS subreddits (
+  name TEXT PRIMARY KEY,
+  display_name TEXT NOT NULL,
+  first_seen INTEGER NOT NULL,
+  last_seen INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS authors (
+  username TEXT PRIMARY KEY,
+  link_karma INTEGER,
+  comment_karma INTEGER,
+  is_gold INTEGER,
+  is_mod INTEGER,
+  created_utc INTEGER,
+  first_seen INTEGER NOT NULL,
+  last_seen INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS threads (
+  id TEXT PRIMARY KEY,
+  subreddit TEXT,
+  author TEXT,
+  title TEXT,
+  selftext TEXT,
+  raw_title TEXT,
+  raw_selftext TEXT,
+  lang TEXT,
+  sentiment REAL,
+  url TEXT,
+  created_utc INTEGER,
+  ups INTEGER,
+  downs INTEGER,
+  first_seen INTEGER NOT NULL,
+  last_seen INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS thread_sources (
+  thread_id TEXT NOT NULL REFERENCES threads(id),
+  meta TEXT NOT NULL,
+  source TEXT NOT NULL,
+  source_subreddit TEXT,
+  listing TEXT NOT NULL DEFAULT '',
+  query TEXT,
+  username TEXT,
+  first_seen INTEGER NOT NULL,
+  last_seen INTEGER NOT NULL,
+  PRIMARY KEY (thread_id, meta, source, listing)
+);
+CREATE TABLE IF NOT EXISTS comments (
+  id TEXT PRIMARY KEY,
+  thread_id TEXT NOT NULL,
+  parent_id TEXT,
+  depth INTEGER,
+  position INTEGER,
+  subreddit TEXT,
+  author TEXT,
+  body TEXT,
+  raw_body TEXT,
+  lang TEXT,
+  sentiment REAL,
+  created_utc INTEGER,
+  ups INTEGER,
+  downs INTEGER,
+  edited INTEGER,
+  first_seen INTEGER NOT NULL,
+  last_seen INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS comments_thread ON comments(thread_id);
+CREATE INDEX IF NOT EXISTS thread_sources_meta ON thread_sources(meta);
+`;
+
+// Les lignes CSV utilisent '' pour "inconnu" : en base, c'est NULL
+function nullable(value) {
+  return value === '' || value === undefined ? null : value;
+}
+
+// Colonnes ajoutées après la création du schéma : ALTER TABLE sur les bases existantes
+const ADDED_COLUMNS = {
+  threads: ['raw_title TEXT', 'raw_selftext TEXT', 'lang TEXT', 'sentiment REAL'],
+  comments: ['raw_body TEXT', 'lang TEXT', 'sentiment REAL']
+};
+
+function migrate(db) {
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+    for (const column of columns) {
+      if (!existing.has(column.split(' ')[0])) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+    }
+  }
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+export function openDatabase(dbPath) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  migrate(db);
+  return db;
+}
+
+// Prepared upserts; COALESCE keeps known values when a row only carries part
+// of them (stub threads from a user history, authors that were not enriched)
+const preparedByDb = new WeakMap();
+
+function statements(db) {
+  if (preparedByDb.has(db)) return preparedByDb.get(db);
+  const prepared = {
+    subreddit: db.prepare(`
+      INSERT INTO subreddits (name, display_name, first_seen, last_seen) VALUES (@name, @display_name, @seen, @seen)
+      ON CONFLICT(name) DO UPDATE SET display_name = excluded.display_name, last_seen = excluded.last_seen`),
+    author: db.prepare(`
+      INSERT INTO authors (username, link_karma, comment_karma, is_gold, is_mod, created_utc, first_seen, last_seen)
+      VALUES (@username, @link_karma, @comment_karma, @is_gold, @is_mod, @created_utc, @seen, @seen)
+      ON CONFLICT(username) DO UPDATE SET
+        link_karma = COALESCE(excluded.link_karma, authors.link_karma),
+        comment_karma = COALESCE(excluded.comment_karma, authors.comment_karma),
+        is_gold = COALESCE(excluded.is_gold, authors.is_gold),
+        is_mod = COALESCE(excluded.is_mod, authors.is_mod),
+        created_utc = COALESCE(excluded.created_utc, authors.created_utc),
+        last_seen = excluded.last_seen`),
+    thread: db.prepare(`
+      INSERT INTO threads (id, subreddit, author, title, selftext, raw_title, raw_selftext, lang, sentiment, url, created_utc, ups, downs, first_seen, last_seen)
+      VALUES (@id, @subreddit, @author, @title, @selftext, @raw_title, @raw_selftext, @lang, @sentiment, @url, @created_utc, @ups, @downs, @seen, @seen)
+      ON CONFLICT(id) DO UPDATE SET
+        subreddit = COALESCE(excluded.subreddit, threads.subreddit),
+        author = COALESCE(excluded.author, threads.author),
+        title = COALESCE(excluded.title, threads.title),
+        selftext = COALESCE(excluded.selftext, threads.selftext),
+        raw_title = COALESCE(excluded.raw_title, threads.raw_title),
+        raw_selftext = COALESCE(excluded.raw_selftext, threads.raw_selftext),
+        lang = COALESCE(excluded.lang, threads.lang),
+        sentiment = COALESCE(excluded.sentiment, threads.sentiment),
+        url = COALESCE(excluded.url, threads.url),
+        created_utc = COALESCE(excluded.created_utc, threads.created_utc),
+        ups = COALESCE(excluded.ups, threads.ups),
+        downs = COALESCE(excluded.downs, threads.downs),
+        last_seen = excluded.last_seen`),
+    source: db.prepare(`
+      INSERT INTO thread_sources (thread_id, meta, source, source_subreddit, listing, query, username, first_seen, last_seen)
+      VALUES (@thread_id, @meta, @source, @source_subreddit, @listing, @query, @username, @seen, @seen)
+      ON CONFLICT(thread_id, meta, source, listing) DO UPDATE SET last_seen = excluded.last_seen`),
+    comment: db.prepare(`
+      INSERT INTO comments (id, thread_id, parent_id, depth, position, subreddit, author, body, raw_body, lang, sentiment, created_utc, ups, downs, edited, first_seen, last_seen)
+      VALUES (@id, @thread_id, @parent_id, @depth, @position, @subreddit, @author, @body, @raw_body, @lang, @sentiment, @created_utc, @ups, @downs, @edited, @seen, @seen)
+      ON CONFLICT(id) DO UPDATE SET
+        parent_id = COALESCE(excluded.parent_id, comments.parent_id),
+        depth = COALESCE(excluded.depth, comments.depth),
+        position = COALESCE(excluded.position, comments.position),
+        author = COALESCE(excluded.author, comments.author),
+        body = COALESCE(excluded.body, comments.body),
+        raw_body = COALESCE(excluded.raw_body, comments.raw_body),
+        lang = COALESCE(excluded.lang, comments.lang),
+        sentiment = COALESCE(excluded.sentiment, comments.sentiment),
+        ups = COALESCE(excluded.ups, comments.ups),
+        downs = COALESCE(excluded.downs, comments.downs),
+        edited = COALESCE(excluded.edited, comments.edited),
+        last_seen = excluded.last_seen`)
+  };
+  preparedByDb.set(db, prepared);
+  return prepared;
+}
+
+function upsertAuthor(stmt, row, seen) {
+  if (!row.author) return;
+  stmt.author.run({
+    username: row.author,
+    link_karma: nullable(row.authorlinkkarma),
+    comment_karma: nullable(row.authorcommentkarma),
+    is_gold: nullable(row.authorisgold),
+    is_mod: nullable(row.authorismod),
+    created_utc: nullable(row.authorcreated),
+    seen
+  });
+}
+
+function upsertSubreddit(stmt, name, seen) {
+  if (!name) return;
+  stmt.subreddit.run({ name: name.toLowerCase(), display_name: name, seen });
+}
+
+// Upsert thread rows and record the source (group, job) they came from
+export function saveThreads(db, rows, { meta, source, subreddit = null, query = null, username = null }) {
+  const stmt = statements(db);
+  const seen = now();
+  db.transaction(() => {
+    for (const row of rows) {
+      upsertSubreddit(stmt, row.subreddit, seen);
+      upsertAuthor(stmt, row, seen);
+      stmt.thread.run({
+        id: row.id,
+        subreddit: nullable(row.subreddit),
+        author: nullable(row.author),
+        title: nullable(row.title),
+        selftext: nullable(row.text),
+        raw_title: nullable(row.raw_title),
+        raw_selftext: nullable(row.raw_text),
+        lang: nullable(row.lang),
+        sentiment: nullable(row.sentiment),
+        url: nullable(row.url),
+        created_utc: nullable(row.time),
+        ups: nullable(row.ups),
+        downs: nullable(row.downs),
+        seen
+      });
+      stmt.source.run({
+        thread_id: row.id,
+        meta,
+        source,
+        source_subreddit: subreddit,
+        listing: row.listing || '',
+        query,
+        username,
+        seen
+      });
+    }
+  })();
+}
+
+export function saveComments(db, rows) {
+  const stmt = statements(db);
+  const seen = now();
+  db.transaction(() => {
+    for (const row of rows) {
+      upsertSubreddit(stmt, row.subreddit, seen);
+      upsertAuthor(stmt, row, seen);
+      stmt.comment.run({
+        id: row.id,
+        thread_id: (row.link_id || '').replace(/^t3_/, ''),
+        parent_id: nullable(row.parent_id),
+        depth: nullable(row.depth),
+        position: nullable(row.position),
+        subreddit: nullable(row.subreddit),
+        author: nullable(row.author),
+        body: nullable(row.text),
+        raw_body: nullable(row.raw_text),
+        lang: nullable(row.lang),
+        sentiment: nullable(row.sentiment),
+        created_utc: nullable(row.time),
+        ups: nullable(row.ups),
+        downs: nullable(row.downs),
+        edited: row.edited === undefined ? null : Number(row.edited),
+        seen
+      });
+    }
+  })();
+}
+
+// Group names present in the database
+export function listGroups(db) {
+  return db.prepare('SELECT DISTINCT meta FROM thread_sources ORDER BY meta').all().map(r => r.meta);
+}
+
+function authorFields(r) {
+  return {
+    authorlinkkarma: r.link_karma ?? '',
+    authorcommentkarma: r.comment_karma ?? '',
+    authorisgold: r.is_gold ?? '',
+    authorismod: r.is_mod ?? '',
+    authorcreated: r.created_utc_author ?? ''
+  };
+}
+
+// Rebuild the thread and comment rows of a group, in the same shape as the
+// fetchers return them. Returns { sources: Map(source -> { subreddit, query, username, threads, comments: Map(threadId -> rows) }) }.
+// As in the scrape, a user job only keeps the user's own comments on the
+// threads they commented on, and every comment of the threads they submitted.
+export function loadGroup(db, meta) {
+  const threadRows = db.prepare(`
+    SELECT t.*, s.source, s.source_subreddit, s.listing, s.query, s.username,
+           a.link_karma, a.comment_karma, a.is_gold, a.is_mod, a.created_utc AS created_utc_author
+    FROM thread_sources s
+    JOIN threads t ON t.id = s.thread_id
+    LEFT JOIN authors a ON a.username = t.author
+    WHERE s.meta = ?
+    ORDER BY s.source, t.created_utc DESC`).all(meta);
+  const sources = new Map();
+  // Contexte (listing / recherche) repris par les commentaires de chaque thread
+  const threadContext = new Map();
+  for (const r of threadRows) {
+    if (!sources.has(r.source)) {
+      sources.set(r.source, { subreddit: r.source_subreddit || r.subreddit, query: r.query, username: r.username, threads: [], comments: new Map() });
+    }
+    sources.get(r.source).threads.push({
+      text: r.selftext ?? '',
+      title: r.title ?? '',
+      raw_text: r.raw_selftext ?? r.selftext ?? '',
+      raw_title: r.raw_title ?? r.title ?? '',
+      lang: r.lang ?? '',
+      sentiment: r.sentiment ?? '',
+      url: r.url ?? '',
+      id: r.id,
+      subreddit: r.subreddit,
+      meta,
+      listing: r.listing,
+      query: r.query ?? '',
+      time: r.created_utc ?? '',
+      author: r.author,
+      ups: r.ups ?? '',
+      downs: r.downs ?? '',
+      ...authorFields(r)
+    });
+    if (!threadContext.has(r.id)) threadContext.set(r.id, { listing: r.listing, query: r.query ?? '' });
+  }
+
+  const commentRows = db.prepare(`
+    SELECT c.*, a.link_karma, a.comment_karma, a.is_gold, a.is_mod, a.created_utc AS created_utc_author
+    FROM comments c
+    LEFT JOIN authors a ON a.username = c.author
+    WHERE c.thread_id IN (SELECT thread_id FROM thread_sources WHERE meta = ?)
+    ORDER BY c.thread_id, c.depth, c.position`).all(meta);
+  const byThread = new Map();
+  for (const r of commentRows) {
+    if (!byThread.has(r.thread_id)) byThread.set(r.thread_id, []);
+    const context = threadContext.get(r.thread_id) || { listing: '', query: '' };
+    byThread.get(r.thread_id).push({
+      text: r.body ?? '',
+      raw_text: r.raw_body ?? r.body ?? '',
+      lang: r.lang ?? '',
+      sentiment: r.sentiment ?? '',
+      id: r.id,
+      parent_id: r.parent_id,
+      link_id: `t3_${r.thread_id}`,
+      depth: r.depth ?? '',
+      position: r.position ?? '',
+      subreddit: r.subreddit,
+      meta,
+      listing: context.listing,
+      query: context.query,
+      time: r.created_utc ?? '',
+      edited: r.edited || false,
+      author: r.author,
+      ups: r.ups ?? '',
+      downs: r.downs ?? '',
+      ...authorFields(r)
+    });
+  }
+
+  for (const source of sources.values()) {
+    const username = source.username && source.username.toLowerCase();
+    for (const thread of source.threads) {
+      const rows = byThread.get(thread.id) || [];
+      source.comments.set(thread.id, username && thread.listing !== 'user:submitted'
+        ? rows.filter(c => (c.author || '').toLowerCase() === username)
+        : rows);
+    }
+  }
+  return { sources };
+}
@@ -0,0 +1,40 @@
+// Raw vs normalized text per export format for Omega-Red-Cappa-Edition.
+// Every row keeps the normalized `text` / `title` and the original
+// `raw_text` / `raw_title`; `options.exportText` picks what each format emits:
+//   normalized : normalized text only
+//   raw        : original text in place of the normalized one
+//   both       : normalized text plus raw_* fields / columns
+
+export const TEXT_VARIANTS = ['normalized', 'raw', 'both'];
+
+// Markdown et HTML sont lus par des humains : texte d'origine par défaut
+export const DEFAULT_TEXT_VARIANTS = {
+  csv: 'normalized',
+  json: 'both',
+  md: 'raw',
+  html: 'raw',
+  ndjson: 'both',
+  parquet: 'both'
+};
+
+export function textVariantFor(format, exportText = {}) {
+  return exportText[format] || DEFAULT_TEXT_VARIANTS[format] || 'normalized';
+}
+
+// Flat thread or comment row with the text fields of `variant`
+export function applyTextVariant(row, variant) {
+  if (variant === 'both') return row;
+  const { raw_text, raw_title, ...rest } = row;
+  if (variant === 'raw') {
+    rest.text = raw_text ?? row.text;
+    if ('title' in row) rest.title = raw_title ?? row.title;
+  }
+  return rest;
+}
+
+// CSV header of `variant`: the raw columns are appended for 'both'
+export function csvHeaderFor(header, variant) {
+  if (variant !== 'both') return header;
+  const raw = header.some(column => column.id === 'title') ? ['raw_title', 'raw_text'] : ['raw_text'];
+  return [...header, ...raw.map(id => ({ id, title: id }))];
+}
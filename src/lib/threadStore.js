@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { normalizeText } from './normalizeText.js';
+
+// Thread snapshots for Omega-Red-Cappa-Edition.
+// Every scraped thread leaves a `<id>.json` snapshot of its comments (body,
+// score, edited flag) so that --refresh can re-fetch it later and report
+// what changed since.
+
+// [deleted] (supprimé par l'auteur) et [removed] (retiré par la modération),
+// bruts ou tels que normalizeText les rendait dans les anciens snapshots
+const REMOVED_BODIES = new Map([
+  ['[deleted]', 'deleted'],
+  ['[removed]', 'removed'],
+  [normalizeText('[deleted]'), 'deleted'],
+  [normalizeText('[removed]'), 'removed']
+]);
+
+// Le texte brut ne dépend pas de options.normalization
+function removalStatus(raw, text) {
+  return REMOVED_BODIES.get((raw ?? text ?? '').trim());
+}
+
+// Groups that collected a snapshot's thread; older snapshots kept a single `meta`
+function snapshotMetas(snapshot) {
+  return snapshot.metas || (snapshot.meta ? [snapshot.meta] : []);
+}
+
+export function createThreadStore(storeDir) {
+  function snapshotPath(threadId) {
+    return path.join(storeDir, `${threadId}.json`);
+  }
+
+  // Comments absent from `comments` (e.g. behind an unexpanded "more" stub)
+  // keep their previous entry, and the groups that already collected the
+  // thread stay listed next to `thread.meta`
+  async function save(thread, comments) {
+    const previous = await load(thread.id);
+    const metas = previous ? snapshotMetas(previous) : [];
+    const snapshot = {
+      id: thread.id,
+      subreddit: thread.subreddit,
+      metas: thread.meta === undefined || metas.includes(thread.meta) ? metas : [...metas, thread.meta],
+      title: thread.title || '',
+      created_utc: thread.time || 0,
+      fetchedAt: Math.floor(Date.now() / 1000),
+      comments: {
+        ...(previous ? previous.comments : {}),
+        ...Object.fromEntries(comments.map(c => [c.id, {
+          parent_id: c.parent_id,
+          author: c.author,
+          time: c.time,
+          body: c.text,
+          raw: c.raw_text ?? c.text,
+          ups: c.ups,
+          edited: c.edited || false
+        }]))
+      }
+    };
+    await fs.mkdir(storeDir, { recursive: true });
+    await fs.writeFile(snapshotPath(thread.id), JSON.stringify(snapshot));
+    return snapshot;
+  }
+
+  async function load(threadId) {
+    try {
+      return JSON.parse(await fs.readFile(snapshotPath(threadId), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // Snapshots of a group whose thread was created less than `maxAgeSec` ago,
+  // each with the `meta` of that group
+  async function list(meta, { maxAgeSec } = {}) {
+    let files = [];
+    try {
+      files = (await fs.readdir(storeDir)).filter(f => f.endsWith('.json'));
+    } catch {}
+    const minCreated = maxAgeSec ? Date.now() / 1000 - maxAgeSec : 0;
+    const snapshots = [];
+    for (const file of files) {
+      const snapshot = await load(path.basename(file, '.json'));
+      if (!snapshot || !snapshotMetas(snapshot).includes(meta)) continue;
+      if (snapshot.created_utc < minCreated) continue;
+      snapshots.push({ ...snapshot, meta });
+    }
+    return snapshots;
+  }
+
+  return { save, load, list };
+}
+
+// Compare freshly fetched comment rows with a previous snapshot. Comments
+// missing from the new fetch are not reported: they may simply sit behind an
+// unexpanded "more" stub.
+export function diffComments(snapshot, comments) {
+  const previous = snapshot.comments || {};
+  const diff = { added: [], edited: [], removed: [], rescored: [] };
+  for (const c of comments) {
+    const before = previous[c.id];
+    if (!before) {
+      diff.added.push(c);
+      continue;
+    }
+    const status = removalStatus(c.raw_text, c.text);
+    if (status && !removalStatus(before.raw, before.body)) {
+      diff.removed.push({ id: c.id, status, before: before.raw ?? before.body, author: before.author });
+      continue;
+    }
+    // Comparaison sur le texte brut quand le snapshot le connaît : un changement
+    // de options.normalization ne doit pas passer pour une édition
+    const changed = before.raw !== undefined ? (c.raw_text ?? c.text) !== before.raw : c.text !== before.body;
+    if (changed) {
+      diff.edited.push({ id: c.id, before: before.raw ?? before.body, after: c.raw_text ?? c.text, edited: c.edited || before.edited || false });
+    }
+    if (c.ups !== before.ups) {
+      diff.rescored.push({ id: c.id, before: before.ups, after: c.ups, delta: (c.ups || 0) - (before.ups || 0) });
+    }
+  }
+  return diff;
+}
@@ -0,0 +1,103 @@
+import fetch from 'node-fetch';
+import { authUrl } from './endpoints.js';
+
+// OAuth2 token lifecycle for Omega-Red-Cappa-Edition
+
+export const INSTALLED_CLIENT_GRANT = 'https://oauth.reddit.com/grants/installed_client';
+
+// Supported flows and the .env variables each one needs
+export const GRANT_TYPES = {
+  password: ['REDDIT_CLIENT_ID', 'REDDIT_CLIENT_SECRET', 'REDDIT_USER_AGENT', 'REDDIT_USERNAME', 'REDDIT_PASSWORD'],
+  client_credentials: ['REDDIT_CLIENT_ID', 'REDDIT_CLIENT_SECRET', 'REDDIT_USER_AGENT'],
+  installed_client: ['REDDIT_CLIENT_ID', 'REDDIT_USER_AGENT']
+};
+
+// Accept the full installed_client grant URL as well as the short name
+export function normalizeGrantType(grantType) {
+  if (!grantType) return 'password';
+  return grantType === INSTALLED_CLIENT_GRANT ? 'installed_client' : grantType;
+}
+
+// Names of the variables required by `grantType` that are missing from `env`
+export function missingCredentials(grantType, env = process.env) {
+  return (GRANT_TYPES[normalizeGrantType(grantType)] || []).filter(name => !env[name]);
+}
+
+function grantBody({ grantType, username, password, deviceId }) {
+  switch (normalizeGrantType(grantType)) {
+    case 'client_credentials':
+      // Application-only : lecture seule, sans compte utilisateur
+      return { grant_type: 'client_credentials', scope: 'read' };
+    case 'installed_client':
+      return { grant_type: INSTALLED_CLIENT_GRANT, device_id: deviceId || 'DO_NOT_TRACK_THIS_DEVICE', scope: 'read' };
+    case 'password':
+      return { grant_type: 'password', username, password, scope: 'read' };
+    default:
+      throw new Error(`Unsupported grant type '${grantType}' (expected one of ${Object.keys(GRANT_TYPES).join(', ')})`);
+  }
+}
+
+// Request a fresh token with the configured grant; resolves to { access_token, expires_in }
+export async function requestRedditToken({ grantType, clientId, clientSecret, userAgent, username, password, deviceId, authBaseUrl }) {
+  const response = await fetch(authUrl('/api/v1/access_token', authBaseUrl), {
+    method: 'POST',
+    headers: {
+      // Les applications "installed" n'ont pas de secret : client_id suivi de ':' vide
+      'Authorization': 'Basic ' + Buffer.from(`${clientId}:${clientSecret || ''}`).toString('base64'),
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'User-Agent': userAgent
+    },
+    body: new URLSearchParams(grantBody({ grantType, username, password, deviceId }))
+  });
+  if (!response.ok) {
+    const errText = await response.text();
+    throw new Error(`Token error: ${errText}`);
+  }
+  const data = await response.json();
+  if (!data.access_token) {
+    throw new Error(`Token error: ${data.error || 'no access_token in response'}`);
+  }
+  return data;
+}
+
+// Keeps a token alive for the whole run: it is renewed `refreshMarginSec`
+// before `expires_in` runs out, and concurrent callers share one renewal.
+export function createTokenProvider(credentials, { refreshMarginSec = 60 } = {}) {
+  let accessToken = null;
+  let expiresAt = 0;
+  let pending = null;
+
+  async function refresh() {
+    const data = await requestRedditToken(credentials);
+    accessToken = data.access_token;
+    expiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+    return accessToken;
+  }
+
+  async function getToken() {
+    if (accessToken && Date.now() < expiresAt - refreshMarginSec * 1000) return accessToken;
+    if (!pending) {
+      pending = refresh().finally(() => { pending = null; });
+    }
+    return pending;
+  }
+
+  // Called after a 401: drop the token unless another request already replaced it
+  function invalidate(staleToken) {
+    if (staleToken === undefined || staleToken === accessToken) {
+      accessToken = null;
+      expiresAt = 0;
+    }
+  }
+
+  return { getToken, invalidate };
+}
+
+// Wrap a plain access token string so it can be used wherever a provider is expected
+export function toTokenProvider(tokenOrProvider) {
+  if (tokenOrProvider && typeof tokenOrProvider.getToken === 'function') return tokenOrProvider;
+  return {
+    getToken: async () => tokenOrProvider,
+    invalidate() {}
+  };
+}
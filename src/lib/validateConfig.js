@@ -0,0 +1,333 @@
+import { fetchWithRateLimit } from './fetchWithRateLimit.js';
+import { LISTING_SORTS, SEARCH_SORTS, TIME_WINDOWS } from './groupConfig.js';
+import { EXPORT_FORMATS, EXPORTER_NAME } from './exporters.js';
+import { GRANT_TYPES, normalizeGrantType } from './tokenProvider.js';
+import { NDJSON_COMMENT_MODES } from './ndjsonWriter.js';
+import { TOKENIZERS, EMOJI_MODES, AUTO_TOKENIZER } from './normalizeText.js';
+import { LANGUAGES } from './language.js';
+import { TEXT_VARIANTS } from './textVariant.js';
+import { apiUrl, isBaseUrl, userAgent } from './endpoints.js';
+
+// Config validation and subreddit preflight for Omega-Red-Cappa-Edition
+// (port of legacy/verifier.js)
+
+const SUBREDDIT_NAME = /^[A-Za-z0-9][A-Za-z0-9_]{1,20}$/;
+const USERNAME = /^[A-Za-z0-9_-]{3,20}$/;
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+  return JSON.stringify(value);
+}
+
+// Returns a list of { path, message } describing every problem found in config.json
+export function validateConfig(config) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+
+  function checkInteger(path, value, min) {
+    if (value === undefined) return;
+    if (!Number.isInteger(value) || value < min) {
+      fail(path, `must be an integer >= ${min} (got ${describe(value)})`);
+    }
+  }
+  function checkNumber(path, value, min) {
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= min) {
+      fail(path, `must be a number > ${min} (got ${describe(value)})`);
+    }
+  }
+  function checkBoolean(path, value) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      fail(path, `must be true or false (got ${describe(value)})`);
+    }
+  }
+  function checkEnum(path, value, allowed) {
+    if (value !== undefined && !allowed.includes(value)) {
+      fail(path, `must be one of ${allowed.join(', ')} (got ${describe(value)})`);
+    }
+  }
+  function checkLanguages(path, value) {
+    if (value === undefined) return;
+    if (!Array.isArray(value) || !value.length) {
+      fail(path, `must be a non-empty list of languages (got ${describe(value)})`);
+      return;
+    }
+    value.forEach((lang, i) => checkEnum(`${path}[${i}]`, lang, Object.keys(LANGUAGES)));
+  }
+
+  if (!isPlainObject(config)) {
+    fail('config', 'must be a JSON object');
+    return errors;
+  }
+
+  const options = config.options;
+  if (options !== undefined && !isPlainObject(options)) {
+    fail('options', 'must be an object');
+  } else if (options) {
+    // Exporteurs tiers : { nom: chemin du module }, relatif au fichier de config
+    const exporters = options.exporters;
+    let formats = EXPORT_FORMATS;
+    if (exporters !== undefined && !isPlainObject(exporters)) {
+      fail('options.exporters', 'must be an object mapping exporter names to module paths');
+    } else if (exporters) {
+      for (const [name, modulePath] of Object.entries(exporters)) {
+        if (!EXPORTER_NAME.test(name) || EXPORT_FORMATS.includes(name)) {
+          fail(`options.exporters.${name}`, `must be a lowercase name (letters, digits, _ or -) other than ${EXPORT_FORMATS.join(', ')}`);
+        } else if (typeof modulePath !== 'string' || !modulePath.trim()) {
+          fail(`options.exporters.${name}`, `must be the path of a module (got ${describe(modulePath)})`);
+        }
+      }
+      formats = [...EXPORT_FORMATS, ...Object.keys(exporters)];
+    }
+    checkEnum('options.exportFormat', options.exportFormat, formats);
+    if (options.exportFormats !== undefined) {
+      if (!Array.isArray(options.exportFormats) || !options.exportFormats.length) {
+        fail('options.exportFormats', `must be a non-empty list of export formats (got ${describe(options.exportFormats)})`);
+      } else {
+        options.exportFormats.forEach((format, i) => checkEnum(`options.exportFormats[${i}]`, format, formats));
+      }
+    }
+    checkEnum('options.ndjsonComments', options.ndjsonComments, NDJSON_COMMENT_MODES);
+    checkInteger('options.maxParallelThreads', options.maxParallelThreads, 1);
+    checkNumber('options.autosaveIntervalSec', options.autosaveIntervalSec, 0);
+    checkNumber('options.maxMarkdownSizeMB', options.maxMarkdownSizeMB, 0);
+    checkBoolean('options.expandMoreComments', options.expandMoreComments);
+    checkInteger('options.maxMoreRequestsPerThread', options.maxMoreRequestsPerThread, 0);
+    checkBoolean('options.enrichAuthors', options.enrichAuthors);
+    checkNumber('options.authorCacheTtlHours', options.authorCacheTtlHours, 0);
+    checkEnum('options.sort', options.sort, LISTING_SORTS);
+    checkEnum('options.t', options.t, TIME_WINDOWS);
+    checkInteger('options.searchCount', options.searchCount, 1);
+    checkInteger('options.userCount', options.userCount, 1);
+    checkBoolean('options.userParentContext', options.userParentContext);
+    checkBoolean('options.preflight', options.preflight);
+    checkBoolean('options.analytics', options.analytics);
+    checkBoolean('options.sentiment', options.sentiment);
+    checkNumber('options.refreshMaxAgeDays', options.refreshMaxAgeDays, 0);
+    for (const key of ['sqlitePath', 'lastRunPath']) {
+      if (options[key] !== undefined && (typeof options[key] !== 'string' || !options[key])) {
+        fail(`options.${key}`, `must be a non-empty path (got ${describe(options[key])})`);
+      }
+    }
+    for (const key of ['apiBaseUrl', 'authBaseUrl']) {
+      if (options[key] !== undefined && !isBaseUrl(options[key])) {
+        fail(`options.${key}`, `must be an http(s) URL such as "http://localhost:8080" (got ${describe(options[key])})`);
+      }
+    }
+    const normalization = options.normalization;
+    if (normalization !== undefined && !isPlainObject(normalization)) {
+      fail('options.normalization', 'must be an object');
+    } else if (normalization) {
+      for (const key of ['enabled', 'lowercase', 'stopwords', 'stripUrls', 'stripMentions']) {
+        checkBoolean(`options.normalization.${key}`, normalization[key]);
+      }
+      checkEnum('options.normalization.tokenizer', normalization.tokenizer, [AUTO_TOKENIZER, ...Object.keys(TOKENIZERS), 'none']);
+      checkEnum('options.normalization.emoji', normalization.emoji, EMOJI_MODES);
+    }
+    const language = options.language;
+    if (language !== undefined && !isPlainObject(language)) {
+      fail('options.language', 'must be an object');
+    } else if (language) {
+      checkBoolean('options.language.detect', language.detect);
+      checkBoolean('options.language.filterComments', language.filterComments);
+      checkInteger('options.language.minLength', language.minLength, 1);
+      checkEnum('options.language.fallback', language.fallback, Object.keys(LANGUAGES));
+      checkLanguages('options.language.candidates', language.candidates);
+      checkLanguages('options.language.include', language.include);
+      checkLanguages('options.language.exclude', language.exclude);
+    }
+    if (options.dateLocale !== undefined && options.dateLocale !== 'auto') {
+      let supported = false;
+      try {
+        supported = typeof options.dateLocale === 'string' && Intl.DateTimeFormat.supportedLocalesOf(options.dateLocale).length > 0;
+      } catch {}
+      if (!supported) fail('options.dateLocale', `must be "auto" or a locale such as "fr-FR" (got ${describe(options.dateLocale)})`);
+    }
+    const exportText = options.exportText;
+    if (exportText !== undefined && !isPlainObject(exportText)) {
+      fail('options.exportText', 'must be an object mapping export formats to a text variant');
+    } else if (exportText) {
+      for (const [format, variant] of Object.entries(exportText)) {
+        if (!formats.includes(format) || format === 'sqlite') {
+          fail(`options.exportText.${format}`, `unknown export format (expected one of ${formats.filter(f => f !== 'sqlite').join(', ')})`);
+        } else {
+          checkEnum(`options.exportText.${format}`, variant, TEXT_VARIANTS);
+        }
+      }
+    }
+    checkEnum('options.grantType', options.grantType && normalizeGrantType(options.grantType), Object.keys(GRANT_TYPES));
+    const throttle = options.throttle;
+    if (throttle !== undefined && !isPlainObject(throttle)) {
+      fail('options.throttle', 'must be an object');
+    } else if (throttle) {
+      checkInteger('options.throttle.minDelayMs', throttle.minDelayMs, 0);
+      checkInteger('options.throttle.highDelayMs', throttle.highDelayMs, 0);
+      if (Number.isInteger(throttle.minDelayMs) && Number.isInteger(throttle.highDelayMs) && throttle.highDelayMs < throttle.minDelayMs) {
+        fail('options.throttle.highDelayMs', `must be >= options.throttle.minDelayMs (${throttle.minDelayMs})`);
+      }
+    }
+  }
+
+  const subreddits = config.subreddits;
+  if (subreddits !== undefined && !isPlainObject(subreddits)) {
+    fail('subreddits', 'must be an object of groups');
+  } else if (subreddits) {
+    for (const meta of Object.keys(subreddits)) {
+      const group = subreddits[meta];
+      const groupPath = `subreddits.${meta}`;
+      if (!isPlainObject(group)) {
+        fail(groupPath, 'must be an object mapping subreddit names to thread counts');
+        continue;
+      }
+      const isExtended = isPlainObject(group.subreddits);
+      const entries = isExtended ? group.subreddits : group;
+      const entriesPath = isExtended ? `${groupPath}.subreddits` : groupPath;
+      if (isExtended) {
+        checkEnum(`${groupPath}.sort`, group.sort, LISTING_SORTS);
+        checkEnum(`${groupPath}.t`, group.t, TIME_WINDOWS);
+        checkLanguages(`${groupPath}.languages`, group.languages);
+      }
+      if (Object.keys(entries).length === 0) {
+        fail(entriesPath, 'must list at least one subreddit');
+      }
+      for (const subreddit of Object.keys(entries)) {
+        const value = entries[subreddit];
+        const subPath = `${entriesPath}.${subreddit}`;
+        if (!SUBREDDIT_NAME.test(subreddit)) {
+          fail(subPath, 'is not a valid subreddit name');
+        }
+        if (isPlainObject(value)) {
+          if (value.count === undefined) fail(`${subPath}.count`, 'is required');
+          checkInteger(`${subPath}.count`, value.count, 1);
+          checkEnum(`${subPath}.sort`, value.sort, LISTING_SORTS);
+          checkEnum(`${subPath}.t`, value.t, TIME_WINDOWS);
+          checkLanguages(`${subPath}.languages`, value.languages);
+        } else if (!Number.isInteger(value) || value < 1) {
+          fail(subPath, `must be a positive integer thread count or { count, sort, t } (got ${describe(value)})`);
+        }
+      }
+    }
+  }
+
+  const searches = config.searches;
+  if (searches !== undefined && !isPlainObject(searches)) {
+    fail('searches', 'must be an object of groups');
+  } else if (searches) {
+    for (const meta of Object.keys(searches)) {
+      const groupPath = `searches.${meta}`;
+      if (!Array.isArray(searches[meta])) {
+        fail(groupPath, 'must be a list of search queries');
+        continue;
+      }
+      searches[meta].forEach((entry, i) => {
+        const entryPath = `${groupPath}[${i}]`;
+        if (!isPlainObject(entry)) {
+          fail(entryPath, 'must be an object with a "query"');
+          return;
+        }
+        if (typeof entry.query !== 'string' || !entry.query.trim()) {
+          fail(`${entryPath}.query`, 'must be a non-empty string');
+        }
+        if (entry.subreddit !== undefined && (typeof entry.subreddit !== 'string' || !SUBREDDIT_NAME.test(entry.subreddit))) {
+          fail(`${entryPath}.subreddit`, 'is not a valid subreddit name');
+        }
+        checkBoolean(`${entryPath}.restrict_sr`, entry.restrict_sr);
+        checkInteger(`${entryPath}.count`, entry.count, 1);
+        checkEnum(`${entryPath}.sort`, entry.sort, SEARCH_SORTS);
+        checkEnum(`${entryPath}.t`, entry.t, TIME_WINDOWS);
+        checkLanguages(`${entryPath}.languages`, entry.languages);
+      });
+    }
+  }
+
+  const users = config.users;
+  if (users !== undefined && !isPlainObject(users)) {
+    fail('users', 'must be an object of groups');
+  } else if (users) {
+    for (const meta of Object.keys(users)) {
+      const groupPath = `users.${meta}`;
+      if (!Array.isArray(users[meta])) {
+        fail(groupPath, 'must be a list of usernames');
+        continue;
+      }
+      users[meta].forEach((entry, i) => {
+        const entryPath = `${groupPath}[${i}]`;
+        const value = typeof entry === 'string' ? { username: entry } : entry;
+        if (!isPlainObject(value)) {
+          fail(entryPath, 'must be a username or an object with a "username"');
+          return;
+        }
+        if (typeof value.username !== 'string' || !USERNAME.test(value.username.replace(/^u\//, ''))) {
+          fail(typeof entry === 'string' ? entryPath : `${entryPath}.username`, `is not a valid username (got ${describe(value.username)})`);
+        }
+        checkInteger(`${entryPath}.count`, value.count, 1);
+        checkBoolean(`${entryPath}.submitted`, value.submitted);
+        checkBoolean(`${entryPath}.comments`, value.comments);
+        checkBoolean(`${entryPath}.parentContext`, value.parentContext);
+        checkLanguages(`${entryPath}.languages`, value.languages);
+      });
+    }
+  }
+
+  if (!subreddits && !searches && !users) {
+    fail('subreddits', 'is required (or searches / users)');
+  }
+  return errors;
+}
+
+// Check one subreddit through /r/<sub>/about. Status is one of
+// ok, private, quarantined, banned, not_found or error.
+export async function checkSubreddit(subreddit, tokenProvider, fetchOptions) {
+  try {
+    const response = await fetchWithRateLimit(apiUrl(`/r/${subreddit}/about?raw_json=1`, fetchOptions), {
+      headers: {
+        'User-Agent': userAgent(fetchOptions)
+      },
+      // Reddit redirige vers la recherche quand le subreddit n'existe pas
+      redirect: 'manual'
+    }, { ...fetchOptions, tokenProvider });
+    if (response.status >= 300 && response.status < 400) {
+      return { subreddit, status: 'not_found' };
+    }
+    let body = {};
+    try {
+      body = await response.json();
+    } catch {}
+    if (response.status === 403) {
+      return { subreddit, status: body.reason === 'quarantined' ? 'quarantined' : 'private', detail: body.reason };
+    }
+    if (response.status === 404) {
+      return { subreddit, status: body.reason === 'banned' ? 'banned' : 'not_found', detail: body.reason };
+    }
+    if (!response.ok) {
+      return { subreddit, status: 'error', detail: `HTTP ${response.status}` };
+    }
+    // valid if kind == t5
+    if (body.kind !== 't5' || !body.data) {
+      return { subreddit, status: 'not_found' };
+    }
+    if (body.data.quarantine) {
+      return { subreddit, status: 'quarantined' };
+    }
+    if (body.data.subreddit_type === 'private') {
+      return { subreddit, status: 'private' };
+    }
+    return { subreddit, status: 'ok' };
+  } catch (err) {
+    return { subreddit, status: 'error', detail: err.message };
+  }
+}
+
+// Check every distinct subreddit once; returns a Map of subreddit -> result
+export async function preflightSubreddits(subredditNames, tokenProvider, fetchOptions) {
+  const results = new Map();
+  for (const subreddit of subredditNames) {
+    const key = subreddit.toLowerCase();
+    if (results.has(key)) continue;
+    results.set(key, await checkSubreddit(subreddit, tokenProvider, fetchOptions));
+  }
+  return results;
+}
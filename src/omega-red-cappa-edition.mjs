@@ -1,19 +1,26 @@
-import fetch from 'node-fetch';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import { createObjectCsvWriter } from 'csv-writer';
 import chalk from 'chalk';
 import ora from 'ora';
-import natural from 'natural';
 import cliProgress from 'cli-progress';
 import readline from 'readline';
-import pMap from 'p-map';
-import { fetchAllThreads } from './lib/fetchAllThreads.js';
-import { fetchAllComments } from './lib/fetchAllComments.js';
-import { wait, padNumber, formatEta, formatElapsed, calculateEta, formatDate, mdEscape, promptYesNo } from './lib/helpers.js';
-import { exportGroupToMarkdown } from './lib/export.js';
+import { padNumber, formatEta, formatElapsed, calculateEta, promptYesNo } from './lib/helpers.js';
+import { buildThreadObject } from './lib/commentTree.js';
+import { createAuthorCache } from './lib/authorCache.js';
+import { resolveGroup, resolveSearchGroup, resolveUserGroup, describeJob } from './lib/groupConfig.js';
+import { parseCliArgs, USAGE, EXIT_CODES } from './lib/cli.js';
+import { validateConfig } from './lib/validateConfig.js';
+import { createTokenProvider, normalizeGrantType, missingCredentials, GRANT_TYPES } from './lib/tokenProvider.js';
+import { loadRunState, saveRunState, clearCheckpoint, openJournal } from './lib/checkpoint.js';
+import { loadIncrementalState, saveIncrementalState, getMark, setMark, newestMark } from './lib/incrementalState.js';
+import { createThreadStore } from './lib/threadStore.js';
+import { exporterNames, hasExporter, loadExporters, openExporters } from './lib/exporters.js';
+import { createAnalyzer, analyzeExportFile, writeReport } from './lib/analytics.js';
+import { createSentimentSummary, extremeThreads } from './lib/sentiment.js';
+import { createScraper } from './lib/scraper.js';
+import { isBaseUrl, DEFAULT_API_BASE_URL, DEFAULT_AUTH_BASE_URL } from './lib/endpoints.js';
 
 // References to the current autosave handler and timer so we can
 // perform a final save on interruption.
@@ -29,39 +36,30 @@ const {
   REDDIT_CLIENT_SECRET,
   REDDIT_USER_AGENT,
   REDDIT_USERNAME,
-  REDDIT_PASSWORD
+  REDDIT_PASSWORD,
+  REDDIT_GRANT_TYPE,
+  REDDIT_DEVICE_ID,
+  REDDIT_API_BASE_URL,
+  REDDIT_AUTH_BASE_URL
 } = process.env;
 
-if (!REDDIT_CLIENT_ID || !REDDIT_CLIENT_SECRET || !REDDIT_USER_AGENT || !REDDIT_USERNAME || !REDDIT_PASSWORD) {
-  console.error(chalk.red.bold('Missing Reddit API credentials in .env file.'));
-  process.exit(1);
-}
-
-async function getRedditToken() {
-  const spinner = ora('Requesting Reddit OAuth2 token...').start();
+// The provider renews the token before it expires, so long multi-group runs keep working
+async function getRedditToken(grantType, authBaseUrl) {
+  const spinner = ora(`Requesting Reddit OAuth2 token (${grantType})...`).start();
+  const tokenProvider = createTokenProvider({
+    grantType,
+    deviceId: REDDIT_DEVICE_ID,
+    clientId: REDDIT_CLIENT_ID,
+    clientSecret: REDDIT_CLIENT_SECRET,
+    userAgent: REDDIT_USER_AGENT,
+    username: REDDIT_USERNAME,
+    password: REDDIT_PASSWORD,
+    authBaseUrl
+  });
   try {
-    const response = await fetch('https://www.reddit.com/api/v1/access_token', {
-      method: 'POST',
-      headers: {
-        'Authorization': 'Basic ' + Buffer.from(`${REDDIT_CLIENT_ID}:${REDDIT_CLIENT_SECRET}`).toString('base64'),
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': REDDIT_USER_AGENT
-      },
-      body: new URLSearchParams({
-        grant_type: 'password',
-        username: REDDIT_USERNAME,
-        password: REDDIT_PASSWORD,
-        scope: 'read'
-      })
-    });
-    if (!response.ok) {
-      spinner.fail(chalk.red('Failed to get Reddit token.'));
-      const errText = await response.text();
-      throw new Error(`Token error: ${errText}`);
-    }
-    const data = await response.json();
+    await tokenProvider.getToken();
     spinner.succeed(chalk.green('Reddit OAuth2 token acquired.'));
-    return data.access_token;
+    return tokenProvider;
   } catch (err) {
     spinner.fail(chalk.red('Error during token acquisition.'));
     throw err;
@@ -78,32 +76,43 @@ function getDateTimePrefix() {
   return `${yyyy}${mm}${dd}-${hh}${min}`;
 }
 
-async function promptExportFormat(configPath, config) {
-  const defaultFormat = (config.options && config.options.exportFormat) || 'csv';
+// Formats du run : --format, sinon options.exportFormats / options.exportFormat
+function configuredFormats(cli, options) {
+  if (cli.formats) return cli.formats;
+  if (options.exportFormats) return options.exportFormats;
+  return options.exportFormat ? [options.exportFormat] : null;
+}
+
+async function promptExportFormats(configPath, config) {
+  const available = exporterNames();
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout
   });
   function ask() {
     return new Promise(resolve => {
-      rl.question(chalk.yellow(`Choose export format [${defaultFormat}]: `), answer => {
+      rl.question(chalk.yellow(`Choose export format(s), comma-separated (${available.join(', ')}) [csv]: `), answer => {
         resolve(answer.trim().toLowerCase());
       });
     });
   }
-  let format;
+  let formats;
   while (true) {
-    format = await ask();
-    if (!format) format = defaultFormat;
-    if (format === 'csv' || format === 'json' || format === 'md') break;
-    console.log(chalk.red('Invalid input. Please type "csv", "json" or "md".'));
+    const answer = await ask();
+    formats = answer ? [...new Set(answer.split(',').map(f => f.trim()).filter(Boolean))] : ['csv'];
+    if (formats.length && formats.every(f => available.includes(f))) break;
+    console.log(chalk.red(`Invalid input. Please type one or more of ${available.map(f => `"${f}"`).join(', ')}.`));
   }
   rl.close();
   config.options = config.options || {};
-  config.options.exportFormat = format;
+  if (formats.length === 1) {
+    config.options.exportFormat = formats[0];
+  } else {
+    config.options.exportFormats = formats;
+  }
   await fs.writeFile(configPath, JSON.stringify(config, null, 2));
-  console.log(chalk.green(`Export format set to '${format}' and saved in config.json.`));
-  return format;
+  console.log(chalk.green(`Export format set to '${formats.join(', ')}' and saved in config.json.`));
+  return formats;
 }
 
 function printStatusLine({
@@ -122,7 +131,8 @@ function printStatusLine({
   const elapsed = formatElapsed(startTime);
   const eta = formatEta(calculateEta(startTime, totalProcessed, totalWork));
   let msg = chalk.cyan(`Time: ${elapsed} | ETA: ${eta} | `);
-  msg += chalk.yellow(`Progress: ${padNumber(totalProcessed)}/${padNumber(totalWork)} (${Math.round(totalProcessed/totalWork*100)}%) | `);
+  const percent = totalWork > 0 ? Math.round(totalProcessed / totalWork * 100) : 100;
+  msg += chalk.yellow(`Progress: ${padNumber(totalProcessed)}/${padNumber(totalWork)} threads (${percent}%) | `);
   if (subreddit) {
     msg += chalk.green(`r/${subreddit}: ${padNumber(threadIdx)}/${padNumber(threadTotal)} | `);
   }
@@ -147,124 +157,416 @@ function printStatusLine({
   process.stdout.write('\x1b[1A');
 }
 
-async function main() {
-  const startBanner = chalk.bold.bgRed.white(' OMEGA-RED-CAPPA-EDITION REDDIT SCRAPER ');
-  console.log('\n' + startBanner + '\n');
-  const configPath = path.join(__dirname, '../config.json');
-  const contentDir = path.join(__dirname, '../content');
-  const autosaveDir = path.join(contentDir, 'autosave');
-  const datePrefix = getDateTimePrefix();
+// Same closing summary as the legacy verifier
+function printScrapeSummary(jobsByGroup) {
+  const jobs = [...jobsByGroup.values()].flat();
+  const listings = jobs.filter(job => job.kind === 'listing');
+  const totalThreads = listings.reduce((sum, job) => sum + job.count, 0);
+  const totalSubreddits = new Set(listings.map(job => job.subreddit.toLowerCase())).size;
+  let msg = `Scraping ${totalThreads} threads from ${totalSubreddits} subreddits`;
+  const searches = jobs.filter(job => job.kind === 'search').length;
+  const users = jobs.filter(job => job.kind === 'user').length;
+  if (searches) msg += `, ${searches} search quer${searches > 1 ? 'ies' : 'y'}`;
+  if (users) msg += `, ${users} user${users > 1 ? 's' : ''}`;
+  console.log(chalk.cyan(msg));
+}
 
-  const dirSpinner = ora('Ensuring content directories exist...').start();
+function formatScore(value) {
+  if (value === null) return '—';
+  return `${value > 0 ? '+' : ''}${value.toFixed(3)}`;
+}
+
+// Moyennes de sentiment d'un groupe : par subreddit, puis les threads aux extrêmes
+function printSentimentSummary({ subreddits, threads }) {
+  console.log(chalk.cyan('Sentiment (moyenne par mot, de -1 à +1) :'));
+  for (const s of subreddits) {
+    console.log(chalk.gray(`  r/${s.subreddit}: threads ${formatScore(s.threadSentiment)} (${s.threads}), commentaires ${formatScore(s.commentSentiment)} (${s.comments})`));
+  }
+  const { positive, negative } = extremeThreads(threads);
+  const line = t => `  ${formatScore(t.commentSentiment)} r/${t.subreddit} ${t.id} (${t.comments} commentaires) ${t.title.slice(0, 60)}`;
+  if (positive.length) {
+    console.log(chalk.green('Threads les plus positifs :'));
+    positive.forEach(t => console.log(chalk.gray(line(t))));
+  }
+  if (negative.length) {
+    console.log(chalk.red('Threads les plus négatifs :'));
+    negative.forEach(t => console.log(chalk.gray(line(t))));
+  }
+}
+
+// --refresh : re-fetch the known threads of each group and write a diff per group
+async function refreshGroups(groupNames, { threadStore, maxAgeDays, contentDir, datePrefix, scraper }) {
+  let refreshed = 0;
+  let failedThreads = 0;
+  for (const meta of groupNames) {
+    const snapshots = await threadStore.list(meta, { maxAgeSec: maxAgeDays * 24 * 3600 });
+    if (!snapshots.length) {
+      console.log(chalk.yellow(`No known thread younger than ${maxAgeDays} day(s) for group '${meta}'.`));
+      continue;
+    }
+    const spinner = ora(`Refreshing ${snapshots.length} thread(s) for group '${meta}'...`).start();
+    let done = 0;
+    const results = await scraper.refreshThreads(snapshots, {
+      onThread: () => { spinner.text = `Refreshing group '${meta}': ${++done}/${snapshots.length} thread(s)`; }
+    });
+    const totals = { added: 0, edited: 0, removed: 0, rescored: 0 };
+    // Threads non récupérés : pas de diff, leur snapshot reste la référence
+    const failed = results.filter(r => r.error);
+    const refreshedOk = results.filter(r => !r.error);
+    for (const result of refreshedOk) {
+      for (const change of Object.keys(totals)) totals[change] += result[change].length;
+    }
+    const changed = refreshedOk.filter(r => r.added.length || r.edited.length || r.removed.length || r.rescored.length);
+    const refreshPath = path.join(contentDir, `${datePrefix}-${meta}-refresh.json`);
+    await fs.writeFile(refreshPath, JSON.stringify({
+      meta,
+      refreshedAt: Math.floor(Date.now() / 1000),
+      maxAgeDays,
+      threadsRefreshed: refreshedOk.length,
+      totals,
+      threads: changed,
+      failed: failed.map(({ thread, error }) => ({ thread, error }))
+    }, null, 2));
+    const summary = `Group '${meta}': ${refreshedOk.length} thread(s) refreshed, ${totals.added} new, ${totals.edited} edited, ${totals.removed} deleted/removed, ${totals.rescored} score change(s).`;
+    if (failed.length) {
+      spinner.warn(chalk.yellow(`${summary} ${failed.length} thread(s) could not be fetched:`));
+      failed.forEach(({ thread, error }) => console.log(chalk.red(`  - ${thread.id}: ${error}`)));
+    } else {
+      spinner.succeed(chalk.green(summary));
+    }
+    console.log(chalk.green(`Exported refresh diff to ${refreshPath}`));
+    refreshed += refreshedOk.length;
+    failedThreads += failed.length;
+  }
+  return { refreshed, failedThreads };
+}
+
+// --from-db : rebuild the files of each group in the given formats from the SQLite database
+async function exportFromDatabase(dbPath, groupFilter, { exportFormats, contentDir, datePrefix, options }) {
   try {
-    await fs.mkdir(contentDir, { recursive: true });
-    await fs.mkdir(autosaveDir, { recursive: true });
-    dirSpinner.succeed(chalk.green('Content directories ready.'));
+    await fs.access(dbPath);
+  } catch {
+    console.error(chalk.red(`No SQLite database at ${dbPath} (run once with --format sqlite first).`));
+    return EXIT_CODES.FAILURE;
+  }
+  const { openDatabase, listGroups, loadGroup } = await import('./lib/sqliteStore.js');
+  const database = openDatabase(dbPath);
+  try {
+    const groups = listGroups(database).filter(meta => !groupFilter || groupFilter.includes(meta));
+    if (!groups.length) {
+      console.log(chalk.yellow(`No group to export from ${dbPath}.`));
+      return EXIT_CODES.FAILURE;
+    }
+    for (const meta of groups) {
+      const { sources } = loadGroup(database, meta);
+      const fileBase = `${datePrefix}-${meta}`;
+      const exporters = await openExporters(exportFormats, { meta, fileBase, contentDir, autosaveDir: path.join(contentDir, 'autosave'), sqlitePath: dbPath, options });
+      let threadCount = 0;
+      for (const [key, stored] of sources) {
+        const source = {
+          key,
+          subreddit: stored.subreddit || 'all',
+          ...(stored.query ? { query: stored.query } : {}),
+          ...(stored.username ? { user: stored.username } : {})
+        };
+        for (const thread of stored.threads) {
+          await exporters.writeThread(thread, source);
+          await exporters.writeComments(thread, stored.comments.get(thread.id), source);
+          threadCount++;
+        }
+      }
+      const files = await exporters.close();
+      for (const [format, paths] of Object.entries(files)) {
+        if (paths.length) console.log(chalk.green(`Exported ${format} to ${paths.join(', ')}`));
+      }
+      ora().succeed(chalk.bold.green(`Group '${meta}' exported from ${dbPath}: ${threadCount} thread(s).`));
+    }
+    return EXIT_CODES.OK;
+  } finally {
+    database.close();
+  }
+}
+
+// --analyze : report of an existing export, written next to it
+async function analyzeExport(filePath) {
+  const resolved = path.resolve(filePath);
+  const base = resolved.replace(/\.(nd)?json$/, '');
+  // Le nom du groupe, sans le préfixe de date des exports
+  const meta = path.basename(base).replace(/^\d{8}-\d{4}-/, '');
+  let report;
+  try {
+    report = await analyzeExportFile(resolved, meta);
   } catch (err) {
-    dirSpinner.fail(chalk.red('Failed to create content directories.'));
-    throw err;
+    console.error(chalk.red(`Failed to analyze ${resolved}: ${err.message}`));
+    return EXIT_CODES.FAILURE;
   }
+  const { jsonPath, mdPath } = await writeReport(report, base);
+  console.log(chalk.green(`Exported analytics report to ${jsonPath}, ${mdPath}`));
+  return EXIT_CODES.OK;
+}
+
+async function main(cli) {
+  const startBanner = chalk.bold.bgRed.white(' OMEGA-RED-CAPPA-EDITION REDDIT SCRAPER ');
+  console.log('\n' + startBanner + '\n');
+  if (cli.analyze) return analyzeExport(cli.analyze);
+  const configPath = cli.configPath ? path.resolve(cli.configPath) : path.join(__dirname, '../config.json');
+  const contentDir = cli.outputDir ? path.resolve(cli.outputDir) : path.join(__dirname, '../content');
+  const autosaveDir = path.join(contentDir, 'autosave');
+  let datePrefix = getDateTimePrefix();
 
   let config;
   try {
     config = JSON.parse(await fs.readFile(configPath, 'utf-8'));
   } catch (err) {
-    console.error(chalk.red('Failed to read config.json:'), err.message);
-    process.exit(1);
+    console.error(chalk.red(`Failed to read ${configPath}:`), err.message);
+    return EXIT_CODES.FAILURE;
   }
   
+  const configErrors = validateConfig(config);
+  if (configErrors.length) {
+    console.error(chalk.red(`Invalid configuration in ${configPath}:`));
+    configErrors.forEach(e => console.error(chalk.red(`  - ${e.path}: ${e.message}`)));
+    return EXIT_CODES.FAILURE;
+  }
+
   // Ensure default values for new options
   if (!config.options) config.options = {};
   if (!config.options.maxMarkdownSizeMB) config.options.maxMarkdownSizeMB = 1;
-  
-  let exportFormat = await promptExportFormat(configPath, config);
-  const maxParallelThreads = (config.options && config.options.maxParallelThreads) || 5;
-  const throttleConfig = (config.options && config.options.throttle) || {};
-  const minDelay = throttleConfig.minDelayMs || 1000;
-  const highDelay = throttleConfig.highDelayMs || 3000;
-  const maxMarkdownSizeMB = (config.options && config.options.maxMarkdownSizeMB) || 1;
-
-  let token;
+
+  // Exporteurs tiers (options.exporters), chemins relatifs au fichier de config
+  try {
+    await loadExporters(config.options.exporters, path.dirname(configPath));
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    return EXIT_CODES.FAILURE;
+  }
+  const unknownFormats = (cli.formats || []).filter(f => !hasExporter(f));
+  if (unknownFormats.length) {
+    console.error(chalk.red(`Unknown export format(s): ${unknownFormats.join(', ')} (available: ${exporterNames().join(', ')})`));
+    return EXIT_CODES.USAGE;
+  }
+
+  const subredditsConfig = config.subreddits || {};
+  const searchesConfig = config.searches || {};
+  const usersConfig = config.users || {};
+
+  // Un groupe peut combiner des subreddits (config.subreddits), des recherches (config.searches)
+  // et des historiques d'utilisateurs (config.users)
+  let groupNames = [...new Set([...Object.keys(subredditsConfig), ...Object.keys(searchesConfig), ...Object.keys(usersConfig)])];
+  if (cli.groups) {
+    const unknown = cli.groups.filter(g => !groupNames.includes(g));
+    if (unknown.length) {
+      console.error(chalk.red(`Unknown group(s): ${unknown.join(', ')} (available: ${groupNames.join(', ')})`));
+      return EXIT_CODES.USAGE;
+    }
+    groupNames = groupNames.filter(g => cli.groups.includes(g));
+  }
+  const jobsByGroup = new Map(groupNames.map(meta => [meta, [
+    ...(subredditsConfig[meta] ? resolveGroup(subredditsConfig[meta], config.options) : []),
+    ...(searchesConfig[meta] ? resolveSearchGroup(searchesConfig[meta], config.options) : []),
+    ...(usersConfig[meta] ? resolveUserGroup(usersConfig[meta], config.options) : [])
+  ]]));
+
+  // URLs de l'API et de l'authentification : REDDIT_API_BASE_URL / REDDIT_AUTH_BASE_URL (prioritaires) ou options
+  const apiBaseUrl = REDDIT_API_BASE_URL || config.options.apiBaseUrl;
+  const authBaseUrl = REDDIT_AUTH_BASE_URL || config.options.authBaseUrl;
+  for (const [name, value] of [['REDDIT_API_BASE_URL', REDDIT_API_BASE_URL], ['REDDIT_AUTH_BASE_URL', REDDIT_AUTH_BASE_URL]]) {
+    if (value && !isBaseUrl(value)) {
+      console.error(chalk.red(`Invalid ${name} '${value}' (expected an http(s) URL).`));
+      return EXIT_CODES.FAILURE;
+    }
+  }
+  const preflight = cli.preflight || config.options.preflight === true;
+
+  if (cli.dryRun) {
+    for (const meta of groupNames) {
+      console.log(chalk.cyan(`Group '${meta}':`));
+      for (const job of jobsByGroup.get(meta)) {
+        console.log(chalk.gray(`  - ${describeJob(job)}: ${job.count}`));
+      }
+    }
+  }
+
+  const sqlitePath = config.options.sqlitePath ? path.resolve(config.options.sqlitePath) : path.join(contentDir, 'omega-red.sqlite');
+  if (cli.fromDb) {
+    const exportFormats = configuredFormats(cli, config.options);
+    if (!exportFormats || exportFormats.includes('sqlite')) {
+      console.error(chalk.red('--from-db needs --format with formats other than sqlite (or options.exportFormats / options.exportFormat without sqlite).'));
+      return EXIT_CODES.USAGE;
+    }
+    await fs.mkdir(contentDir, { recursive: true });
+    return exportFromDatabase(sqlitePath, cli.groups, { exportFormats, contentDir, datePrefix, options: config.options });
+  }
+
+  if (cli.dryRun && !preflight) {
+    printScrapeSummary(jobsByGroup);
+    console.log(chalk.yellow('[Dry run] Nothing was fetched or written.'));
+    return EXIT_CODES.OK;
+  }
+
+  // Le flux OAuth se choisit par REDDIT_GRANT_TYPE (prioritaire) ou options.grantType
+  const grantType = normalizeGrantType(REDDIT_GRANT_TYPE || config.options.grantType);
+  if (!GRANT_TYPES[grantType]) {
+    console.error(chalk.red.bold(`Unsupported grant type '${grantType}' (expected one of ${Object.keys(GRANT_TYPES).join(', ')}).`));
+    return EXIT_CODES.FAILURE;
+  }
+  const missing = missingCredentials(grantType);
+  if (missing.length) {
+    console.error(chalk.red.bold(`Missing Reddit API credentials in .env file for the '${grantType}' flow: ${missing.join(', ')}`));
+    return EXIT_CODES.FAILURE;
+  }
+
+  if (apiBaseUrl || authBaseUrl) {
+    console.log(chalk.gray(`Reddit API: ${apiBaseUrl || DEFAULT_API_BASE_URL}, auth: ${authBaseUrl || DEFAULT_AUTH_BASE_URL}`));
+  }
+
+  let tokenProvider;
   try {
-    token = await getRedditToken();
+    tokenProvider = await getRedditToken(grantType, authBaseUrl);
   } catch (err) {
     console.error(chalk.red('Fatal error during token acquisition:'), err.message);
-    process.exit(1);
+    return EXIT_CODES.FAILURE;
+  }
+
+  // Enrichissement optionnel des auteurs (karma, gold, ancienneté), avec cache disque
+  let authorCache = null;
+  if (config.options.enrichAuthors) {
+    const ttlHours = config.options.authorCacheTtlHours ?? 168;
+    authorCache = await createAuthorCache(path.join(contentDir, 'cache', 'authors.json'), { ttlSec: ttlHours * 3600 });
+  }
+  // Snapshots des threads pour --refresh
+  const threadStore = createThreadStore(path.join(contentDir, 'state', 'threads'));
+  const maxParallelThreads = cli.concurrency || config.options.maxParallelThreads || 5;
+  // Le scraping passe par la bibliothèque (src/lib/scraper.js) : le CLI affiche et exporte
+  const scraper = createScraper({
+    ...config.options,
+    apiBaseUrl,
+    authBaseUrl,
+    maxParallelThreads,
+    tokenProvider,
+    authorCache,
+    threadStore
+  });
+  scraper.on('warning', message => console.log(message));
+  scraper.on('rateLimited', ({ delayMs, attempt }) => {
+    console.log(chalk.yellowBright(`\nRate limited by Reddit API (HTTP 429): too many requests in a short period. Retrying in ${delayMs} ms (attempt ${attempt})...`));
+  });
+
+  // Bilan des jobs pour le code de sortie
+  let failedJobs = 0;
+  let succeededJobs = 0;
+  // Threads dont les commentaires n'ont pas pu être récupérés : échec partiel aussi
+  let failedThreads = 0;
+
+  // Preflight : on écarte les subreddits privés, bannis, en quarantaine ou inexistants
+  if (preflight) {
+    const names = [...jobsByGroup.values()].flat().map(job => job.subreddit).filter(Boolean);
+    const spinner = ora(`Checking ${new Set(names.map(n => n.toLowerCase())).size} subreddits...`).start();
+    const results = await scraper.checkSubreddits(names);
+    const problems = [...results.values()].filter(r => r.status !== 'ok');
+    if (problems.length) {
+      spinner.warn(chalk.yellow(`${problems.length} subreddit(s) cannot be scraped:`));
+      problems.forEach(r => console.log(chalk.red(`  - r/${r.subreddit}: ${r.status}${r.detail ? ` (${r.detail})` : ''}`)));
+    } else {
+      spinner.succeed(chalk.green('All subreddits are reachable.'));
+    }
+    for (const [meta, jobs] of jobsByGroup) {
+      const reachable = jobs.filter(job => !job.subreddit || results.get(job.subreddit.toLowerCase()).status === 'ok');
+      failedJobs += jobs.length - reachable.length;
+      jobsByGroup.set(meta, reachable);
+    }
+  }
+  printScrapeSummary(jobsByGroup);
+  if (cli.dryRun) {
+    console.log(chalk.yellow('[Dry run] Nothing was scraped or written.'));
+    return failedJobs ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
   }
 
-  const subredditsConfig = config.subreddits;
-  const lastRunPath = path.join(__dirname, '../last_run.json');
-  let lastRunTimestamp = 0;
+  const dirSpinner = ora('Ensuring content directories exist...').start();
   try {
-    lastRunTimestamp = JSON.parse(await fs.readFile(lastRunPath, 'utf-8')).lastRun || 0;
-  } catch {}
+    await fs.mkdir(contentDir, { recursive: true });
+    await fs.mkdir(autosaveDir, { recursive: true });
+    dirSpinner.succeed(chalk.green('Content directories ready.'));
+  } catch (err) {
+    dirSpinner.fail(chalk.red('Failed to create content directories.'));
+    throw err;
+  }
+
+  if (cli.refresh) {
+    const { refreshed, failedThreads } = await refreshGroups(groupNames, {
+      threadStore,
+      maxAgeDays: config.options.refreshMaxAgeDays ?? 7,
+      contentDir,
+      datePrefix,
+      scraper
+    });
+    if (!failedThreads) return EXIT_CODES.OK;
+    return refreshed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+  }
+
+  // Reprise : on récupère le préfixe, le format et le mode incrémental du run interrompu
+  const checkpointDir = path.join(contentDir, 'checkpoint');
+  let runState = null;
+  if (cli.resume) {
+    runState = await loadRunState(checkpointDir);
+    if (!runState) {
+      console.error(chalk.red(`No checkpoint to resume in ${checkpointDir}.`));
+      return EXIT_CODES.FAILURE;
+    }
+    datePrefix = runState.datePrefix;
+    groupNames = runState.groups.filter(g => jobsByGroup.has(g) && !runState.doneGroups.includes(g));
+    console.log(chalk.cyan(`Resuming run ${datePrefix} (${runState.doneGroups.length} group(s) already done).`));
+  }
+
+  // En mode non interactif, on ne demande rien et on ne réécrit jamais le fichier de config
+  let exportFormats = runState ? (runState.exportFormats || [runState.exportFormat]) : configuredFormats(cli, config.options);
+  if (!exportFormats) {
+    exportFormats = cli.nonInteractive ? ['csv'] : await promptExportFormats(configPath, config);
+  }
+
+  // Repères incrémentaux par subreddit / recherche / utilisateur
+  const lastRunPath = config.options.lastRunPath ? path.resolve(config.options.lastRunPath) : path.join(__dirname, '../last_run.json');
+  const incrementalState = await loadIncrementalState(lastRunPath);
+  const lastUpdate = Math.max(
+    incrementalState.lastRun,
+    ...['subreddits', 'searches', 'users'].flatMap(section => Object.values(incrementalState[section]).map(mark => mark.updatedAt || 0))
+  );
   let useSinceDate = false;
-  if (lastRunTimestamp > 0) {
-    const lastDate = new Date(lastRunTimestamp * 1000).toISOString().replace('T', ' ').substring(0, 19);
-    useSinceDate = await promptYesNo(`Une précédente exécution a été détectée (dernier run : ${lastDate}). Voulez-vous ne prendre que les nouveaux threads/commentaires depuis cette date ?`, false);
+  // Repères figés au début du run : les groupes déjà terminés ne décalent pas ceux des suivants
+  let sinceState = structuredClone(incrementalState);
+  if (runState) {
+    useSinceDate = runState.useSinceDate;
+    sinceState = runState.sinceState || sinceState;
+  } else if (lastUpdate > 0) {
+    if (cli.incremental !== undefined) {
+      useSinceDate = cli.incremental;
+    } else if (!cli.nonInteractive) {
+      const lastDate = new Date(lastUpdate * 1000).toISOString().replace('T', ' ').substring(0, 19);
+      useSinceDate = await promptYesNo(`Une précédente exécution a été détectée (dernière mise à jour : ${lastDate}). Voulez-vous ne prendre que les nouveaux threads/commentaires de chaque subreddit ?`, false);
+    }
+  }
+
+  if (!runState) {
+    runState = { datePrefix, exportFormats, useSinceDate, sinceState, groups: groupNames, doneGroups: [] };
+    await saveRunState(checkpointDir, runState);
   }
 
-  for (const meta of Object.keys(subredditsConfig)) {
+  for (const meta of groupNames) {
+    const jobs = jobsByGroup.get(meta);
     const fileBase = `${datePrefix}-${meta}`;
-    const threadsCsvPath = path.join(contentDir, `${fileBase}-threads.csv`);
-    const commentsCsvPath = path.join(contentDir, `${fileBase}-comments.csv`);
-    const threadsJsonPath = path.join(contentDir, `${fileBase}.json`);
-    
-    // Chemins pour les fichiers d'autosave
-    const autosaveJsonPath = path.join(autosaveDir, `${fileBase}-autosave.json`);
-    const autosaveThreadsCsvPath = path.join(autosaveDir, `${fileBase}-threads-autosave.csv`);
-    const autosaveCommentsCsvPath = path.join(autosaveDir, `${fileBase}-comments-autosave.csv`);
-    const autosaveMdPath = path.join(autosaveDir, `${fileBase}-autosave.md`);
-
-    let threadsWriter, commentsWriter;
-    if (exportFormat === 'csv') {
-      threadsWriter = createObjectCsvWriter({
-        path: threadsCsvPath,
-        header: [
-          {id: 'text', title: 'text'},
-          {id: 'title', title: 'title'},
-          {id: 'url', title: 'url'},
-          {id: 'id', title: 'id'},
-          {id: 'subreddit', title: 'subreddit'},
-          {id: 'meta', title: 'meta'},
-          {id: 'time', title: 'time'},
-          {id: 'author', title: 'author'},
-          {id: 'ups', title: 'ups'},
-          {id: 'downs', title: 'downs'},
-          {id: 'authorlinkkarma', title: 'authorlinkkarma'},
-          {id: 'authorcommentkarma', title: 'authorcommentkarma'},
-          {id: 'authorisgold', title: 'authorisgold'}
-        ]
-      });
-      commentsWriter = createObjectCsvWriter({
-        path: commentsCsvPath,
-        header: [
-          {id: 'text', title: 'text'},
-          {id: 'id', title: 'id'},
-          {id: 'subreddit', title: 'subreddit'},
-          {id: 'meta', title: 'meta'},
-          {id: 'time', title: 'time'},
-          {id: 'author', title: 'author'},
-          {id: 'ups', title: 'ups'},
-          {id: 'downs', title: 'downs'},
-          {id: 'authorlinkkarma', title: 'authorlinkkarma'},
-          {id: 'authorcommentkarma', title: 'authorcommentkarma'},
-          {id: 'authorisgold', title: 'authorisgold'}
-        ]
-      });
-      await threadsWriter.writeRecords([]);
-      await commentsWriter.writeRecords([]);
-    }
+    const journal = await openJournal(path.join(checkpointDir, `${fileBase}.jsonl`), { resume: cli.resume });
+    // Un exporteur par format du run, derrière une seule interface
+    const exporters = await openExporters(exportFormats, { meta, fileBase, contentDir, autosaveDir, sqlitePath, options: config.options });
 
     let totalThreads = 0;
-    for (const subreddit of Object.keys(subredditsConfig[meta])) {
-      totalThreads += subredditsConfig[meta][subreddit];
+    for (const job of jobs) {
+      totalThreads += job.count;
     }
 
     const startTime = Date.now();
     let threadsProcessed = 0;
-    let commentsProcessed = 0;
     let totalComments = 0;
+    // Avancement compté en threads exportés ; le total suit les listings réels
     let totalWork = totalThreads;
     let totalProcessed = 0;
     let lastCommentCount = null;
@@ -272,133 +574,26 @@ async function main() {
     const commentTimes = [];
     let avgThreadTime = 0;
     let avgCommentTime = 0;
-    let estimatedTotalThreads = totalThreads;
-    let jsonOutput = {};
+    // Nouveaux repères des jobs réussis, enregistrés une fois le groupe exporté
+    const pendingMarks = [];
+    // Rapport d'analyse (options.analytics) : seulement des compteurs, quel que soit le format
+    const analyzer = config.options.analytics ? createAnalyzer(meta) : null;
+    const sentimentSummary = config.options.sentiment ? createSentimentSummary() : null;
 
     let autosaveInterval = (config.options && config.options.autosaveIntervalSec) || 60;
 
     async function performAutosave() {
+      // Ne rien faire si aucune donnée n'est présente
+      if (threadsProcessed === 0) {
+        console.log(chalk.gray('[Autosave] Aucune donnée à sauvegarder (pas de posts).'));
+        return;
+      }
       try {
-        const finalOutput = Object.values(jsonOutput);
-        // Ne rien faire si aucune donnée n'est présente
-        if (finalOutput.length === 0 || !finalOutput.some(group => group.posts && group.posts.length > 0)) {
-          console.log(chalk.gray('[Autosave] Aucune donnée à sauvegarder (pas de posts).'));
-          return;
+        // CSV / NDJSON / SQLite sont déjà écrits au fil de l'eau, Parquet n'est lisible qu'une fois fermé
+        const saved = await exporters.checkpoint();
+        if (saved.length) {
+          console.log(chalk.gray(`\n[Autosave] Données sauvegardées au format ${saved.join(', ')} dans ${autosaveDir}`));
         }
-
-        // Autosave seulement dans le format choisi par l'utilisateur
-        let autosaveMsg = '';
-        
-        if (exportFormat === 'json') {
-          // Autosave JSON uniquement
-          await fs.writeFile(autosaveJsonPath, JSON.stringify(finalOutput, null, 2));
-          autosaveMsg = `JSON (${autosaveJsonPath})`;
-        } 
-        else if (exportFormat === 'csv') {
-          // Autosave CSV uniquement
-          const allThreads = finalOutput.flatMap(group => 
-            group.posts && group.posts.length > 0 
-              ? group.posts.map(post => ({
-                  text: post.selftext || '',
-                  title: post.title || '',
-                  url: post.url || '',
-                  id: post.id || '',
-                  subreddit: group.subreddit || '',
-                  meta,
-                  time: post.created_utc || '',
-                  author: post.author?.username || '',
-                  ups: post.score || '',
-                  downs: '',
-                  authorlinkkarma: post.author?.karma || '',
-                  authorcommentkarma: '',
-                  authorisgold: ''
-                }))
-              : []
-          );
-          if (allThreads.length > 0) {
-            const csvWriter = createObjectCsvWriter({
-              path: autosaveThreadsCsvPath,
-              header: [
-                {id: 'text', title: 'text'},
-                {id: 'title', title: 'title'},
-                {id: 'url', title: 'url'},
-                {id: 'id', title: 'id'},
-                {id: 'subreddit', title: 'subreddit'},
-                {id: 'meta', title: 'meta'},
-                {id: 'time', title: 'time'},
-                {id: 'author', title: 'author'},
-                {id: 'ups', title: 'ups'},
-                {id: 'downs', title: 'downs'},
-                {id: 'authorlinkkarma', title: 'authorlinkkarma'},
-                {id: 'authorcommentkarma', title: 'authorcommentkarma'},
-                {id: 'authorisgold', title: 'authorisgold'}
-              ]
-            });
-            await csvWriter.writeRecords(allThreads);
-          }
-          
-          const allComments = finalOutput.flatMap(group => 
-            group.posts 
-              ? group.posts.flatMap(post => {
-                  function flattenComments(comments) {
-                    if (!comments || !comments.length) return [];
-                    return comments.flatMap(c => [
-                      {
-                        text: c.body || '',
-                        id: c.id || '',
-                        subreddit: group.subreddit || '',
-                        meta,
-                        time: c.created_utc || '',
-                        author: c.author?.username || '',
-                        ups: c.score || '',
-                        downs: '',
-                        authorlinkkarma: c.author?.karma || '',
-                        authorcommentkarma: '',
-                        authorisgold: ''
-                      },
-                      ...(c.replies && c.replies.length ? flattenComments(c.replies) : [])
-                    ]);
-                  }
-                  return post.comments ? flattenComments(post.comments) : [];
-                })
-              : []
-          );
-          if (allComments.length > 0) {
-            const csvWriter = createObjectCsvWriter({
-              path: autosaveCommentsCsvPath,
-              header: [
-                {id: 'text', title: 'text'},
-                {id: 'id', title: 'id'},
-                {id: 'subreddit', title: 'subreddit'},
-                {id: 'meta', title: 'meta'},
-                {id: 'time', title: 'time'},
-                {id: 'author', title: 'author'},
-                {id: 'ups', title: 'ups'},
-                {id: 'downs', title: 'downs'},
-                {id: 'authorlinkkarma', title: 'authorlinkkarma'},
-                {id: 'authorcommentkarma', title: 'authorcommentkarma'},
-                {id: 'authorisgold', title: 'authorisgold'}
-              ]
-            });
-            await csvWriter.writeRecords(allComments);
-          }
-          autosaveMsg = `CSV (${autosaveThreadsCsvPath}, ${autosaveCommentsCsvPath})`;
-        } 
-        else if (exportFormat === 'md') {
-          // Pour le format MD, nous avons toujours besoin de sauvegarder le JSON source
-          await fs.writeFile(autosaveJsonPath, JSON.stringify(finalOutput, null, 2));
-          
-          // Puis générer le Markdown
-          const { exportGroupToMarkdown } = await import('./lib/export.js');
-          const mdFiles = await exportGroupToMarkdown(meta, jsonOutput, autosaveJsonPath, { 
-            maxMarkdownSizeMB,
-            isAutosave: true
-          });
-          
-          autosaveMsg = `Markdown (${mdFiles.length} fichier${mdFiles.length > 1 ? 's' : ''})`;
-        }
-        
-        console.log(chalk.gray(`\n[Autosave] Données sauvegardées au format ${autosaveMsg} dans content/autosave/`));
       } catch (e) {
         console.log(chalk.red('[Autosave] Erreur lors de la sauvegarde automatique :'), e.message);
       }
@@ -408,7 +603,7 @@ async function main() {
     autosaveTimer = setInterval(performAutosave, autosaveInterval * 1000);
 
     const progressBar = new cliProgress.SingleBar({
-      format: chalk.bold.white('Progress') + ' |' + chalk.green('{bar}') + '| {percentage}% || {value}/{total} items',
+      format: chalk.bold.white('Progress') + ' |' + chalk.green('{bar}') + '| {percentage}% || {value}/{total} threads',
       barCompleteChar: '\u2588',
       barIncompleteChar: '\u2591',
       hideCursor: true,
@@ -422,171 +617,106 @@ async function main() {
       totalComments: 0
     });
 
-    for (const subreddit of Object.keys(subredditsConfig[meta])) {
-      const count = subredditsConfig[meta][subreddit];
-      let threadStartTime = Date.now();
-      let threads = [];
-      try {
-        threads = await fetchAllThreads(subreddit, meta, count, token, { minDelay, highDelay });
-        if (useSinceDate && lastRunTimestamp > 0) {
-          threads = threads.filter(t => (t.time || t.created_utc || 0) > lastRunTimestamp);
-        }
-      } catch (err) {
-        console.log(chalk.red(`Error fetching threads for r/${subreddit}: ${err.message}`));
-        continue;
-      }
-      if (threads.length < count) {
-        const difference = count - threads.length;
-        estimatedTotalThreads -= difference;
-        totalWork -= difference;
+    const since = useSinceDate ? job => getMark(sinceState, job) : null;
+    let threadTotal = 0;
+    let lastEventTime = Date.now();
+    for await (const event of scraper.scrapeJobs(meta, jobs, { since, journal })) {
+      const { job, source } = event;
+      const { subreddit } = source;
+      if (event.type === 'job') {
+        lastEventTime = Date.now();
+      } else if (event.type === 'jobError') {
+        console.log(chalk.red(`Error fetching threads for ${describeJob(job)}: ${event.error.message}`));
+        failedJobs++;
+        totalWork -= job.count;
         progressBar.setTotal(totalWork);
-      }
-      if (!jsonOutput[subreddit]) {
-        jsonOutput[subreddit] = {
-          subreddit,
-          posts: []
-        };
-      }
-      if (exportFormat === 'csv' && threads.length > 0) {
-        await threadsWriter.writeRecords(threads);
-      }
-      const threadTime = (Date.now() - threadStartTime) / 1000 / Math.max(1, threads.length);
-      threadTimes.push(threadTime);
-      if (threadTimes.length > 5) threadTimes.shift();
-      avgThreadTime = threadTimes.reduce((a, b) => a + b, 0) / threadTimes.length;
-      for (let i = 0; i < threads.length; i++) {
-        const thread = threads[i];
-        threadsProcessed++;
-        totalProcessed++;
-        progressBar.update(totalProcessed);
+      } else if (event.type === 'threads') {
+        const { threads } = event;
+        succeededJobs++;
+        threadTotal = threads.length;
+        if (threads.length !== job.count) {
+          totalWork -= job.count - threads.length;
+          progressBar.setTotal(totalWork);
+        }
+        const threadTime = (Date.now() - lastEventTime) / 1000 / Math.max(1, threads.length);
+        threadTimes.push(threadTime);
+        if (threadTimes.length > 5) threadTimes.shift();
+        avgThreadTime = threadTimes.reduce((a, b) => a + b, 0) / threadTimes.length;
         printStatusLine({
           startTime,
           subreddit,
-          threadIdx: i + 1,
-          threadTotal: threads.length,
+          threadIdx: 0,
+          threadTotal,
           totalProcessed,
           totalWork,
           avgThreadTime,
           commentCount: lastCommentCount,
           totalComments,
-          avgCommentTime,
-          ratelimitInfo: thread.ratelimitInfo
+          avgCommentTime
         });
+        lastEventTime = Date.now();
+      } else if (event.type === 'thread') {
+        const { thread, comments, error, index } = event;
+        threadsProcessed++;
+        totalProcessed++;
+        progressBar.update(totalProcessed);
+        if (error) {
+          lastCommentCount = null;
+          printStatusLine({
+            startTime,
+            subreddit,
+            threadIdx: index + 1,
+            threadTotal,
+            totalProcessed,
+            totalWork,
+            avgThreadTime,
+            commentCount: lastCommentCount,
+            totalComments,
+            avgCommentTime,
+            ratelimitInfo: error.message
+          });
+          console.log(chalk.red(`Error fetching comments for thread ${thread.id}: ${error.message}`));
+          failedThreads++;
+        } else {
+          lastCommentCount = comments.length;
+          totalComments += comments.length;
+          const commentTime = (Date.now() - lastEventTime) / 1000 / Math.max(1, comments.length);
+          commentTimes.push(commentTime);
+          if (commentTimes.length > 10) commentTimes.shift();
+          avgCommentTime = commentTimes.reduce((a, b) => a + b, 0) / commentTimes.length;
+          printStatusLine({
+            startTime,
+            subreddit,
+            threadIdx: index + 1,
+            threadTotal,
+            totalProcessed,
+            totalWork,
+            avgThreadTime,
+            commentCount: lastCommentCount,
+            totalComments,
+            avgCommentTime,
+            ratelimitInfo: comments[0]?.ratelimitInfo
+          });
+        }
+        await exporters.writeThread(thread, source);
+        await exporters.writeComments(thread, comments, source);
+        if (sentimentSummary) sentimentSummary.add(thread, comments);
+        if (analyzer) analyzer.addPost(buildThreadObject(thread, comments, 'raw'));
+        lastEventTime = Date.now();
+      } else if (event.type === 'jobDone') {
+        if (event.complete) {
+          pendingMarks.push({ job, rows: event.listedRows });
+        } else {
+          console.log(chalk.yellow(`${describeJob(job)} incomplet : son repère incrémental n'est pas avancé.`));
+        }
+      }
+    }
+    if (authorCache) {
+      try {
+        await authorCache.save();
+      } catch (err) {
+        console.log(chalk.red(`Failed to save author cache: ${err.message}`));
       }
-      const threadComments = await pMap(
-        threads,
-        async (thread, idx) => {
-          const threadCommentStart = Date.now();
-          let comments = [];
-          try {
-            comments = await fetchAllComments(subreddit, meta, thread.id, token, { minDelay, highDelay });
-            if (useSinceDate && lastRunTimestamp > 0) {
-              comments = comments.filter(c => (c.time || c.created_utc || 0) > lastRunTimestamp);
-            }
-            lastCommentCount = comments.length;
-            totalComments += comments.length;
-            const commentTime = (Date.now() - threadCommentStart) / 1000 / Math.max(1, comments.length);
-            commentTimes.push(commentTime);
-            if (commentTimes.length > 10) commentTimes.shift();
-            avgCommentTime = commentTimes.reduce((a, b) => a + b, 0) / commentTimes.length;
-            comments.forEach(() => {
-              commentsProcessed++;
-              totalProcessed++;
-              progressBar.update(totalProcessed);
-            });
-            printStatusLine({
-              startTime,
-              subreddit,
-              threadIdx: idx + 1,
-              threadTotal: threads.length,
-              totalProcessed,
-              totalWork,
-              avgThreadTime,
-              commentCount: lastCommentCount,
-              totalComments,
-              avgCommentTime,
-              ratelimitInfo: comments[0]?.ratelimitInfo
-            });
-            if (exportFormat === 'csv' && comments.length > 0) {
-              await commentsWriter.writeRecords(comments);
-            }
-            totalWork += comments.length;
-            progressBar.setTotal(totalWork);
-            return { thread, comments };
-          } catch (err) {
-            lastCommentCount = null;
-            printStatusLine({
-              startTime,
-              subreddit,
-              threadIdx: idx + 1,
-              threadTotal: threads.length,
-              totalProcessed,
-              totalWork,
-              avgThreadTime,
-              commentCount: lastCommentCount,
-              totalComments,
-              avgCommentTime,
-              ratelimitInfo: err.message
-            });
-            console.log(chalk.red(`Error fetching comments for thread ${thread.id}: ${err.message}`));
-            return { thread, comments: [] };
-          }
-        },
-        { concurrency: maxParallelThreads }
-      );
-      threadComments.forEach(({ thread, comments }) => {
-        const commentsMap = new Map();
-        const topLevelComments = [];
-        comments.forEach(comment => {
-          const authorObject = {
-            username: comment.author || '[deleted]',
-            karma: comment.authorlinkkarma || 0,
-            is_mod: false,
-            created_utc: 0
-          };
-          const commentObject = {
-            id: comment.id,
-            parent_id: null,
-            author: authorObject,
-            created_utc: comment.time || 0,
-            score: comment.ups || 0,
-            body: comment.text || '',
-            replies: []
-          };
-          commentsMap.set(comment.id, commentObject);
-        });
-        comments.forEach(comment => {
-          const commentObj = commentsMap.get(comment.id);
-          if (!commentObj) return;
-          if (comment.parent_id && commentsMap.has(comment.parent_id)) {
-            const parent = commentsMap.get(comment.parent_id);
-            commentObj.parent_id = comment.parent_id;
-            parent.replies.push(commentObj);
-          } else {
-            commentObj.parent_id = thread.id;
-            topLevelComments.push(commentObj);
-          }
-        });
-        const threadAuthor = {
-          username: thread.author || '[deleted]',
-          karma: thread.authorlinkkarma || 0,
-          is_mod: false,
-          created_utc: 0
-        };
-        const threadObject = {
-          id: thread.id,
-          title: thread.title || '',
-          author: threadAuthor,
-          created_utc: thread.time || 0,
-          score: thread.ups || 0,
-          num_comments: topLevelComments.length,
-          permalink: `/r/${thread.subreddit}/comments/${thread.id}/`,
-          url: thread.url || `https://www.reddit.com/r/${thread.subreddit}/comments/${thread.id}/`,
-          selftext: thread.text || '',
-          comments: topLevelComments
-        };
-        jsonOutput[subreddit].posts.push(threadObject);
-      });
     }
     progressBar.stop();
     process.stdout.write('\n\x1b[2K');
@@ -596,42 +726,47 @@ async function main() {
     console.log(chalk.magenta(`Total comments: ${totalComments}`));
     console.log(chalk.gray(`Average time per thread: ${avgThreadTime.toFixed(2)}s`));
     console.log(chalk.gray(`Average time per comment: ${avgCommentTime.toFixed(2)}s`));
+    if (sentimentSummary) printSentimentSummary(sentimentSummary.summarize());
 
-    const finalOutput = Object.values(jsonOutput);
-    const hasData = finalOutput.length > 0 && finalOutput.some(group => group.posts && group.posts.length > 0);
-    
-    if (hasData) {
-      if (exportFormat === 'json' || exportFormat === 'md') {
+    const files = await exporters.close();
+    if (threadsProcessed > 0) {
+      for (const [format, paths] of Object.entries(files)) {
+        if (paths.length) console.log(chalk.green(`Exported ${format} to ${paths.join(', ')}`));
+      }
+      if (analyzer) {
         try {
-          await fs.writeFile(threadsJsonPath, JSON.stringify(finalOutput, null, 2));
-          await fs.writeFile(autosaveJsonPath, JSON.stringify(finalOutput, null, 2));
-          console.log(chalk.green(`Exported JSON data to ${threadsJsonPath}`));
-          if (exportFormat === 'md') {
-            const { exportGroupToMarkdown } = await import('./lib/export.js');
-            const mdFiles = await exportGroupToMarkdown(meta, jsonOutput, threadsJsonPath, { 
-              maxMarkdownSizeMB,
-              isAutosave: false
-            });
-            if (mdFiles.length > 1) {
-              console.log(chalk.green(`Markdown data was split into ${mdFiles.length} files due to size limits.`));
-            }
-          }
+          const { jsonPath, mdPath } = await writeReport(analyzer.report(), path.join(contentDir, fileBase));
+          console.log(chalk.green(`Exported analytics report to ${jsonPath}, ${mdPath}`));
         } catch (err) {
-          console.log(chalk.red('Failed to write JSON/Markdown output.'));
-          throw err;
+          console.log(chalk.red(`Failed to write the analytics report: ${err.message}`));
         }
-      } else if (exportFormat === 'csv') {
-        console.log(chalk.green(`Exported threads and comments to CSV files: ${threadsCsvPath}, ${commentsCsvPath}`));
       }
-      ora().succeed(chalk.bold.green(`Scraping complete for group '${meta}'! Results saved in content/`));
+      ora().succeed(chalk.bold.green(`Scraping complete for group '${meta}'! Results saved in ${contentDir}`));
     } else {
       console.log(chalk.yellow(`No data found or filtered for group '${meta}'. No files written.`));
       ora().warn(chalk.bold.yellow(`Scraping complete for group '${meta}' but no data was found or all data was filtered out.`));
     }
     
     if (autosaveTimer) clearInterval(autosaveTimer);
+
+    // Groupe exporté : on avance les repères de ses jobs réussis
+    for (const { job, rows } of pendingMarks) {
+      const mark = newestMark(rows, getMark(incrementalState, job));
+      if (mark) setMark(incrementalState, job, mark);
+    }
+    await saveIncrementalState(lastRunPath, incrementalState);
+
+    // Groupe terminé et exporté : son journal n'est plus utile
+    runState.doneGroups.push(meta);
+    await saveRunState(checkpointDir, runState);
+    await journal.remove();
   }
-  await fs.writeFile(lastRunPath, JSON.stringify({ lastRun: Math.floor(Date.now() / 1000) }));
+  await clearCheckpoint(checkpointDir);
+
+  if (failedJobs === 0 && failedThreads === 0) return EXIT_CODES.OK;
+  if (failedJobs) console.log(chalk.red(`${failedJobs} job(s) failed, ${succeededJobs} succeeded.`));
+  if (failedThreads) console.log(chalk.red(`${failedThreads} thread(s) exported without their comments (fetch failed).`));
+  return succeededJobs > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
 }
 
 process.on('SIGINT', async () => {
@@ -644,10 +779,25 @@ process.on('SIGINT', async () => {
       console.log(chalk.red('Erreur lors de la sauvegarde finale :'), e.message);
     }
   }
-  process.exit(1);
+  process.exit(EXIT_CODES.FAILURE);
 });
 
-main().catch(err => {
+let cli;
+try {
+  cli = parseCliArgs();
+} catch (err) {
+  console.error(chalk.red(err.message));
+  console.error(USAGE);
+  process.exit(EXIT_CODES.USAGE);
+}
+if (cli.help) {
+  console.log(USAGE);
+  process.exit(EXIT_CODES.OK);
+}
+
+main(cli).then(code => {
+  process.exit(code);
+}).catch(err => {
   console.error(chalk.bgRed.white('Fatal error:'), chalk.red(err && err.stack ? err.stack : err));
-  process.exit(1);
+  process.exit(EXIT_CODES.FAILURE);
 }); 
\ No newline at end of file
@@ -0,0 +1,213 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMockRedditServer } from '../mockRedditServer.js';
+
+// End-to-end tests: the CLI scrapes the offline mock server, nothing touches Reddit
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCRIPT = path.join(__dirname, '../../src/omega-red-cappa-edition.mjs');
+
+let mock;
+let workDir;
+
+before(async () => {
+  mock = createMockRedditServer();
+  await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.requests.length = 0;
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-e2e-'));
+});
+
+afterEach(() => fs.rm(workDir, { recursive: true, force: true }));
+
+// Run the CLI on `config` against the mock; resolves to { code, stdout, stderr, outDir }
+async function runScraper(config, args = []) {
+  const configPath = path.join(workDir, 'config.json');
+  const outDir = path.join(workDir, 'out');
+  await fs.writeFile(configPath, JSON.stringify({
+    ...config,
+    options: {
+      throttle: { minDelayMs: 0, highDelayMs: 0 },
+      lastRunPath: path.join(workDir, 'last_run.json'),
+      ...config.options
+    }
+  }));
+  const env = {
+    ...process.env,
+    REDDIT_CLIENT_ID: 'mock-client',
+    REDDIT_CLIENT_SECRET: 'mock-secret',
+    REDDIT_USER_AGENT: 'omega-red-e2e/1.0',
+    REDDIT_USERNAME: 'mock-user',
+    REDDIT_PASSWORD: 'mock-password',
+    REDDIT_GRANT_TYPE: 'password',
+    REDDIT_API_BASE_URL: mock.url,
+    REDDIT_AUTH_BASE_URL: mock.url,
+    FORCE_COLOR: '0'
+  };
+  const child = spawn(process.execPath, [SCRIPT, '-c', configPath, '-o', outDir, '--non-interactive', '--no-incremental', ...args], { env });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', chunk => { stdout += chunk; });
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  const code = await new Promise(resolve => child.on('close', resolve));
+  return { code, stdout, stderr, outDir };
+}
+
+async function outputFile(outDir, suffix) {
+  const name = (await fs.readdir(outDir)).find(file => file.endsWith(suffix));
+  assert.ok(name, `no *${suffix} in ${outDir}`);
+  return path.join(outDir, name);
+}
+
+function flatten(comments) {
+  return comments.flatMap(c => [c, ...flatten(c.replies)]);
+}
+
+function requestsTo(pathname) {
+  return mock.requests.filter(r => r.path === pathname);
+}
+
+test('exports every thread with its full comment tree as JSON', async () => {
+  const { code, stdout, stderr, outDir } = await runScraper({ subreddits: { mock: { mocksub: 10, othersub: 10 } } }, ['-f', 'json']);
+  assert.equal(code, 0, stderr);
+  // Avancement en threads : jamais au-delà du total, et complet à la fin
+  const progress = [...stdout.matchAll(/Progress: (\d+)\/(\d+) threads \((\d+)%\)/g)].map(m => m.slice(1).map(Number));
+  assert.ok(progress.length && progress.every(([done, total, percent]) => done <= total && percent <= 100), JSON.stringify(progress));
+  assert.deepEqual(progress.at(-1), [7, 7, 100]);
+  assert.ok(stderr.includes(`Scraping complete for group 'mock'! Results saved in ${outDir}`), stderr);
+  const sources = JSON.parse(await fs.readFile(await outputFile(outDir, '.json'), 'utf-8'));
+  assert.deepEqual(sources.map(s => [s.subreddit, s.posts.length]), [['mocksub', 5], ['othersub', 2]]);
+
+  const p1 = sources[0].posts.find(post => post.id === 'p1');
+  // c4 / c5 viennent de /api/morechildren, c6 / c7 de "continue this thread"
+  assert.deepEqual(flatten(p1.comments).map(c => c.id).sort(), ['c1', 'c2', 'c3', 'c4', 'c5', 'c6', 'c7']);
+  const c1 = p1.comments.find(c => c.id === 'c1');
+  assert.equal(c1.replies[0].replies[0].replies[0].id, 'c7');
+  assert.equal(p1.comments.find(c => c.id === 'c4').replies[0].id, 'c5');
+  assert.equal(requestsTo('/api/morechildren').length, 1);
+  assert.equal(requestsTo('/r/mocksub/comments/p1/_/c2').length, 1);
+  assert.ok(mock.requests.filter(r => r.path !== '/api/v1/access_token').every(r => r.authorization === 'Bearer mock-access-token'));
+});
+
+test('exports the threads found by a search with their query', async () => {
+  const { code, stderr, outDir } = await runScraper({ searches: { find: [{ query: 'thread', subreddit: 'mocksub', sort: 'new', count: 3 }] } }, ['-f', 'json']);
+  assert.equal(code, 0, stderr);
+  const sources = JSON.parse(await fs.readFile(await outputFile(outDir, '.json'), 'utf-8'));
+  assert.deepEqual(sources.map(s => [s.subreddit, s.query]), [['mocksub', 'thread']]);
+  assert.deepEqual(sources[0].posts.map(post => [post.id, post.query, post.listing]), [['p1', 'thread', 'search:new'], ['p2', 'thread', 'search:new'], ['p3', 'thread', 'search:new']]);
+  assert.equal(flatten(sources[0].posts[0].comments).length, 7);
+  assert.deepEqual(requestsTo('/r/mocksub/search').map(r => r.query), [{ q: 'thread', sort: 'new', raw_json: '1', type: 'link', restrict_sr: '1', limit: '3' }]);
+});
+
+test('writes one CSV row per thread and per comment', async () => {
+  const { code, stderr, outDir } = await runScraper({ subreddits: { mock: { mocksub: 10, othersub: 10 } } }, ['-f', 'csv']);
+  assert.equal(code, 0, stderr);
+  // En-tête exclu ; une ligne vide compterait comme une ligne de données
+  const rows = async suffix => (await fs.readFile(await outputFile(outDir, suffix), 'utf-8')).trimEnd().split('\n').length - 1;
+  assert.equal(await rows('-threads.csv'), 7);
+  assert.equal(await rows('-comments.csv'), 10);
+});
+
+test('stops paging at the configured count', async () => {
+  const { code, stderr, outDir } = await runScraper({ subreddits: { mock: { mocksub: 3 } } }, ['-f', 'json']);
+  assert.equal(code, 0, stderr);
+  const [source] = JSON.parse(await fs.readFile(await outputFile(outDir, '.json'), 'utf-8'));
+  assert.deepEqual(source.posts.map(post => post.id), ['p1', 'p2', 'p3']);
+  assert.deepEqual(requestsTo('/r/mocksub/new').map(r => r.query.limit), ['3']);
+});
+
+test('retries a request rate limited with a 429', async () => {
+  mock.inject({ match: '/r/mocksub/comments/p2', status: 429 });
+  const { code, stderr, outDir } = await runScraper({ subreddits: { mock: { mocksub: 10 } } }, ['-f', 'json']);
+  assert.equal(code, 0, stderr);
+  assert.equal(requestsTo('/r/mocksub/comments/p2').length, 2);
+  const [source] = JSON.parse(await fs.readFile(await outputFile(outDir, '.json'), 'utf-8'));
+  assert.equal(flatten(source.posts.find(post => post.id === 'p2').comments).length, 2);
+});
+
+test('renews the token after a 401', async () => {
+  mock.inject({ match: '/r/mocksub/new', status: 401 });
+  const { code, stderr } = await runScraper({ subreddits: { mock: { mocksub: 10 } } }, ['-f', 'json']);
+  assert.equal(code, 0, stderr);
+  assert.equal(requestsTo('/api/v1/access_token').length, 2);
+  assert.equal(requestsTo('/r/mocksub/new').length, 2);
+});
+
+test('exits with a failure when the token is refused', async () => {
+  mock.inject({ match: '/api/v1/access_token', status: 401, body: { error: 'invalid_grant' } });
+  const { code, stderr } = await runScraper({ subreddits: { mock: { mocksub: 10 } } }, ['-f', 'json']);
+  assert.equal(code, 1);
+  assert.match(stderr, /invalid_grant/);
+  assert.equal(mock.requests.length, 1);
+});
+
+test('writes several formats in one run, third-party exporters included', async () => {
+  await fs.writeFile(path.join(workDir, 'ids.mjs'), `import fs from 'fs';
+import path from 'path';
+export default function ({ contentDir, fileBase }) {
+  const filePath = path.join(contentDir, fileBase + '.ids');
+  const ids = [];
+  return {
+    writeComments: (thread, comments) => { ids.push(thread.id + ':' + comments.length); },
+    close: () => { fs.writeFileSync(filePath, ids.join('\\n')); return [filePath]; }
+  };
+}
+`);
+  const config = { subreddits: { mock: { mocksub: 2 } }, options: { exporters: { ids: './ids.mjs' } } };
+  const { code, stdout, stderr, outDir } = await runScraper(config, ['-f', 'csv,json,ids']);
+  assert.equal(code, 0, stderr);
+  const [source] = JSON.parse(await fs.readFile(await outputFile(outDir, '.json'), 'utf-8'));
+  assert.deepEqual(source.posts.map(post => post.id), ['p1', 'p2']);
+  await outputFile(outDir, '-threads.csv');
+  assert.equal(await fs.readFile(await outputFile(outDir, '.ids'), 'utf-8'), 'p1:7\np2:2');
+  assert.match(stdout, /Exported ids to /);
+});
+
+test('does not advance the incremental mark past a thread whose comments failed', async () => {
+  mock.inject({ match: '/r/mocksub/comments/p2', status: 500 });
+  const { code, stdout } = await runScraper({ subreddits: { mock: { mocksub: 10, othersub: 10 } } }, ['-f', 'json']);
+  assert.match(stdout, /Error fetching comments for thread p2/);
+  // Commentaires perdus : échec partiel
+  assert.equal(code, 2);
+  assert.match(stdout, /1 thread\(s\) exported without their comments/);
+  const state = JSON.parse(await fs.readFile(path.join(workDir, 'last_run.json'), 'utf-8'));
+  assert.equal(state.subreddits['mocksub|new'], undefined);
+  assert.equal(state.subreddits['othersub|new'].fullname, 't3_q1');
+});
+
+test('does not advance the new mark of a subreddit from its top listing', async () => {
+  mock.inject({ match: '/r/mocksub/new', status: 500 });
+  const { stdout } = await runScraper({ subreddits: { latest: { mocksub: 10 }, best: { sort: 'top', subreddits: { mocksub: 10 } } } }, ['-f', 'json']);
+  assert.match(stdout, /Error fetching threads for r\/mocksub \(new\)/);
+  const state = JSON.parse(await fs.readFile(path.join(workDir, 'last_run.json'), 'utf-8'));
+  assert.equal(state.subreddits['mocksub|new'], undefined);
+  assert.equal(state.subreddits['mocksub|top'].fullname, 't3_p1');
+});
+
+test('re-exports a user job from the database with only the user comments', async () => {
+  const config = { subreddits: { mix: { mocksub: 10 } }, users: { mix: ['carol'] }, options: { sqlitePath: path.join(workDir, 'omega-red.sqlite') } };
+  const scraped = await runScraper(config, ['-f', 'sqlite,json']);
+  assert.equal(scraped.code, 0, scraped.stderr);
+  const jsonPath = await outputFile(scraped.outDir, '.json');
+  // La base ne garde pas l'ordre du listing : threads comparés par id
+  const commentIds = sources => sources.map(s => [s.user || s.subreddit, s.posts.map(post => [post.id, flatten(post.comments).map(c => c.id).sort()]).sort()]);
+  const live = commentIds(JSON.parse(await fs.readFile(jsonPath, 'utf-8')));
+  await fs.rm(jsonPath);
+
+  const exported = await runScraper(config, ['--from-db', '-f', 'json']);
+  assert.equal(exported.code, 0, exported.stderr);
+  const fromDb = commentIds(JSON.parse(await fs.readFile(await outputFile(exported.outDir, '.json'), 'utf-8')));
+  assert.deepEqual(fromDb, live);
+  // Sur p1, soumis par alice, seuls les commentaires de carol
+  const [, userPosts] = fromDb.find(([name]) => name === 'carol');
+  assert.deepEqual(userPosts.find(([id]) => id === 'p1')[1], ['c3', 'c7']);
+});
@@ -0,0 +1,270 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+
+// Offline mock of the Reddit API for Omega-Red-Cappa-Edition.
+// Serves the canned fixtures of test/fixtures/reddit (token, listings,
+// comments with their `more` / "continue this thread" stubs, user profiles)
+// with x-ratelimit-* headers, and can inject errors such as 429s. Point the
+// scraper at it with REDDIT_API_BASE_URL and REDDIT_AUTH_BASE_URL.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'reddit');
+
+const LISTING_SORTS = ['new', 'hot', 'top', 'rising', 'controversial'];
+
+export function loadFixtures(dir = FIXTURES_DIR) {
+  const read = name => JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf-8'));
+  return { token: read('token'), listings: read('listings'), comments: read('comments'), users: read('users') };
+}
+
+function listing(children, after = null) {
+  return { kind: 'Listing', data: { after, before: null, dist: children.length, children } };
+}
+
+// Page of `items` (sorted newest first) after the `after` fullname, `limit` at a time
+function page(items, kind, query) {
+  const limit = Math.min(parseInt(query.get('limit'), 10) || 25, 100);
+  const after = query.get('after');
+  const start = after ? items.findIndex(item => item.name === after) + 1 : 0;
+  // Curseur inconnu : Reddit renvoie une page vide
+  if (after && start === 0) return listing([]);
+  const slice = items.slice(start, start + limit);
+  const next = start + limit < items.length ? slice[slice.length - 1].name : null;
+  return listing(slice.map(data => ({ kind, data })), next);
+}
+
+// Every t1 of the fixtures, flattened, with the link_* fields of the user comment listing
+function allComments(fixtures, posts) {
+  const comments = [];
+  const visit = things => {
+    for (const thing of things || []) {
+      if (thing.kind !== 't1') continue;
+      const { replies, ...data } = thing.data;
+      const post = posts.get(data.link_id.slice(3));
+      comments.push({
+        ...data,
+        link_title: post && post.title,
+        link_author: post && post.author,
+        link_permalink: post && post.permalink,
+        link_url: post && post.url
+      });
+      if (replies && replies.data) visit(replies.data.children);
+    }
+  };
+  for (const thread of Object.values(fixtures.comments)) {
+    visit(thread.tree);
+    visit(Object.values(thread.more || {}));
+    Object.values(thread.continue || {}).forEach(visit);
+  }
+  return comments.sort((a, b) => b.created_utc - a.created_utc);
+}
+
+// Build the server. Options:
+//   fixtures  : data served (loadFixtures() by default)
+//   rateLimit : { limit, resetSec } used for the x-ratelimit-* headers, or false to omit them
+//   errors    : injected failures, see inject()
+//   handler   : scripted answers for the unit tests, see handle()
+export function createMockRedditServer({ fixtures = loadFixtures(), rateLimit = { limit: 1000, resetSec: 600 }, errors = [], handler = null } = {}) {
+  const posts = new Map(Object.values(fixtures.listings).flat().map(post => [post.id, post]));
+  const userComments = allComments(fixtures, posts);
+  const rules = [];
+  const requests = [];
+  let used = 0;
+  let server = null;
+  let baseUrl = null;
+
+  // Answer the next `times` requests whose path contains `match` (string or
+  // RegExp) with `status`; `headers` and `body` are sent as is
+  function inject({ match, status = 429, times = 1, headers = {}, body } = {}) {
+    rules.push({ match, status, remaining: times, headers, body });
+  }
+  errors.forEach(inject);
+
+  function injected(pathname) {
+    const rule = rules.find(r => r.remaining > 0 && (r.match instanceof RegExp ? r.match.test(pathname) : pathname.includes(r.match || '')));
+    if (!rule) return null;
+    rule.remaining--;
+    return rule;
+  }
+
+  function send(res, status, body, headers = {}) {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json', ...headers });
+    res.end(payload);
+  }
+
+  function rateLimitHeaders() {
+    if (!rateLimit) return {};
+    used++;
+    return {
+      'x-ratelimit-used': String(used),
+      'x-ratelimit-remaining': `${Math.max(rateLimit.limit - used, 0)}.0`,
+      'x-ratelimit-reset': String(rateLimit.resetSec)
+    };
+  }
+
+  function route(method, pathname, query) {
+    let m;
+    if (method === 'POST' && pathname === '/api/v1/access_token') return [200, fixtures.token];
+    if ((m = pathname.match(/^\/r\/([^/]+)\/(new|hot|top|rising|controversial)$/)) && LISTING_SORTS.includes(m[2])) {
+      const items = fixtures.listings[m[1]];
+      return items ? [200, page(items, 't3', query)] : [404, { message: 'Not Found', error: 404 }];
+    }
+    if ((m = pathname.match(/^(?:\/r\/([^/]+))?\/search$/))) {
+      const q = (query.get('q') || '').toLowerCase();
+      const pool = m[1] && query.get('restrict_sr') !== '0' ? fixtures.listings[m[1]] || [] : [...posts.values()];
+      const hits = pool.filter(post => `${post.title}\n${post.selftext}`.toLowerCase().includes(q));
+      return [200, page(hits, 't3', query)];
+    }
+    if ((m = pathname.match(/^\/r\/([^/]+)\/comments\/([^/]+)(?:\/_\/([^/]+))?$/))) {
+      const post = posts.get(m[2]);
+      if (!post) return [404, { message: 'Not Found', error: 404 }];
+      const thread = fixtures.comments[m[2]] || { tree: [] };
+      let children = thread.tree;
+      if (m[3]) {
+        // "continue this thread" : le commentaire demandé, avec les réponses cachées sous lui ;
+        // comme sur Reddit, les profondeurs repartent de 0 au commentaire demandé
+        const replies = (thread.continue || {})[m[3]] || [];
+        children = [{ kind: 't1', data: { id: m[3], name: `t1_${m[3]}`, depth: 0, replies: listing(replies) } }];
+      }
+      return [200, [listing([{ kind: 't3', data: post }]), listing(children)]];
+    }
+    if (pathname === '/api/morechildren') {
+      const thread = fixtures.comments[(query.get('link_id') || '').slice(3)] || {};
+      const things = (query.get('children') || '').split(',').map(id => (thread.more || {})[id]).filter(Boolean);
+      return [200, { json: { errors: [], data: { things } } }];
+    }
+    if (pathname === '/api/info') {
+      const children = (query.get('id') || '').split(',').map(name => posts.get(name.slice(3))).filter(Boolean);
+      return [200, listing(children.map(data => ({ kind: 't3', data })))];
+    }
+    if ((m = pathname.match(/^\/r\/([^/]+)\/about$/))) {
+      if (!fixtures.listings[m[1]]) return [404, { reason: 'banned', message: 'Not Found', error: 404 }];
+      return [200, { kind: 't5', data: { display_name: m[1], subreddit_type: 'public', quarantine: false } }];
+    }
+    if ((m = pathname.match(/^\/user\/([^/]+)\/about$/))) {
+      const user = fixtures.users[decodeURIComponent(m[1])];
+      return user ? [200, { kind: 't2', data: { name: m[1], ...user } }] : [404, { message: 'Not Found', error: 404 }];
+    }
+    if ((m = pathname.match(/^\/user\/([^/]+)\/(submitted|comments)$/))) {
+      const username = decodeURIComponent(m[1]);
+      if (m[2] === 'submitted') {
+        const submitted = [...posts.values()].filter(post => post.author === username).sort((a, b) => b.created_utc - a.created_utc);
+        return [200, page(submitted, 't3', query)];
+      }
+      return [200, page(userComments.filter(comment => comment.author === username), 't1', query)];
+    }
+    return [404, { message: 'Not Found', error: 404 }];
+  }
+
+  // `handler(request, n)` (n: 1 for the first request) may answer a request
+  // itself with { status, body, headers } (status 200 by default), before the
+  // token check and the fixtures; returning nothing falls through to them.
+  function handle(req, res, form) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const request = { method: req.method, path: pathname, query: Object.fromEntries(searchParams), authorization: req.headers.authorization || null, body: form };
+    requests.push(request);
+    const rule = injected(pathname);
+    if (rule) {
+      send(res, rule.status, rule.body ?? { message: http.STATUS_CODES[rule.status], error: rule.status }, { ...rateLimitHeaders(), ...rule.headers });
+      return;
+    }
+    const scripted = handler && handler(request, requests.length);
+    if (scripted) {
+      send(res, scripted.status || 200, scripted.body ?? {}, { ...rateLimitHeaders(), ...scripted.headers });
+      return;
+    }
+    if (pathname === '/api/v1/access_token') {
+      if (!(req.headers.authorization || '').startsWith('Basic ')) {
+        send(res, 401, { message: 'Unauthorized', error: 401 });
+        return;
+      }
+    } else if (req.headers.authorization !== `Bearer ${fixtures.token.access_token}`) {
+      send(res, 401, { message: 'Unauthorized', error: 401 }, rateLimitHeaders());
+      return;
+    }
+    const [status, body] = route(req.method, pathname, searchParams);
+    send(res, status, body, pathname === '/api/v1/access_token' ? {} : rateLimitHeaders());
+  }
+
+  // Resolves to the base URL, to use for both the API and the auth endpoints
+  function listen(port = 0, host = '127.0.0.1') {
+    server = http.createServer((req, res) => {
+      // Le corps (formulaire du token) est seulement enregistré, pour les tests
+      let body = '';
+      req.setEncoding('utf-8');
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => handle(req, res, body));
+    });
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        baseUrl = `http://${host}:${server.address().port}`;
+        resolve(baseUrl);
+      });
+    });
+  }
+
+  function close() {
+    return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  return { listen, close, inject, requests, get url() { return baseUrl; } };
+}
+
+// Scripted server of the unit tests, already listening (no rate limit headers
+// unless the handler sends them)
+export async function startMockServer(handler, options = {}) {
+  const mock = createMockRedditServer({ rateLimit: false, handler, ...options });
+  await mock.listen();
+  return mock;
+}
+
+// Options for the fetchers: mock URL, no throttling and short 429 backoffs
+export function mockFetchOptions(mock, extra = {}) {
+  return { apiBaseUrl: mock.url, minDelay: 0, highDelay: 0, baseDelay: 10, ...extra };
+}
+
+// Reddit listing of `kind` things, as returned by /r/<sub>/new, /search, ...
+export function thingListing(things, kind = 't3', after = null) {
+  return listing(things.map(data => ({ kind, data })), after);
+}
+
+// `n` posts named t3_p<start>, t3_p<start+1>, ... newest first
+export function makePosts(n, { start = 1, subreddit = 'stubsub', createdUtc = 1760000000 } = {}) {
+  return Array.from({ length: n }, (_, i) => ({
+    id: `p${start + i}`,
+    name: `t3_p${start + i}`,
+    subreddit,
+    title: `Thread number ${start + i} of the stub listing`,
+    selftext: '',
+    author: 'stubuser',
+    created_utc: createdUtc - (start + i) * 60,
+    ups: 1,
+    downs: 0,
+    url: `https://www.reddit.com/r/${subreddit}/comments/p${start + i}/`
+  }));
+}
+
+// node test/mockRedditServer.js [--port 8080] [--inject-429 <path>]... [--no-rate-limit]
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '8080' },
+      'inject-429': { type: 'string', multiple: true },
+      'no-rate-limit': { type: 'boolean' }
+    }
+  });
+  const mock = createMockRedditServer({
+    rateLimit: values['no-rate-limit'] ? false : undefined,
+    errors: (values['inject-429'] || []).map(match => ({ match, status: 429 }))
+  });
+  const url = await mock.listen(parseInt(values.port, 10));
+  console.log(`Mock Reddit API listening on ${url}`);
+  console.log(`  REDDIT_API_BASE_URL=${url}`);
+  console.log(`  REDDIT_AUTH_BASE_URL=${url}`);
+  process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+}
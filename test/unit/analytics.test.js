@@ -0,0 +1,87 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createAnalyzer, analyzeExportFile, reportToMarkdown, writeReport } from '../../src/lib/analytics.js';
+import { openExporters } from '../../src/lib/exporters.js';
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-analytics-'));
+});
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const SOURCE = { key: 'mocksub', subreddit: 'mocksub' };
+const THREAD = { id: 'p1', subreddit: 'mocksub', meta: 'g', listing: 'new', title: 'testing scrapers', text: 'testing scrapers daily', raw_title: 'Testing scrapers', raw_text: 'Testing the scrapers daily, see https://example.com', lang: 'en', time: 1760000000, author: 'alice', ups: 5, downs: 0 };
+const COMMENTS = [
+  { id: 'c1', parent_id: 't3_p1', link_id: 't3_p1', depth: 0, position: 0, subreddit: 'mocksub', text: 'great scrapers', raw_text: 'Great scrapers 👍', lang: 'en', time: 1760086400, author: 'bob', ups: 3, downs: 0 },
+  { id: 'c2', parent_id: 't1_c1', link_id: 't3_p1', depth: 1, position: 0, subreddit: 'mocksub', text: 'testing again', raw_text: 'Testing them again, u/bob', lang: 'en', time: 1760086500, author: 'alice', ups: -1, downs: 0 },
+  { id: 'c3', parent_id: 't3_p1', link_id: 't3_p1', depth: 0, position: 1, subreddit: 'mocksub', text: 'nice', raw_text: 'Nice!', lang: 'und', time: 1760086600, author: '[deleted]', ups: 1, downs: 0 }
+];
+
+// Export the fixture thread in `format` and return the written file
+async function exportThread(format, name, options = {}) {
+  const exporters = await openExporters([format], { meta: 'g', fileBase: name, contentDir: dir, autosaveDir: dir, sqlitePath: path.join(dir, 'g.sqlite'), options });
+  await exporters.writeThread(THREAD, SOURCE);
+  await exporters.writeComments(THREAD, COMMENTS, SOURCE);
+  const files = await exporters.close();
+  return files[format][0];
+}
+
+async function analyze(file) {
+  const { generatedAt, ...report } = await analyzeExportFile(file, 'g');
+  assert.ok(generatedAt);
+  return report;
+}
+
+test('reports terms, authors, volume and depth from the original text', async () => {
+  const report = await analyze(await exportThread('json', 'run-g'));
+  assert.deepEqual(report.totals, { threads: 1, comments: 3, subreddits: 1, authors: 2 });
+  const { topTerms, topBigrams } = report.subreddits.mocksub;
+  // Sans URL, mention, emoji ni mot vide
+  assert.deepEqual(topTerms.map(t => [t.term, t.count]), [['scrapers', 3], ['testing', 3], ['daily', 1], ['great', 1], ['nice', 1]]);
+  assert.deepEqual(topBigrams[0], { bigram: 'testing scrapers', count: 2 });
+  assert.deepEqual(report.authors, [
+    { author: 'alice', threads: 1, comments: 1, score: 4, total: 2 },
+    { author: 'bob', threads: 0, comments: 1, score: 3, total: 1 }
+  ]);
+  assert.deepEqual(report.volume, [{ date: '2025-10-09', threads: 1, comments: 0 }, { date: '2025-10-10', threads: 0, comments: 3 }]);
+  assert.deepEqual(report.commentDepth, [{ depth: 0, count: 2 }, { depth: 1, count: 1 }]);
+});
+
+test('gives the same report from JSON, NDJSON trees and flat NDJSON comments', async () => {
+  const json = await analyze(await exportThread('json', 'run-json'));
+  assert.deepEqual(await analyze(await exportThread('ndjson', 'run-tree')), json);
+  const flat = await exportThread('ndjson', 'run-flat', { ndjsonComments: 'flat' });
+  assert.equal(JSON.parse(await fs.readFile(flat, 'utf-8')).comments[0].replies, undefined);
+  assert.deepEqual(await analyze(flat), json);
+});
+
+test('counts a post found by several sources once', () => {
+  const analyzer = createAnalyzer('g');
+  const post = { id: 'p1', subreddit: 'mocksub', title: 'Testing', author: { username: 'alice' }, score: 2, created_utc: 1760000000, comments: [] };
+  analyzer.addPost(post);
+  analyzer.addPost({ ...post, subreddit: 'all' });
+  assert.equal(analyzer.threads, 1);
+  assert.deepEqual(Object.keys(analyzer.report().subreddits), ['mocksub']);
+});
+
+test('rejects a JSON file that is not an export', async () => {
+  const file = path.join(dir, 'other.json');
+  await fs.writeFile(file, JSON.stringify({ posts: [] }));
+  await assert.rejects(analyzeExportFile(file, 'g'), /not a JSON export/);
+});
+
+test('writes the report as JSON and Markdown next to the export', async () => {
+  const report = await analyzeExportFile(await exportThread('json', 'run-g'), 'g');
+  const { jsonPath, mdPath } = await writeReport(report, path.join(dir, 'run-g'));
+  assert.deepEqual([path.basename(jsonPath), path.basename(mdPath)], ['run-g-report.json', 'run-g-report.md']);
+  assert.deepEqual(JSON.parse(await fs.readFile(jsonPath, 'utf-8')), report);
+  const md = await fs.readFile(mdPath, 'utf-8');
+  assert.equal(md, reportToMarkdown(report));
+  assert.match(md, /^# Rapport d'analyse — Groupe : g\n/);
+  assert.match(md, /## 🧵 r\/mocksub \(1 threads, 3 commentaires\)/);
+  assert.match(md, /\| u\/alice \| 1 \| 1 \| 4 \|/);
+  assert.match(reportToMarkdown(createAnalyzer('vide').report()), /_Aucune donnée\._/);
+});
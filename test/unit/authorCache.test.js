@@ -0,0 +1,114 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createAuthorCache, enrichAuthors } from '../../src/lib/authorCache.js';
+import { createMockRedditServer, mockFetchOptions } from '../mockRedditServer.js';
+
+// Profiles of test/fixtures/reddit/users.json: alice, bob, carol, and dave (suspended)
+let mock;
+let fetchOptions;
+let dir;
+let cachePath;
+
+before(async () => {
+  mock = createMockRedditServer({
+    rateLimit: false,
+    handler: request => {
+      if (request.path === '/user/shadow/about') return { status: 403, body: { message: 'Forbidden', error: 403 } };
+      if (request.path === '/user/flaky/about') return { status: 500 };
+    }
+  });
+  await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.requests.length = 0;
+  fetchOptions = mockFetchOptions(mock);
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-authors-'));
+  cachePath = path.join(dir, 'cache', 'authors.json');
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const aboutRequests = () => mock.requests.filter(r => r.path.endsWith('/about')).map(r => r.path);
+
+test('fetches a profile once, then serves it from the cache', async () => {
+  const cache = await createAuthorCache(cachePath);
+  const alice = await cache.get('alice', 'mock-access-token', fetchOptions);
+  assert.deepEqual({ ...alice, fetchedAt: undefined }, {
+    status: 'ok', link_karma: 1200, comment_karma: 3400, is_gold: false, is_mod: true, created_utc: 1400000000, fetchedAt: undefined
+  });
+  assert.ok(alice.fetchedAt > 0);
+  assert.equal(await cache.get('alice', 'mock-access-token', fetchOptions), alice);
+  assert.deepEqual(aboutRequests(), ['/user/alice/about']);
+});
+
+test('shares one request between parallel lookups of the same author', async () => {
+  const cache = await createAuthorCache(cachePath);
+  const infos = await Promise.all([
+    cache.get('bob', 'mock-access-token', fetchOptions),
+    cache.get('bob', 'mock-access-token', fetchOptions),
+    cache.get('carol', 'mock-access-token', fetchOptions)
+  ]);
+  assert.deepEqual(infos.map(info => info.comment_karma), [800, 800, 20]);
+  assert.deepEqual(aboutRequests(), ['/user/bob/about', '/user/carol/about']);
+});
+
+test('keeps the profiles across reopenings until their TTL expires', async () => {
+  const cache = await createAuthorCache(cachePath);
+  await cache.get('alice', 'mock-access-token', fetchOptions);
+  await cache.save();
+  const saved = JSON.parse(await fs.readFile(cachePath, 'utf-8'));
+  assert.deepEqual(Object.keys(saved.authors), ['alice']);
+
+  mock.requests.length = 0;
+  const reopened = await createAuthorCache(cachePath);
+  assert.equal((await reopened.get('alice', 'mock-access-token', fetchOptions)).link_karma, 1200);
+  assert.deepEqual(aboutRequests(), []);
+
+  // Entrée vieille d'une heure, TTL d'une minute : nouveau fetch
+  saved.authors.alice.link_karma = 1;
+  saved.authors.alice.fetchedAt -= 3600;
+  await fs.writeFile(cachePath, JSON.stringify(saved));
+  const expired = await createAuthorCache(cachePath, { ttlSec: 60 });
+  assert.equal((await expired.get('alice', 'mock-access-token', fetchOptions)).link_karma, 1200);
+  assert.deepEqual(aboutRequests(), ['/user/alice/about']);
+});
+
+test('writes nothing when no profile was fetched', async () => {
+  const cache = await createAuthorCache(cachePath);
+  await cache.get('[deleted]', 'mock-access-token', fetchOptions);
+  await cache.save();
+  await assert.rejects(fs.access(cachePath));
+});
+
+test('tells deleted, suspended and missing authors apart', async () => {
+  const cache = await createAuthorCache(cachePath);
+  const status = async username => (await cache.get(username, 'mock-access-token', fetchOptions)).status;
+  assert.equal(await status('[deleted]'), 'deleted');
+  assert.equal(await status('[removed]'), 'deleted');
+  assert.equal(await status('dave'), 'suspended');
+  assert.equal(await status('ghost'), 'missing');
+  assert.equal(await status('shadow'), 'missing');
+  assert.deepEqual(aboutRequests(), ['/user/dave/about', '/user/ghost/about', '/user/shadow/about']);
+  await assert.rejects(cache.get('flaky', 'mock-access-token', fetchOptions), /Failed to fetch author: u\/flaky/);
+});
+
+test('fills the author columns of known authors only', async () => {
+  const cache = await createAuthorCache(cachePath);
+  const warnings = [];
+  const rows = ['alice', 'bob', 'alice', 'dave', '[deleted]', 'flaky'].map(author => ({ author, authorlinkkarma: '' }));
+  await enrichAuthors(rows, cache, 'mock-access-token', { ...fetchOptions, onWarning: message => warnings.push(message) });
+  assert.deepEqual(rows.slice(0, 3), [
+    { author: 'alice', authorlinkkarma: 1200, authorcommentkarma: 3400, authorisgold: 0, authorismod: 1, authorcreated: 1400000000 },
+    { author: 'bob', authorlinkkarma: 50, authorcommentkarma: 800, authorisgold: 1, authorismod: 0, authorcreated: 1500000000 },
+    { author: 'alice', authorlinkkarma: 1200, authorcommentkarma: 3400, authorisgold: 0, authorismod: 1, authorcreated: 1400000000 }
+  ]);
+  assert.deepEqual(rows.slice(3), [{ author: 'dave', authorlinkkarma: '' }, { author: '[deleted]', authorlinkkarma: '' }, { author: 'flaky', authorlinkkarma: '' }]);
+  assert.deepEqual(warnings, ['Error in enrichAuthors for u/flaky: Failed to fetch author: u/flaky']);
+  assert.deepEqual(aboutRequests(), ['/user/alice/about', '/user/bob/about', '/user/dave/about', '/user/flaky/about']);
+});
@@ -0,0 +1,116 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadRunState, saveRunState, clearCheckpoint, openJournal } from '../../src/lib/checkpoint.js';
+import { createScraper } from '../../src/index.js';
+import { createMockRedditServer } from '../mockRedditServer.js';
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-checkpoint-'));
+});
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const records = async file => (await fs.readFile(file, 'utf-8')).trimEnd().split('\n').map(line => JSON.parse(line));
+
+test('saves and reloads the run state, and clears the checkpoint directory', async () => {
+  const checkpointDir = path.join(dir, 'checkpoint');
+  assert.equal(await loadRunState(checkpointDir), null);
+  const state = { datePrefix: '20251019-1200', exportFormats: ['csv'], groups: ['a', 'b'], doneGroups: ['a'] };
+  await saveRunState(checkpointDir, state);
+  assert.deepEqual(await loadRunState(checkpointDir), state);
+  assert.deepEqual(await fs.readdir(checkpointDir), ['run.json']);
+  await clearCheckpoint(checkpointDir);
+  await assert.rejects(fs.access(checkpointDir));
+});
+
+test('replays pages, listing ends and comments, skipping a truncated last line', async () => {
+  const journalPath = path.join(dir, 'checkpoint', 'g.jsonl');
+  const journal = await openJournal(journalPath);
+  assert.deepEqual(journal.job('a'), { threads: [], after: null, listingDone: false, complete: true, comments: new Map(), userComments: [] });
+  await journal.append({ type: 'page', job: 'a', threads: [{ id: 'p1' }, { id: 'p2' }], after: 't3_p2' });
+  await journal.append({ type: 'page', job: 'a', threads: [{ id: 'p3' }], after: null });
+  await journal.append({ type: 'listingDone', job: 'a', complete: false });
+  await journal.append({ type: 'comments', job: 'a', threadId: 'p1', comments: [{ id: 'c1' }] });
+  await journal.append({ type: 'page', job: 'b', threads: [{ id: 'q1' }], after: 't3_q1' });
+  await fs.appendFile(journalPath, '{"type":"comments","job":"b","threadId":"q1","comm');
+
+  const replayed = await openJournal(journalPath, { resume: true });
+  const a = replayed.job('a');
+  assert.deepEqual(a.threads.map(t => t.id), ['p1', 'p2', 'p3']);
+  assert.deepEqual([a.after, a.listingDone, a.complete], [null, true, false]);
+  assert.deepEqual([...a.comments], [['p1', [{ id: 'c1' }]]]);
+  const b = replayed.job('b');
+  assert.deepEqual([b.after, b.listingDone, b.comments.size], ['t3_q1', false, 0]);
+});
+
+test('starts an empty journal without resume, and removes it once the group is done', async () => {
+  const journalPath = path.join(dir, 'g.jsonl');
+  await fs.writeFile(journalPath, '{"type":"page","job":"a","threads":[{"id":"p1"}],"after":null}\n');
+  const journal = await openJournal(journalPath);
+  assert.deepEqual(journal.job('a').threads, []);
+  assert.equal(await fs.readFile(journalPath, 'utf-8'), '');
+  // Écritures concurrentes des workers : une ligne entière par enregistrement
+  journal.append({ type: 'comments', job: 'a', threadId: 'p1', comments: [{ id: 'c1', text: 'x'.repeat(100000) }] });
+  journal.append({ type: 'comments', job: 'a', threadId: 'p2', comments: [] });
+  await journal.remove();
+  await assert.rejects(fs.access(journalPath));
+  const other = await openJournal(path.join(dir, 'h.jsonl'));
+  await Promise.all([1, 2, 3].map(n => other.append({ type: 'comments', job: 'a', threadId: `p${n}`, comments: [{ id: `c${n}`, text: 'y'.repeat(50000) }] })));
+  assert.deepEqual((await records(path.join(dir, 'h.jsonl'))).map(r => r.threadId), ['p1', 'p2', 'p3']);
+});
+
+test('resumes an interrupted listing from its last cursor', async () => {
+  const mock = createMockRedditServer({ rateLimit: false });
+  await mock.listen();
+  try {
+    const scraper = createScraper({ throttle: { minDelayMs: 0, highDelayMs: 0 }, apiBaseUrl: mock.url, tokenProvider: 'mock-access-token' });
+    const journalPath = path.join(dir, 'g.jsonl');
+    for await (const event of scraper.scrapeGroup('g', { subreddits: { mocksub: 2 } }, { journal: await openJournal(journalPath) })) void event;
+    // Crash simulé après la première page : ni fin de listing ni commentaires
+    const [page] = await records(journalPath);
+    assert.deepEqual([page.type, page.after, page.threads.map(t => t.id)], ['page', 't3_p2', ['p1', 'p2']]);
+    await fs.writeFile(journalPath, `${JSON.stringify(page)}\n`);
+
+    mock.requests.length = 0;
+    const threads = [];
+    for await (const event of scraper.scrapeGroup('g', { subreddits: { mocksub: 4 } }, { journal: await openJournal(journalPath, { resume: true }) })) {
+      if (event.type === 'thread') threads.push(event.thread.id);
+    }
+    assert.deepEqual(threads, ['p1', 'p2', 'p3', 'p4']);
+    const listings = mock.requests.filter(r => r.path === '/r/mocksub/new');
+    assert.deepEqual(listings.map(r => [r.query.after, r.query.limit]), [['t3_p2', '2']]);
+    assert.equal((await records(journalPath)).filter(r => r.type === 'comments').length, 4);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('resumes a user job from its journaled history', async () => {
+  const mock = createMockRedditServer({ rateLimit: false });
+  await mock.listen();
+  try {
+    const scraper = createScraper({ throttle: { minDelayMs: 0, highDelayMs: 0 }, apiBaseUrl: mock.url, tokenProvider: 'mock-access-token' });
+    const journalPath = path.join(dir, 'u.jsonl');
+    const scrape = async journal => {
+      const threads = [];
+      for await (const event of scraper.scrapeGroup('u', { users: ['carol'] }, { journal })) {
+        if (event.type === 'thread') threads.push([event.thread.id, event.comments.map(c => c.id)]);
+      }
+      return threads;
+    };
+    const first = await scrape(await openJournal(journalPath));
+    const [history] = await records(journalPath);
+    assert.deepEqual([history.type, history.threads.map(t => t.id), history.comments.map(c => c.id), history.complete], ['history', ['p3', 'p1', 'p2'], ['c7', 'c3', 'c8'], true]);
+    // Crash simulé juste après l'historique : aucun commentaire de thread journalisé
+    await fs.writeFile(journalPath, `${JSON.stringify(history)}\n`);
+
+    mock.requests.length = 0;
+    assert.deepEqual(await scrape(await openJournal(journalPath, { resume: true })), first);
+    assert.deepEqual(mock.requests.map(r => r.path), ['/r/mocksub/comments/p3']);
+  } finally {
+    await mock.close();
+  }
+});
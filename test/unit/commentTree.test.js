@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCommentTree, buildThreadObject } from '../../src/lib/commentTree.js';
+
+const thread = { id: 'p1', subreddit: 'stubsub', title: 'normalized title', raw_title: 'Raw Title', text: 'normalized', raw_text: 'Raw', author: 'op', ups: 5, time: 1760000000, lang: 'en' };
+
+function comment(id, parentId, position, extra = {}) {
+  return { id, parent_id: parentId, depth: parentId.startsWith('t3_') ? 0 : 1, position, text: `text ${id}`, raw_text: `Raw ${id}`, author: 'someone', ups: 1, time: 1760000100, lang: 'en', ...extra };
+}
+
+function ids(comments) {
+  return comments.map(c => [c.id, ids(c.replies)]);
+}
+
+test('nests replies under their parent, ordered by position', () => {
+  const rows = [
+    comment('c3', 't1_c1', 1),
+    comment('c1', 't3_p1', 1),
+    comment('c2', 't1_c1', 0),
+    comment('c0', 't3_p1', 0),
+    comment('c4', 't1_c3', 0)
+  ];
+  const { comments, total } = buildCommentTree(thread, rows);
+  assert.equal(total, 5);
+  assert.deepEqual(ids(comments), [['c0', []], ['c1', [['c2', []], ['c3', [['c4', []]]]]]]);
+  assert.equal(comments[1].replies[1].parent_id, 'c1');
+  assert.equal(comments[0].parent_id, 'p1');
+});
+
+test('keeps comments whose parent is missing at the top level', () => {
+  const { comments } = buildCommentTree(thread, [comment('c1', 't3_p1', 0), comment('c9', 't1_gone', 1)]);
+  assert.deepEqual(ids(comments), [['c1', []], ['c9', []]]);
+});
+
+test('counts each comment once when a row is repeated', () => {
+  const { comments, total } = buildCommentTree(thread, [comment('c1', 't3_p1', 0), comment('c2', 't1_c1', 0), comment('c1', 't3_p1', 0)]);
+  assert.equal(total, 2);
+  assert.deepEqual(ids(comments), [['c1', [['c2', []]]]]);
+});
+
+test('picks the text variant of the export', () => {
+  const rows = [comment('c1', 't3_p1', 0)];
+  assert.equal(buildThreadObject(thread, rows).comments[0].body, 'text c1');
+  assert.equal(buildThreadObject(thread, rows, 'raw').title, 'Raw Title');
+  const both = buildThreadObject(thread, rows, 'both');
+  assert.equal(both.title, 'normalized title');
+  assert.equal(both.raw_selftext, 'Raw');
+  assert.equal(both.comments[0].raw_body, 'Raw c1');
+});
+
+test('builds the post object of the JSON export', () => {
+  const post = buildThreadObject(thread, [comment('c1', 't3_p1', 0), comment('c2', 't1_c1', 0)]);
+  assert.equal(post.num_comments, 2);
+  assert.equal(post.permalink, '/r/stubsub/comments/p1/');
+  assert.equal(post.url, 'https://www.reddit.com/r/stubsub/comments/p1/');
+  assert.equal(post.score, 5);
+  assert.equal(post.author.username, 'op');
+  assert.ok(!('sentiment' in post));
+  assert.equal(buildThreadObject({ ...thread, sentiment: 0.5 }, []).sentiment, 0.5);
+});
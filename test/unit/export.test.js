@@ -0,0 +1,187 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createObjectCsvWriter } from 'csv-writer';
+import { exportGroupToMarkdown, createCsvAppender, THREAD_CSV_HEADER, COMMENT_CSV_HEADER } from '../../src/lib/export.js';
+import { csvHeaderFor, applyTextVariant } from '../../src/lib/textVariant.js';
+
+const MB = 1024 * 1024;
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-export-'));
+});
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+function post(id, size = 200) {
+  return {
+    id,
+    subreddit: 'stubsub',
+    title: `Post ${id}`,
+    author: { username: 'someone', karma: 1 },
+    created_utc: 1760000000,
+    score: 1,
+    num_comments: 1,
+    permalink: `/r/stubsub/comments/${id}/`,
+    selftext: 'x'.repeat(size),
+    lang: 'en',
+    comments: [{ author: { username: 'other', karma: 2 }, created_utc: 1760000100, score: 1, body: 'A reply', lang: 'en', replies: [] }]
+  };
+}
+
+function group(subreddits) {
+  return Object.fromEntries(Object.entries(subreddits).map(([name, posts]) => [name, { subreddit: name, posts }]));
+}
+
+async function exportMd(jsonOutput, maxMarkdownSizeMB) {
+  const files = await exportGroupToMarkdown('g', jsonOutput, path.join(dir, 'export.json'), { maxMarkdownSizeMB });
+  return Promise.all(files.map(async file => ({ name: path.basename(file), md: await fs.readFile(file, 'utf-8') })));
+}
+
+function postIds(md) {
+  return [...md.matchAll(/## 🧵 Post : Post (\w+)/g)].map(m => m[1]);
+}
+
+describe('exportGroupToMarkdown', () => {
+  test('writes a single file when everything fits', async () => {
+    const parts = await exportMd(group({ a: [post('a1'), post('a2')], b: [post('b1')] }), 1);
+    assert.deepEqual(parts.map(p => p.name), ['export.md']);
+    assert.deepEqual(postIds(parts[0].md), ['a1', 'a2', 'b1']);
+    assert.ok(parts[0].md.startsWith('# Export Reddit — Groupe : g\n'));
+  });
+
+  test('splits at the exact size limit', async () => {
+    const jsonOutput = group({ a: [post('a1'), post('a2')] });
+    const [whole] = await exportMd(jsonOutput, 1);
+    const size = Buffer.byteLength(whole.md);
+    assert.equal((await exportMd(jsonOutput, size / MB)).length, 1);
+    const parts = await exportMd(jsonOutput, (size - 1) / MB);
+    assert.deepEqual(parts.map(p => p.name), ['export.md', 'export-part2.md']);
+    assert.deepEqual(parts.map(p => postIds(p.md)), [['a1'], ['a2']]);
+  });
+
+  test('keeps every post once, in order, and every part under the limit', async () => {
+    const posts = { a: Array.from({ length: 6 }, (_, i) => post(`a${i}`, 3000)), b: Array.from({ length: 5 }, (_, i) => post(`b${i}`, 3000)) };
+    const limit = 10000;
+    const parts = await exportMd(group(posts), limit / MB);
+    assert.ok(parts.length > 3);
+    assert.deepEqual(parts.flatMap(p => postIds(p.md)), [...posts.a, ...posts.b].map(p => p.id));
+    for (const [i, part] of parts.entries()) {
+      assert.ok(Buffer.byteLength(part.md) <= limit, `${part.name} is ${Buffer.byteLength(part.md)} bytes`);
+      assert.ok(postIds(part.md).length > 0, `${part.name} has no post`);
+      assert.equal(part.name, i === 0 ? 'export.md' : `export-part${i + 1}.md`);
+      if (i > 0) assert.match(part.md, new RegExp(`Suite de l'export \\(partie ${i + 1}\\)`));
+    }
+  });
+
+  test('starts each part with the subreddit of its first post', async () => {
+    const posts = { a: Array.from({ length: 4 }, (_, i) => post(`a${i}`, 3000)), b: Array.from({ length: 4 }, (_, i) => post(`b${i}`, 3000)) };
+    const parts = await exportMd(group(posts), 10000 / MB);
+    for (const part of parts) {
+      const firstPost = part.md.indexOf('## 🧵 Post');
+      const header = part.md.lastIndexOf('## 🧵 Subreddit : r/', firstPost);
+      assert.ok(header >= 0, `${part.name} has no subreddit header before its first post`);
+      assert.equal(part.md.slice(header + '## 🧵 Subreddit : r/'.length, header + '## 🧵 Subreddit : r/'.length + 1), postIds(part.md)[0][0]);
+    }
+  });
+
+  test('gives a post larger than the limit a part of its own', async () => {
+    const parts = await exportMd(group({ a: [post('a1'), post('a2', 20000), post('a3')] }), 10000 / MB);
+    assert.deepEqual(parts.map(p => postIds(p.md)), [['a1'], ['a2'], ['a3']]);
+  });
+
+  test('nests replies in blockquotes instead of indenting them into code blocks', async () => {
+    const reply = (username, replies = []) => ({ author: { username, karma: 1 }, created_utc: 1760000100, score: 1, body: `From ${username}\nsecond line`, lang: 'en', replies });
+    const threaded = post('a1');
+    threaded.comments = [reply('top', [reply('first', [reply('second', [reply('third')])])])];
+    const [part] = await exportMd(group({ a: [threaded] }), 1);
+    assert.match(part.md, /\n#### 🔹 u\/top \(karma : 1\)\n\*\*Posté le\*\*.*\n> From top\n> second line\n/);
+    assert.match(part.md, /\n> > > ##### ↪ Réponse de u\/third \(karma : 1\)\n> > > \*\*Posté le\*\*.*\n> > > > From third\n> > > > second line\n/);
+    // Quatre espaces en tête de ligne feraient un bloc de code
+    assert.doesNotMatch(part.md, /^ {4}/m);
+  });
+
+  test('does not label authors who moderate some other subreddit', async () => {
+    const moderated = post('a1');
+    moderated.comments[0].author.is_mod = true;
+    const [part] = await exportMd(group({ a: [moderated] }), 1);
+    assert.match(part.md, /#### 🔹 u\/other \(karma : 2\)\n/);
+    assert.doesNotMatch(part.md, /modérateur/);
+  });
+
+  test('writes nothing for a group without posts', async () => {
+    assert.deepEqual(await exportMd(group({ a: [] }), 1), []);
+    assert.deepEqual(await fs.readdir(dir), []);
+  });
+});
+
+// Minimal RFC 4180 parser: quoted fields may hold commas, quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; } else if (ch === '"') quoted = false; else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; } else if (ch === '\n') { row.push(field); rows.push(row); row = []; field = ''; } else field += ch;
+  }
+  return rows;
+}
+
+describe('CSV rows', () => {
+  const thread = {
+    text: 'normalized , text', raw_text: 'Raw, "quoted"\ntext', title: 'a title', raw_title: 'A Title', url: 'https://example.com', id: 'p1',
+    subreddit: 'stubsub', meta: 'g', listing: 'new', query: '', time: 1760000000, author: 'someone', ups: 3, downs: 0,
+    authorlinkkarma: '', authorcommentkarma: '', authorisgold: '', authorismod: '', authorcreated: '', lang: 'en', sentiment: 0.25
+  };
+  const comment = {
+    text: 'a reply', raw_text: 'A reply', id: 'c1', parent_id: 't3_p1', link_id: 't3_p1', depth: 0, position: 0, subreddit: 'stubsub', meta: 'g',
+    listing: 'new', query: '', time: 1760000100, edited: false, author: 'other', ups: 1, downs: 0,
+    authorlinkkarma: '', authorcommentkarma: '', authorisgold: '', authorismod: '', authorcreated: '', lang: 'en', sentiment: ''
+  };
+
+  async function writeCsv(header, rows, variant) {
+    const csvPath = path.join(dir, 'rows.csv');
+    await createObjectCsvWriter({ path: csvPath, header: csvHeaderFor(header, variant) }).writeRecords(rows.map(r => applyTextVariant(r, variant)));
+    return parseCsv(await fs.readFile(csvPath, 'utf-8'));
+  }
+
+  test('has one column per header entry, in order', async () => {
+    const [header, row] = await writeCsv(THREAD_CSV_HEADER, [thread], 'normalized');
+    assert.deepEqual(header, THREAD_CSV_HEADER.map(c => c.id));
+    assert.equal(row.length, header.length);
+    assert.equal(row[header.indexOf('text')], 'normalized , text');
+    assert.equal(row[header.indexOf('sentiment')], '0.25');
+  });
+
+  test('appends the raw columns for the both variant', async () => {
+    const [header, row] = await writeCsv(THREAD_CSV_HEADER, [thread], 'both');
+    assert.deepEqual(header.slice(-2), ['raw_title', 'raw_text']);
+    assert.equal(row[header.indexOf('raw_text')], 'Raw, "quoted"\ntext');
+    const [commentHeader] = await writeCsv(COMMENT_CSV_HEADER, [comment], 'both');
+    assert.deepEqual(commentHeader, [...COMMENT_CSV_HEADER.map(c => c.id), 'raw_text']);
+  });
+
+  test('puts the original text in place for the raw variant', async () => {
+    const [header, row] = await writeCsv(THREAD_CSV_HEADER, [thread], 'raw');
+    assert.ok(!header.includes('raw_text'));
+    assert.equal(row[header.indexOf('title')], 'A Title');
+    assert.equal(row[header.indexOf('text')], 'Raw, "quoted"\ntext');
+  });
+
+  test('appends batches after the header without blank lines', async () => {
+    const csvPath = path.join(dir, 'comments.csv');
+    const writer = await createCsvAppender(csvPath, COMMENT_CSV_HEADER);
+    await writer.writeRecords([]);
+    await writer.writeRecords([comment]);
+    await writer.writeRecords([{ ...comment, id: 'c2' }]);
+    const rows = parseCsv(await fs.readFile(csvPath, 'utf-8'));
+    assert.deepEqual(rows.map(r => r[COMMENT_CSV_HEADER.findIndex(c => c.id === 'id')]), ['id', 'c1', 'c2']);
+    assert.ok(rows.every(r => r.length === COMMENT_CSV_HEADER.length));
+  });
+});
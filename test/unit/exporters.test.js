@@ -0,0 +1,79 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { openExporters, loadExporters, registerExporter, hasExporter } from '../../src/lib/exporters.js';
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-exporters-'));
+});
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+function thread(id) {
+  return { id, subreddit: 'stubsub', meta: 'g', listing: 'new', title: `Post ${id}`, text: '', time: 1760000000, author: 'someone', ups: 1, downs: 0, permalink: `/r/stubsub/comments/${id}/` };
+}
+
+function comment(id, linkId) {
+  return { id, parent_id: `t3_${linkId}`, link_id: `t3_${linkId}`, depth: 0, position: 0, subreddit: 'stubsub', text: 'A reply', time: 1760000100, author: 'other', ups: 1, downs: 0 };
+}
+
+function context(options = {}) {
+  return { meta: 'g', fileBase: 'run-g', contentDir: dir, autosaveDir: dir, sqlitePath: path.join(dir, 'g.sqlite'), options };
+}
+
+const SOURCE = { key: 'stubsub', subreddit: 'stubsub' };
+const lines = async file => (await fs.readFile(file, 'utf-8')).trimEnd().split('\n');
+
+test('writes every format of the run and reports their files', async () => {
+  const exporters = await openExporters(['csv', 'json', 'md'], context());
+  for (const id of ['p1', 'p2']) {
+    await exporters.writeThread(thread(id), SOURCE);
+    await exporters.writeComments(thread(id), [comment(`c-${id}`, id)], SOURCE);
+  }
+  const files = await exporters.close();
+  assert.deepEqual(Object.keys(files), ['csv', 'json', 'md']);
+  assert.deepEqual(files.csv.map(f => path.basename(f)), ['run-g-threads.csv', 'run-g-comments.csv']);
+  assert.equal((await lines(files.csv[0])).length, 3);
+  const [source] = JSON.parse(await fs.readFile(files.json[0], 'utf-8'));
+  assert.deepEqual(source.posts.map(p => [p.id, p.comments.length]), [['p1', 1], ['p2', 1]]);
+  assert.deepEqual(files.md.map(f => path.basename(f)), ['run-g.md']);
+});
+
+test('keeps the comments of a thread found by several sources once', async () => {
+  const exporters = await openExporters(['csv'], context());
+  for (const source of [SOURCE, { key: 'search:p1:all', subreddit: 'all', query: 'p1' }]) {
+    await exporters.writeThread(thread('p1'), source);
+    await exporters.writeComments(thread('p1'), [comment('c1', 'p1')], source);
+  }
+  const { csv } = await exporters.close();
+  assert.equal((await lines(csv[0])).length, 3);
+  assert.equal((await lines(csv[1])).length, 2);
+});
+
+test('checkpoints only the formats that have something to save', async () => {
+  const exporters = await openExporters(['csv', 'json', 'ndjson'], context());
+  await exporters.writeThread(thread('p1'), SOURCE);
+  await exporters.writeComments(thread('p1'), [], SOURCE);
+  assert.deepEqual(await exporters.checkpoint(), ['json']);
+  assert.deepEqual(await fs.readdir(dir).then(files => files.filter(f => f.endsWith('-autosave.json'))), ['run-g-autosave.json']);
+  await exporters.close();
+});
+
+test('loads third-party exporters relative to the config directory', async () => {
+  await fs.writeFile(path.join(dir, 'count.mjs'), `export function createExporter({ format, text }) {
+  let threads = 0;
+  return { writeThread: () => { threads++; }, close: () => [format + ':' + text + ':' + threads] };
+}
+`);
+  await loadExporters({ count: './count.mjs' }, dir);
+  assert.ok(hasExporter('count'));
+  const exporters = await openExporters(['count'], context({ exportText: { count: 'raw' } }));
+  await exporters.writeThread(thread('p1'), SOURCE);
+  assert.deepEqual(await exporters.close(), { count: ['count:raw:1'] });
+
+  await assert.rejects(loadExporters({ missing: './missing.mjs' }, dir), /Failed to load exporter 'missing'/);
+  await assert.rejects(openExporters(['nope'], context()), /Unknown export format 'nope'/);
+  assert.throws(() => registerExporter('Bad Name', () => ({})), /Invalid exporter name/);
+});
@@ -0,0 +1,102 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchAllComments, toCommentRow } from '../../src/lib/fetchAllComments.js';
+import { COMMENT_CSV_HEADER } from '../../src/lib/export.js';
+import { createMockRedditServer, startMockServer, mockFetchOptions } from '../mockRedditServer.js';
+
+// Thread p1 of test/fixtures/reddit/comments.json: c1 > c2 > (continue) c6 > c7,
+// c3, then a `more` stub for c4 > c5
+let mock;
+let fetchOptions;
+
+before(async () => {
+  mock = createMockRedditServer({ rateLimit: false });
+  await mock.listen();
+  fetchOptions = { apiBaseUrl: mock.url, minDelay: 0, highDelay: 0 };
+});
+
+after(() => mock.close());
+
+afterEach(() => {
+  mock.requests.length = 0;
+});
+
+function shape(rows) {
+  return rows.map(r => [r.id, r.parent_id, r.depth, r.position]);
+}
+
+test('walks nested replies with their parent, depth and position', async () => {
+  const rows = await fetchAllComments('mocksub', 'group', 'p1', 'mock-access-token', fetchOptions, { expandMore: false });
+  assert.deepEqual(shape(rows), [
+    ['c1', 't3_p1', 0, 0],
+    ['c2', 't1_c1', 1, 0],
+    ['c3', 't3_p1', 0, 1]
+  ]);
+  assert.ok(rows.every(r => r.link_id === 't3_p1' && r.subreddit === 'mocksub' && r.meta === 'group'));
+  assert.equal(mock.requests.length, 1);
+});
+
+test('expands more children and continue this thread stubs', async () => {
+  const rows = await fetchAllComments('mocksub', 'group', 'p1', 'mock-access-token', fetchOptions);
+  assert.deepEqual(shape(rows), [
+    ['c1', 't3_p1', 0, 0],
+    ['c2', 't1_c1', 1, 0],
+    ['c3', 't3_p1', 0, 1],
+    ['c4', 't3_p1', 0, 2],
+    ['c5', 't1_c4', 1, 0],
+    ['c6', 't1_c2', 2, 0],
+    ['c7', 't1_c6', 3, 0]
+  ]);
+  assert.deepEqual(mock.requests.map(r => r.path), ['/r/mocksub/comments/p1', '/api/morechildren', '/r/mocksub/comments/p1/_/c2']);
+  assert.equal(mock.requests[1].query.children, 'c4,c5');
+});
+
+test('stops expanding at maxMoreRequests', async () => {
+  const rows = await fetchAllComments('mocksub', 'group', 'p1', 'mock-access-token', fetchOptions, { maxMoreRequests: 1 });
+  assert.deepEqual(rows.map(r => r.id), ['c1', 'c2', 'c3', 'c4', 'c5']);
+  assert.equal(mock.requests.length, 2);
+});
+
+test('resolves more children 100 ids at a time', async () => {
+  const ids = Array.from({ length: 150 }, (_, i) => `m${i}`);
+  const server = await startMockServer(request => {
+    if (request.path === '/api/morechildren') {
+      const things = request.query.children.split(',').map(id => ({ kind: 't1', data: { id, parent_id: 't3_big', body: 'reply', author: 'someone' } }));
+      return { body: { json: { data: { things } } } };
+    }
+    return { body: [{}, { data: { children: [{ kind: 'more', data: { id: 'm0', parent_id: 't3_big', children: ids } }] } }] };
+  });
+  try {
+    const rows = await fetchAllComments('stubsub', 'group', 'big', 'token', mockFetchOptions(server));
+    assert.equal(rows.length, 150);
+    assert.deepEqual(server.requests.slice(1).map(r => r.query.children.split(',').length), [100, 50]);
+    assert.deepEqual(rows.slice(0, 2).map(r => r.position), [0, 1]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('rejects when the thread cannot be fetched', async () => {
+  await assert.rejects(
+    fetchAllComments('mocksub', 'group', 'unknown', 'mock-access-token', fetchOptions),
+    /Error in fetchAllComments for thread unknown: Failed to fetch comments for thread: unknown/
+  );
+});
+
+test('rejects instead of returning a partial thread when an expansion fails', async () => {
+  mock.inject({ match: '/api/morechildren', status: 500 });
+  await assert.rejects(
+    fetchAllComments('mocksub', 'group', 'p1', 'mock-access-token', fetchOptions),
+    /Failed to expand more comments for thread: p1/
+  );
+});
+
+test('builds rows with every CSV column', () => {
+  const row = toCommentRow({ id: 'x1', parent_id: 't3_p1', link_id: 't3_p1', body: 'A comment long enough to be detected as English text.', author: 'someone', ups: 3 }, 'group');
+  for (const column of COMMENT_CSV_HEADER) {
+    assert.ok(column.id in row, `missing ${column.id}`);
+  }
+  assert.equal(row.raw_text, 'A comment long enough to be detected as English text.');
+  assert.equal(row.lang, 'en');
+  assert.equal(row.edited, false);
+});
@@ -0,0 +1,108 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchAllThreads, toThreadRow } from '../../src/lib/fetchAllThreads.js';
+import { THREAD_CSV_HEADER } from '../../src/lib/export.js';
+import { startMockServer, mockFetchOptions, thingListing, makePosts } from '../mockRedditServer.js';
+
+let server;
+afterEach(() => server.close());
+
+// Serve `posts` like a Reddit listing: `limit` items after the `after` cursor
+function pagedListing(posts, { pageSize } = {}) {
+  return request => {
+    const start = request.query.after ? posts.findIndex(p => p.name === request.query.after) + 1 : 0;
+    const page = posts.slice(start, start + Math.min(Number(request.query.limit), pageSize ?? Infinity));
+    return { body: thingListing(page, 't3', page.length ? page[page.length - 1].name : null) };
+  };
+}
+
+test('pages through the listing with the after cursor, 100 at a time', async () => {
+  const posts = makePosts(250);
+  server = await startMockServer(pagedListing(posts));
+  const rows = await fetchAllThreads('stubsub', 'group', 250, 'token', mockFetchOptions(server));
+  assert.deepEqual(rows.map(r => r.id), posts.map(p => p.id));
+  assert.deepEqual(server.requests.map(r => [r.query.limit, r.query.after]), [['100', undefined], ['100', 't3_p100'], ['50', 't3_p200']]);
+  assert.ok(server.requests.every(r => r.path === '/r/stubsub/new' && r.query.raw_json === '1'));
+});
+
+test('never asks for more than the remaining count', async () => {
+  server = await startMockServer(pagedListing(makePosts(300)));
+  const rows = await fetchAllThreads('stubsub', 'group', 130, 'token', mockFetchOptions(server));
+  assert.equal(rows.length, 130);
+  assert.deepEqual(server.requests.map(r => r.query.limit), ['100', '30']);
+});
+
+test('stops at a short page', async () => {
+  server = await startMockServer(pagedListing(makePosts(300), { pageSize: 40 }));
+  const rows = await fetchAllThreads('stubsub', 'group', 200, 'token', mockFetchOptions(server));
+  assert.equal(rows.length, 40);
+  assert.equal(server.requests.length, 1);
+});
+
+test('stops at an empty page', async () => {
+  server = await startMockServer(pagedListing(makePosts(100)));
+  const rows = await fetchAllThreads('stubsub', 'group', 500, 'token', mockFetchOptions(server));
+  assert.equal(rows.length, 100);
+  assert.deepEqual(server.requests.map(r => r.query.after), [undefined, 't3_p100']);
+});
+
+test('resumes from a saved cursor and reports every page', async () => {
+  server = await startMockServer(pagedListing(makePosts(250)));
+  const pages = [];
+  const rows = await fetchAllThreads('stubsub', 'group', 120, 'token', mockFetchOptions(server), {
+    after: 't3_p50',
+    onPage: (page, after) => pages.push([page.length, after])
+  });
+  assert.equal(rows[0].id, 'p51');
+  assert.deepEqual(pages, [[100, 't3_p150'], [20, 't3_p170']]);
+});
+
+test('stops the new listing at the last seen thread', async () => {
+  const posts = makePosts(250);
+  server = await startMockServer(pagedListing(posts));
+  const rows = await fetchAllThreads('stubsub', 'group', 250, 'token', mockFetchOptions(server), {
+    since: { fullname: 't3_p120', created_utc: posts[119].created_utc }
+  });
+  assert.equal(rows.length, 119);
+  assert.equal(server.requests.length, 2);
+});
+
+test('ignores since on sorts that are not chronological', async () => {
+  const posts = makePosts(50);
+  server = await startMockServer(pagedListing(posts));
+  const rows = await fetchAllThreads('stubsub', 'group', 50, 'token', mockFetchOptions(server), {
+    sort: 'top',
+    t: 'week',
+    since: { fullname: 't3_p10', created_utc: posts[9].created_utc }
+  });
+  assert.equal(rows.length, 50);
+  assert.equal(server.requests[0].path, '/r/stubsub/top');
+  assert.equal(server.requests[0].query.t, 'week');
+  assert.ok(rows.every(r => r.listing === 'top:week'));
+});
+
+test('returns the threads fetched before a failing page', async () => {
+  const pages = pagedListing(makePosts(300));
+  server = await startMockServer((request, n) => (n === 2 ? { status: 500 } : pages(request)));
+  const errors = [];
+  const rows = await fetchAllThreads('stubsub', 'group', 300, 'token', mockFetchOptions(server), { onError: err => errors.push(err.message) });
+  assert.equal(rows.length, 100);
+  assert.deepEqual(errors, ['Failed to fetch listing for r/stubsub']);
+});
+
+test('fails when the first page cannot be fetched', async () => {
+  server = await startMockServer(() => ({ status: 403 }));
+  await assert.rejects(fetchAllThreads('stubsub', 'group', 10, 'token', mockFetchOptions(server)), /Failed to fetch listing for r\/stubsub/);
+});
+
+test('builds rows with every CSV column', () => {
+  const [post] = makePosts(1);
+  const row = toThreadRow({ ...post, selftext: 'Some longer text written in plain English for the detector.' }, 'group', { listing: 'new' });
+  for (const column of THREAD_CSV_HEADER) {
+    assert.ok(column.id in row, `missing ${column.id}`);
+  }
+  assert.equal(row.raw_title, post.title);
+  assert.equal(row.title, post.title.toLowerCase());
+  assert.equal(row.lang, 'en');
+  assert.equal(row.meta, 'group');
+});
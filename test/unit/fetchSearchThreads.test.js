@@ -0,0 +1,59 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchSearchThreads } from '../../src/lib/fetchSearchThreads.js';
+import { startMockServer, mockFetchOptions, thingListing, makePosts } from '../mockRedditServer.js';
+
+let server;
+afterEach(() => server.close());
+
+// Serve `posts` as search results: `limit` items after the `after` cursor
+function pagedSearch(posts) {
+  return request => {
+    const start = request.query.after ? posts.findIndex(p => p.name === request.query.after) + 1 : 0;
+    const page = posts.slice(start, start + Number(request.query.limit));
+    return { body: thingListing(page, 't3', page.length ? page[page.length - 1].name : null) };
+  };
+}
+
+test('searches one subreddit with the query, sort and time window', async () => {
+  server = await startMockServer(pagedSearch(makePosts(10)));
+  const rows = await fetchSearchThreads('vibe coding', 'group', 10, 'token', mockFetchOptions(server), { subreddit: 'SaaS', sort: 'top', t: 'month' });
+  assert.equal(rows.length, 10);
+  assert.equal(server.requests[0].path, '/r/SaaS/search');
+  assert.deepEqual(server.requests[0].query, {
+    q: 'vibe coding', sort: 'top', raw_json: '1', type: 'link', t: 'month', restrict_sr: '1', limit: '10'
+  });
+});
+
+test('searches site-wide without restrict_sr, and outside the subreddit when asked', async () => {
+  server = await startMockServer(pagedSearch(makePosts(5)));
+  await fetchSearchThreads('ai', 'group', 5, 'token', mockFetchOptions(server));
+  await fetchSearchThreads('ai', 'group', 5, 'token', mockFetchOptions(server), { subreddit: 'SaaS', restrictSr: false });
+  assert.deepEqual(server.requests.map(r => [r.path, r.query.sort, r.query.t, r.query.restrict_sr]), [
+    ['/search', 'relevance', undefined, undefined],
+    ['/r/SaaS/search', 'relevance', undefined, '0']
+  ]);
+});
+
+test('pages through the results with the after cursor', async () => {
+  const posts = makePosts(230);
+  server = await startMockServer(pagedSearch(posts));
+  const rows = await fetchSearchThreads('ai', 'group', 230, 'token', mockFetchOptions(server), { after: 't3_p10' });
+  assert.deepEqual(rows.map(r => r.id), posts.slice(10).map(p => p.id));
+  assert.deepEqual(server.requests.map(r => [r.query.limit, r.query.after]), [['100', 't3_p10'], ['100', 't3_p110'], ['30', 't3_p210']]);
+  assert.ok(server.requests.every(r => r.query.q === 'ai'));
+});
+
+test('tags every row with its query and search listing', async () => {
+  server = await startMockServer(pagedSearch(makePosts(3)));
+  const rows = await fetchSearchThreads('vibe coding', 'group', 3, 'token', mockFetchOptions(server), { sort: 'top', t: 'week' });
+  assert.deepEqual(rows.map(r => [r.query, r.listing, r.meta, r.subreddit]), Array(3).fill(['vibe coding', 'search:top:week', 'group', 'stubsub']));
+});
+
+test('stops at the mark only when sorted by new', async () => {
+  const posts = makePosts(50);
+  const since = { fullname: 't3_p20', created_utc: posts[19].created_utc };
+  server = await startMockServer(pagedSearch(posts));
+  assert.equal((await fetchSearchThreads('ai', 'group', 50, 'token', mockFetchOptions(server), { sort: 'new', since })).length, 19);
+  assert.equal((await fetchSearchThreads('ai', 'group', 50, 'token', mockFetchOptions(server), { since })).length, 50);
+});
@@ -0,0 +1,89 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchUserHistory } from '../../src/lib/fetchUserHistory.js';
+import { buildCommentTree } from '../../src/lib/commentTree.js';
+import { createMockRedditServer, mockFetchOptions, thingListing } from '../mockRedditServer.js';
+
+// Fixtures: carol submitted p3 and wrote c3 (reply to p1), c7 (reply to the
+// comment c6 of p1) and c8 (reply to p2); alice submitted p1 and p4.
+let mock;
+let infoAnswer;
+
+before(async () => {
+  mock = createMockRedditServer({
+    rateLimit: false,
+    // /api/info scripté par test ; sans infoAnswer, les fixtures répondent
+    handler: request => (request.path === '/api/info' && infoAnswer ? infoAnswer(request) : undefined)
+  });
+  await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  mock.requests.length = 0;
+  infoAnswer = null;
+});
+
+const history = (username, options = {}) => fetchUserHistory(username, 'people', 10, 'mock-access-token', mockFetchOptions(mock), options);
+
+test('keeps the parent of each comment, whether a comment or the thread', async () => {
+  const { threads, comments } = await history('carol');
+  assert.deepEqual(comments.map(c => [c.id, c.parent_id, c.link_id, c.listing]), [
+    ['c7', 't1_c6', 't3_p1', 'user:comments'],
+    ['c3', 't3_p1', 't3_p1', 'user:comments'],
+    ['c8', 't3_p2', 't3_p2', 'user:comments']
+  ]);
+  // Le commentaire parent c6 n'est pas récupéré : c7 reste à la racine du thread
+  const p1 = threads.find(t => t.id === 'p1');
+  const tree = buildCommentTree(p1, comments.filter(c => c.link_id === 't3_p1'));
+  assert.deepEqual(tree.comments.map(c => [c.id, c.parent_id]), [['c7', 'p1'], ['c3', 'p1']]);
+});
+
+test('rebuilds the threads the user did not submit from the link fields', async () => {
+  const { threads } = await history('carol');
+  assert.deepEqual(threads.map(t => [t.id, t.listing, t.raw_title, t.author, t.subreddit]), [
+    ['p3', 'user:submitted', 'Third thread without any comment', 'carol', 'mocksub'],
+    ['p1', 'user:comments', 'Hello from the mock subreddit', 'alice', 'mocksub'],
+    ['p2', 'user:comments', 'A second thread about testing', 'bob', 'mocksub']
+  ]);
+  assert.equal(threads[1].url, 'https://www.reddit.com/r/mocksub/comments/p1/');
+  // Sans contexte, le texte du post reste inconnu
+  assert.equal(threads[1].raw_text, '');
+  assert.deepEqual(mock.requests.map(r => r.path), ['/user/carol/submitted', '/user/carol/comments']);
+});
+
+test('adds no thread for comments on the user\'s own submissions', async () => {
+  const { threads, comments } = await history('alice');
+  assert.ok(comments.some(c => c.link_id === 't3_p1'));
+  assert.equal(threads.filter(t => t.id === 'p1').length, 1);
+  assert.equal(threads.find(t => t.id === 'p1').listing, 'user:submitted');
+});
+
+test('fetches the parent threads in full with parentContext', async () => {
+  const { threads } = await history('carol', { parentContext: true });
+  assert.deepEqual(mock.requests.filter(r => r.path === '/api/info').map(r => r.query.id), ['t3_p1,t3_p2']);
+  const p1 = threads.find(t => t.id === 'p1');
+  assert.equal(p1.listing, 'user:comments');
+  assert.equal(p1.raw_text, 'This is the first thread of the offline fixture, with a full comment tree to expand.');
+  assert.equal(p1.ups, 42);
+});
+
+test('rebuilds a parent thread that /api/info does not return', async () => {
+  infoAnswer = () => ({ body: thingListing([{ id: 'p1', name: 't3_p1', subreddit: 'mocksub', title: 'Hello from the mock subreddit', selftext: 'Full text', author: 'alice', created_utc: 1759999900, ups: 12, downs: 0 }]) });
+  const { threads } = await history('carol', { parentContext: true });
+  assert.deepEqual(threads.map(t => [t.id, t.raw_text]), [
+    ['p3', 'The scraper should still export it with an empty comment list.'],
+    ['p1', 'Full text'],
+    ['p2', '']
+  ]);
+  assert.equal(threads[2].raw_title, 'A second thread about testing');
+});
+
+test('falls back to the link fields when /api/info fails', async () => {
+  infoAnswer = () => ({ status: 500 });
+  const warnings = [];
+  const { threads } = await fetchUserHistory('carol', 'people', 10, 'mock-access-token', mockFetchOptions(mock, { onWarning: message => warnings.push(message) }), { parentContext: true });
+  assert.deepEqual(threads.map(t => [t.id, t.raw_text === '']), [['p3', false], ['p1', true], ['p2', true]]);
+  assert.deepEqual(warnings, ['Error in fetchUserHistory for u/carol: Failed to fetch parent threads (t3_p1,t3_p2)']);
+});
@@ -0,0 +1,98 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchWithRateLimit, computeThrottle } from '../../src/lib/fetchWithRateLimit.js';
+import { startMockServer } from '../mockRedditServer.js';
+
+describe('computeThrottle', () => {
+  const delays = { minDelay: 1000, highDelay: 3000 };
+
+  test('waits minDelay without rate limit headers', () => {
+    assert.deepEqual(computeThrottle(NaN, NaN, delays), { throttle: 1000, info: null });
+  });
+
+  test('spreads the remaining quota over the reset window', () => {
+    assert.equal(computeThrottle(100, 600, delays).throttle, 6000);
+    assert.equal(computeThrottle(599, 600, delays).throttle, 1002);
+  });
+
+  test('never goes below minDelay', () => {
+    assert.equal(computeThrottle(600, 60, delays).throttle, 1000);
+  });
+
+  test('slows down to highDelay under 10 requests, and 10s under 3', () => {
+    assert.equal(computeThrottle(9, 10, delays).throttle, 3000);
+    assert.equal(computeThrottle(5, 100, delays).throttle, 20000);
+    assert.equal(computeThrottle(2, 1, delays).throttle, 10000);
+  });
+
+  test('falls back to highDelay when the quota is spent or the reset is missing', () => {
+    assert.equal(computeThrottle(0, 120, delays).throttle, 3000);
+    assert.equal(computeThrottle(5, NaN, delays).throttle, 3000);
+    assert.equal(computeThrottle(50, NaN, delays).throttle, 1000);
+  });
+
+  test('reports the quota only when fewer than 20 requests are left', () => {
+    assert.equal(computeThrottle(20, 600, delays).info, null);
+    assert.equal(computeThrottle(19, 600, delays).info, '[ratelimit] Remaining: 19, Reset in: 600s, Throttle: 31579ms');
+  });
+});
+
+describe('fetchWithRateLimit', () => {
+  let server;
+  afterEach(() => server.close());
+
+  test('retries a 429 with an exponential backoff', async () => {
+    const times = [];
+    server = await startMockServer((request, n) => {
+      times.push(Date.now());
+      return n <= 2 ? { status: 429 } : { body: { ok: true } };
+    });
+    const response = await fetchWithRateLimit(`${server.url}/r/stubsub/new`, { headers: {} }, { baseDelay: 300, minDelay: 0 });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { ok: true });
+    assert.equal(server.requests.length, 3);
+    const [first, second] = [times[1] - times[0], times[2] - times[1]];
+    assert.ok(first >= 300, `first backoff ${first}ms`);
+    assert.ok(second > first, `second backoff ${second}ms after ${first}ms`);
+  });
+
+  test('gives up after maxRetries 429s', async () => {
+    server = await startMockServer(() => ({ status: 429 }));
+    await assert.rejects(
+      fetchWithRateLimit(`${server.url}/r/stubsub/new`, { headers: {} }, { maxRetries: 2, baseDelay: 10, minDelay: 0 }),
+      /HTTP 429/
+    );
+    assert.equal(server.requests.length, 3);
+  });
+
+  test('returns other errors without retrying', async () => {
+    server = await startMockServer(() => ({ status: 500 }));
+    const response = await fetchWithRateLimit(`${server.url}/r/stubsub/new`, { headers: {} }, { baseDelay: 10, minDelay: 0 });
+    assert.equal(response.status, 500);
+    assert.equal(server.requests.length, 1);
+  });
+
+  test('renews the token once after a 401', async () => {
+    const tokens = ['stale', 'fresh'];
+    const invalidated = [];
+    const tokenProvider = { getToken: async () => tokens[0], invalidate: token => { invalidated.push(token); tokens.shift(); } };
+    server = await startMockServer(request => (request.authorization === 'Bearer fresh' ? { body: {} } : { status: 401 }));
+    const response = await fetchWithRateLimit(`${server.url}/r/stubsub/new`, { headers: {} }, { minDelay: 0, tokenProvider });
+    assert.equal(response.status, 200);
+    assert.deepEqual(invalidated, ['stale']);
+    assert.deepEqual(server.requests.map(r => r.authorization), ['Bearer stale', 'Bearer fresh']);
+  });
+
+  test('returns the second 401 instead of looping', async () => {
+    server = await startMockServer(() => ({ status: 401 }));
+    const response = await fetchWithRateLimit(`${server.url}/r/stubsub/new`, { headers: {} }, { minDelay: 0, tokenProvider: 'token' });
+    assert.equal(response.status, 401);
+    assert.equal(server.requests.length, 2);
+  });
+
+  test('exposes the rate limit status of low quotas on the response', async () => {
+    server = await startMockServer(() => ({ headers: { 'x-ratelimit-remaining': '15.0', 'x-ratelimit-reset': '0' } }));
+    const response = await fetchWithRateLimit(`${server.url}/r/stubsub/new`, { headers: {} }, { minDelay: 0, highDelay: 0 });
+    assert.equal(response._ratelimitInfo, '[ratelimit] Remaining: 15, Reset in: 0s, Throttle: 0ms');
+  });
+});
@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { renderGroupHtml, exportGroupToHtml } from '../../src/lib/htmlExport.js';
+import { openExporters } from '../../src/lib/exporters.js';
+import { buildThreadObject } from '../../src/lib/commentTree.js';
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-html-'));
+});
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const thread = { id: 'p1', subreddit: 'stubsub', title: 'a title', raw_title: 'A <Title>', text: 'body', raw_text: 'Body & "more"', time: 1760000000, author: 'someone', ups: 5 };
+const comments = [
+  { id: 'c1', parent_id: 't3_p1', depth: 0, position: 0, author: 'other', text: 'hi', raw_text: 'Hi </script><script>alert(1)</script>', time: 1760000100, ups: 2 },
+  { id: 'c2', parent_id: 't1_c1', depth: 1, position: 0, author: 'third', text: 'reply', raw_text: 'A reply', time: 1760000200, ups: 1 },
+  { id: 'c3', parent_id: 't3_p1', depth: 0, position: 1, author: 'other', text: 'later', raw_text: 'Later', time: 1760000300, ups: 0 }
+];
+
+function group() {
+  return {
+    stubsub: { subreddit: 'stubsub', posts: [buildThreadObject(thread, comments, 'raw')] },
+    'search:title:all': { subreddit: 'all', query: 'title', posts: [buildThreadObject(thread, [], 'raw')] }
+  };
+}
+
+test('nests the reply tree in collapsible elements and escapes every text', () => {
+  const html = renderGroupHtml('g', group());
+  assert.equal((html.match(/<details class="comment"/g) || []).length, 3);
+  assert.match(html, /<details class="comment" open data-author="other">.*<details class="comment" open data-author="third">.*A reply<\/div><\/details><\/details>/s);
+  assert.match(html, /<h3>A &lt;Title&gt;<\/h3>/);
+  assert.match(html, /Body &amp; &quot;more&quot;/);
+  assert.ok(!html.includes('<script>alert(1)'));
+  assert.equal((html.match(/<script>/g) || []).length, 1);
+});
+
+test('indexes every source and post with a distinct anchor', () => {
+  const html = renderGroupHtml('g', group());
+  assert.match(html, /<nav class="index"><strong>🧵 Subreddit : r\/stubsub<\/strong><ul><li><a href="#post-0-p1">/);
+  assert.match(html, /<a href="#post-1-p1">/);
+  assert.match(html, /🔎 Recherche : « title » \(r\/all\)/);
+  assert.match(html, /<article class="post" id="post-0-p1" data-order="0" data-score="5" data-date="1760000000" data-comments="3" data-author="someone">/);
+  assert.match(html, /<option value="third">/);
+  assert.match(html, /<span id="shown">2<\/span> \/ 2 posts/);
+});
+
+test('loads no external asset', () => {
+  const html = renderGroupHtml('g', group());
+  assert.doesNotMatch(html, /<(script|link|img|iframe)[^>]+(src|href)=/);
+  const links = [...html.matchAll(/href="([^"#][^"]*)"/g)].map(m => m[1]);
+  assert.ok(links.every(link => link.startsWith('https://www.reddit.com/r/stubsub/comments/p1/')), links.join(', '));
+});
+
+test('writes one page per group through the html exporter, and nothing without posts', async () => {
+  assert.deepEqual(await exportGroupToHtml('g', { stubsub: { subreddit: 'stubsub', posts: [] } }, path.join(dir, 'empty.html')), []);
+  const exporters = await openExporters(['html'], { meta: 'g', fileBase: 'run-g', contentDir: dir, autosaveDir: dir, options: {} });
+  await exporters.writeThread(thread, { key: 'stubsub', subreddit: 'stubsub' });
+  await exporters.writeComments(thread, comments, { key: 'stubsub', subreddit: 'stubsub' });
+  assert.deepEqual(await exporters.checkpoint(), ['html']);
+  const { html } = await exporters.close();
+  assert.deepEqual(html, [path.join(dir, 'run-g.html')]);
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['run-g-autosave.html', 'run-g.html']);
+  // Texte d'origine par défaut, comme le Markdown
+  assert.match(await fs.readFile(html[0], 'utf-8'), /Body &amp; &quot;more&quot;/);
+});
@@ -0,0 +1,108 @@
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadIncrementalState, saveIncrementalState, markLocation, getMark, setMark, newestMark } from '../../src/lib/incrementalState.js';
+import { createScraper } from '../../src/index.js';
+import { createMockRedditServer } from '../mockRedditServer.js';
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-incremental-'));
+});
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const subreddit = name => ({ kind: 'subreddit', subreddit: name, sort: 'new' });
+
+describe('last_run.json', () => {
+  test('starts empty, and reads a legacy lastRun as the fallback mark', async () => {
+    const statePath = path.join(dir, 'last_run.json');
+    assert.deepEqual(await loadIncrementalState(statePath), { lastRun: 0, subreddits: {}, searches: {}, users: {} });
+    await fs.writeFile(statePath, JSON.stringify({ lastRun: 1759990000 }));
+    const state = await loadIncrementalState(statePath);
+    assert.deepEqual(getMark(state, subreddit('mocksub')), { fullname: null, created_utc: 1759990000 });
+  });
+
+  test('saves one mark per source and drops an unset lastRun', async () => {
+    const statePath = path.join(dir, 'last_run.json');
+    const state = await loadIncrementalState(statePath);
+    setMark(state, subreddit('MockSub'), { fullname: 't3_p1', created_utc: 1759999900 });
+    await saveIncrementalState(statePath, state);
+    const saved = JSON.parse(await fs.readFile(statePath, 'utf-8'));
+    assert.deepEqual(Object.keys(saved), ['subreddits', 'searches', 'users']);
+    assert.equal(saved.subreddits['mocksub|new'].fullname, 't3_p1');
+    assert.ok(saved.subreddits['mocksub|new'].updatedAt > 0);
+    assert.deepEqual(await fs.readdir(dir), ['last_run.json']);
+  });
+});
+
+describe('marks', () => {
+  test('are tracked per subreddit and sort, per search and per user', () => {
+    assert.deepEqual(markLocation({ kind: 'listing', subreddit: 'SaaS', sort: 'new' }), ['subreddits', 'saas|new']);
+    assert.deepEqual(markLocation({ kind: 'listing', subreddit: 'SaaS', sort: 'top', t: 'week' }), ['subreddits', 'saas|top|week']);
+    assert.deepEqual(markLocation({ kind: 'search', query: 'vibe coding', subreddit: 'SaaS' }), ['searches', 'vibe coding|saas']);
+    assert.deepEqual(markLocation({ kind: 'search', query: 'vibe coding' }), ['searches', 'vibe coding|all']);
+    assert.deepEqual(markLocation({ kind: 'user', username: 'Spez' }), ['users', 'spez']);
+  });
+
+  test('prefer the mark of the source over the legacy ones', () => {
+    const state = { lastRun: 1, subreddits: { 'mocksub|new': { fullname: 't3_p1', created_utc: 5 } }, searches: {}, users: {} };
+    assert.equal(getMark(state, subreddit('mocksub')).fullname, 't3_p1');
+    assert.equal(getMark(state, { ...subreddit('mocksub'), sort: 'top' }).created_utc, 1);
+    // Repère d'avant les sortes : repris tant que la sorte n'a pas le sien
+    state.subreddits.mocksub = { fullname: 't3_p2', created_utc: 4 };
+    assert.equal(getMark(state, { ...subreddit('mocksub'), sort: 'top' }).fullname, 't3_p2');
+    assert.equal(getMark(state, subreddit('mocksub')).fullname, 't3_p1');
+    assert.equal(getMark(state, subreddit('othersub')).created_utc, 1);
+    assert.equal(getMark({ ...state, lastRun: 0 }, subreddit('othersub')), null);
+  });
+
+  test('move to the newest thread or comment row, never backwards', () => {
+    const rows = [
+      { id: 'p1', time: 100 },
+      { id: 'c1', link_id: 't3_p1', time: 300 },
+      { id: 'p2', time: '' }
+    ];
+    assert.deepEqual(newestMark(rows), { fullname: 't1_c1', created_utc: 300 });
+    assert.deepEqual(newestMark(rows, { fullname: 't3_p9', created_utc: 500, updatedAt: 9 }), { fullname: 't3_p9', created_utc: 500 });
+    assert.equal(newestMark([]), null);
+  });
+});
+
+describe('incremental scrapes', () => {
+  let mock;
+
+  before(async () => {
+    mock = createMockRedditServer({ rateLimit: false });
+    await mock.listen();
+  });
+
+  after(() => mock.close());
+
+  async function scrape(since) {
+    const scraper = createScraper({ throttle: { minDelayMs: 0, highDelayMs: 0 }, apiBaseUrl: mock.url, tokenProvider: 'mock-access-token' });
+    const events = [];
+    for await (const event of scraper.scrapeGroup('g', { subreddits: { mocksub: 10 } }, { since })) events.push(event);
+    return events;
+  }
+
+  test('only fetch what is newer than the mark of the previous run', async () => {
+    const state = { lastRun: 0, subreddits: {}, searches: {}, users: {} };
+    const first = await scrape(null);
+    const { job, listedRows } = first.at(-1);
+    setMark(state, job, newestMark(listedRows, getMark(state, job)));
+    assert.equal(state.subreddits['mocksub|new'].fullname, 't3_p1');
+
+    mock.requests.length = 0;
+    const second = await scrape(sourceJob => getMark(state, sourceJob));
+    assert.deepEqual(second.filter(e => e.type === 'thread'), []);
+    assert.deepEqual(mock.requests.map(r => r.path), ['/r/mocksub/new']);
+    // Rien de nouveau : le repère reste en place
+    assert.deepEqual(newestMark(second.at(-1).listedRows, getMark(state, job)), { fullname: 't3_p1', created_utc: 1759999900 });
+
+    setMark(state, job, { fullname: 't3_p3', created_utc: 1759996000 });
+    const third = await scrape(sourceJob => getMark(state, sourceJob));
+    assert.deepEqual(third.filter(e => e.type === 'thread').map(e => [e.thread.id, e.comments.length]), [['p1', 7], ['p2', 2]]);
+  });
+});
@@ -0,0 +1,91 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLanguageDetector, detectLanguage, acceptsLanguage, dateLocaleFor, UNDETERMINED } from '../../src/lib/language.js';
+import { createScraper } from '../../src/index.js';
+import { createMockRedditServer, loadFixtures } from '../mockRedditServer.js';
+
+const FRENCH = 'Le mock sert aussi à vérifier la détection de langue sur un texte français.';
+const ENGLISH = 'Paging through the listing with the after cursor should reach this one.';
+
+describe('createLanguageDetector', () => {
+  test('detects the supported languages from their text', () => {
+    assert.equal(detectLanguage.detect(FRENCH), 'fr');
+    assert.equal(detectLanguage.detect(ENGLISH), 'en');
+    assert.equal(detectLanguage.detect('Mañana vamos a la montaña con mis amigos para ver el paisaje.'), 'es');
+    assert.equal(detectLanguage.fallback, 'en');
+  });
+
+  test('leaves short, empty or undecided text undetermined', () => {
+    assert.equal(detectLanguage.detect('Merci !'), UNDETERMINED);
+    assert.equal(detectLanguage.detect(''), UNDETERMINED);
+    assert.equal(createLanguageDetector({ minLength: 200 }).detect(FRENCH), UNDETERMINED);
+    assert.equal(createLanguageDetector({ detect: false }).detect(FRENCH), UNDETERMINED);
+  });
+
+  test('only picks among the candidates', () => {
+    const detector = createLanguageDetector({ candidates: ['en', 'nl'], fallback: 'fr' });
+    assert.notEqual(detector.detect(FRENCH), 'fr');
+    assert.equal(detector.detect(ENGLISH), 'en');
+    assert.equal(detector.fallback, 'fr');
+  });
+});
+
+describe('acceptsLanguage', () => {
+  test('applies include then exclude, and always keeps undetermined rows', () => {
+    assert.equal(acceptsLanguage('fr', { include: ['fr', 'en'] }), true);
+    assert.equal(acceptsLanguage('es', { include: ['fr', 'en'] }), false);
+    assert.equal(acceptsLanguage('fr', { include: ['fr'], exclude: ['fr'] }), false);
+    assert.equal(acceptsLanguage('en', { exclude: ['fr'] }), true);
+    assert.equal(acceptsLanguage(UNDETERMINED, { include: ['fr'] }), true);
+    assert.equal(acceptsLanguage('', { include: ['fr'] }), true);
+    assert.equal(acceptsLanguage('nl'), true);
+  });
+});
+
+test('dateLocaleFor follows the content language only in auto mode', () => {
+  assert.equal(dateLocaleFor('en'), 'fr-FR');
+  assert.equal(dateLocaleFor('en', 'auto'), 'en-US');
+  assert.equal(dateLocaleFor(UNDETERMINED, 'auto'), 'fr-FR');
+  assert.equal(dateLocaleFor('es', 'de-DE'), 'de-DE');
+});
+
+describe('language filters of the scraper', () => {
+  let mock;
+
+  before(async () => {
+    // c9, réponse de p2, passe en français
+    const fixtures = loadFixtures();
+    fixtures.comments.p2.tree[0].data.replies.data.children[0].data.body = 'Quelle idée, les tests sont la meilleure partie du travail.';
+    mock = createMockRedditServer({ fixtures, rateLimit: false });
+    await mock.listen();
+  });
+
+  after(() => mock.close());
+
+  function scraperFor(language) {
+    return createScraper({ throttle: { minDelayMs: 0, highDelayMs: 0 }, apiBaseUrl: mock.url, tokenProvider: 'mock-access-token', language });
+  }
+
+  async function scrape(scraper, subreddit, options) {
+    const threads = [];
+    for await (const event of scraper.scrapeSubreddit(subreddit, { meta: 'g', ...options })) {
+      if (event.type === 'thread') threads.push([event.thread.id, event.thread.lang, event.comments.map(c => `${c.id}:${c.lang}`)]);
+    }
+    return threads;
+  }
+
+  test('keeps the threads in the languages of the job, or of options.language', async () => {
+    assert.deepEqual(await scrape(scraperFor(), 'othersub', { languages: ['fr'] }), [['q2', 'fr', []]]);
+    assert.deepEqual((await scrape(scraperFor({ exclude: ['fr'] }), 'othersub')).map(([id]) => id), ['q1']);
+    // Les langues du job priment sur options.language.include
+    assert.deepEqual((await scrape(scraperFor({ include: ['en'] }), 'othersub', { languages: ['fr'] })).map(([id]) => id), ['q2']);
+  });
+
+  test('filters comments only with filterComments', async () => {
+    const kept = await scrape(scraperFor({ include: ['en'] }), 'mocksub', { count: 2 });
+    assert.deepEqual(kept[1], ['p2', 'en', ['c8:en', 'c9:fr']]);
+    const filtered = await scrape(scraperFor({ include: ['en'], filterComments: true }), 'mocksub', { count: 2 });
+    assert.deepEqual(filtered[1], ['p2', 'en', ['c8:en']]);
+    assert.equal(filtered[0][2].length, 7);
+  });
+});
@@ -0,0 +1,48 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createNdjsonWriter, toNdjsonRecord } from '../../src/lib/ndjsonWriter.js';
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-ndjson-'));
+});
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const thread = { id: 'p1', subreddit: 'stubsub', title: 'a title', raw_title: 'A Title', text: 'body', raw_text: 'Body', time: 1760000000, author: 'someone', ups: 3 };
+const comments = [
+  { id: 'c1', parent_id: 't3_p1', position: 0, author: 'other', text: 'hi', raw_text: 'Hi', time: 1760000100, ups: 1 },
+  { id: 'c2', parent_id: 't1_c1', position: 0, author: 'third', text: 'reply', raw_text: 'Reply', time: 1760000200, ups: 1 }
+];
+
+test('waits for the stream to drain before accepting the next line', async () => {
+  const filePath = path.join(dir, 'out.ndjson');
+  const writer = createNdjsonWriter(filePath, { highWaterMark: 1024 });
+  const big = { id: 'big', text: 'x'.repeat(8 * 1024) };
+  await writer.write(big);
+  // Tampon plein : la ligne est déjà sur le disque quand write() rend la main
+  assert.equal(JSON.parse((await fs.readFile(filePath, 'utf-8')).trimEnd()).id, 'big');
+  await writer.write({ id: 'small' });
+  assert.equal(await writer.close(), 2);
+  assert.deepEqual((await fs.readFile(filePath, 'utf-8')).trimEnd().split('\n').map(line => JSON.parse(line).id), ['big', 'small']);
+});
+
+test('rejects writes after a stream error', async () => {
+  const writer = createNdjsonWriter(path.join(dir, 'missing', 'out.ndjson'));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await assert.rejects(writer.write({ id: 'p1' }), /ENOENT/);
+});
+
+test('tags each line with its group and source, with a reply tree or flat rows', () => {
+  const tree = toNdjsonRecord(thread, comments, { meta: 'g', source: 'stubsub' });
+  assert.equal(tree.meta, 'g');
+  assert.equal(tree.source, 'stubsub');
+  assert.deepEqual(tree.comments.map(c => [c.id, c.replies.map(r => r.id)]), [['c1', ['c2']]]);
+  assert.equal(tree.raw_title, 'A Title');
+
+  const flat = toNdjsonRecord(thread, comments, { meta: 'g', source: 'stubsub', comments: 'flat', text: 'raw' });
+  assert.deepEqual(flat.comments.map(c => [c.id, c.text]), [['c1', 'Hi'], ['c2', 'Reply']]);
+  assert.equal(flat.title, 'A Title');
+});
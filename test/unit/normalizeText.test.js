@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNormalizer, normalizeText } from '../../src/lib/normalizeText.js';
+import { toThreadRow } from '../../src/lib/fetchAllThreads.js';
+import { toCommentRow } from '../../src/lib/fetchAllComments.js';
+import { createLanguageDetector } from '../../src/lib/language.js';
+
+const TEXT = 'Check https://example.com and u/spez in r/test! The café is GREAT👍';
+
+describe('createNormalizer', () => {
+  test('lowercases and tokenizes for the language by default', () => {
+    assert.equal(normalizeText("Don't stop. Naïve café!", 'en'), "do n't stop. naïve café !");
+    assert.equal(normalizeText("C'est l'été à Paris", 'fr'), 'c est l été à paris');
+    // Langue inconnue : tokenizer anglais
+    assert.equal(normalizeText("Don't", 'xx'), "do n't");
+    assert.equal(normalizeText('', 'en'), '');
+    assert.equal(normalizeText(undefined, 'en'), '');
+  });
+
+  test('keeps accented letters whole with every tokenizer', () => {
+    assert.equal(normalizeText('La città è più bella, perché sì', 'it'), 'la città è più bella perché sì');
+    assert.equal(normalizeText('Één café, geïnteresseerd', 'nl'), 'één café geïnteresseerd');
+    assert.equal(createNormalizer({ tokenizer: 'wordpunct' })('Résumé: naïve', 'en'), 'résumé : naïve');
+  });
+
+  test('strips URLs and Reddit mentions on demand', () => {
+    const normalize = createNormalizer({ stripUrls: true, stripMentions: true });
+    assert.equal(normalize(TEXT, 'en'), 'check and in ! the café is great👍');
+    assert.equal(normalize('see /u/spez, www.reddit.com or r/node_js', 'en'), 'see , or');
+  });
+
+  test('keeps, strips or separates emojis without splitting them', () => {
+    const text = 'great👍 job 🇫🇷 👨‍👩‍👧👍🏽ok';
+    assert.equal(createNormalizer()(text, 'en'), 'great👍 job 🇫🇷 👨‍👩‍👧👍🏽ok');
+    assert.equal(createNormalizer({ emoji: 'strip' })(text, 'en'), 'great job ok');
+    assert.equal(createNormalizer({ emoji: 'separate' })(text, 'en'), 'great 👍 job 🇫🇷 👨‍👩‍👧 👍🏽 ok');
+    // Le tokenizer français ignore les symboles : les emojis restent
+    assert.equal(createNormalizer()('trop bien 😀😀', 'fr'), 'trop bien 😀😀');
+    // Aucune demi-paire de substitution isolée
+    assert.doesNotMatch(createNormalizer({ tokenizer: 'wordpunct' })(text, 'en'), /\p{Cs}/u);
+  });
+
+  test('drops the stop words of the language', () => {
+    const normalize = createNormalizer({ stopwords: true });
+    assert.equal(normalize('The cat is on the table', 'en'), 'cat table');
+    assert.equal(normalize('Le chat est sur la table', 'fr'), 'chat table');
+  });
+
+  test('honours the fixed tokenizers, lowercase and enabled settings', () => {
+    assert.equal(createNormalizer({ tokenizer: 'whitespace', lowercase: false })(TEXT, 'en'), TEXT);
+    assert.equal(createNormalizer({ tokenizer: 'none' })('Hello   World!', 'en'), 'hello world!');
+    assert.equal(createNormalizer({ tokenizer: 'word' })("Don't stop!", 'en'), 'don t stop');
+    assert.equal(createNormalizer({ enabled: false, stopwords: true })(TEXT, 'en'), TEXT);
+    assert.equal(createNormalizer({ enabled: false })(null, 'en'), '');
+  });
+});
+
+describe('normalized rows', () => {
+  const language = createLanguageDetector();
+
+  test('normalize thread and comment texts for their language and keep the original', () => {
+    const post = { id: 'p1', title: "L'été est là", selftext: 'Il fait très chaud à Paris cette semaine, on reste à la maison.', subreddit: 'mocksub', created_utc: 1 };
+    const row = toThreadRow(post, 'g', {}, { normalize: createNormalizer({ stopwords: true }), language });
+    assert.equal(row.lang, 'fr');
+    // « été » est aussi un participe de être, donc un mot vide
+    assert.equal(row.title, 'là');
+    assert.equal(row.text, 'fait très chaud paris semaine reste maison');
+    assert.deepEqual([row.raw_title, row.raw_text], [post.title, post.selftext]);
+
+    const comment = toCommentRow({ id: 'c1', body: 'Short 👍' }, 'g', {}, { normalize: normalizeText, language });
+    // Trop court pour être détecté : normalisé dans la langue de repli
+    assert.deepEqual([comment.lang, comment.text, comment.raw_text], ['und', 'short 👍', 'Short 👍']);
+  });
+});
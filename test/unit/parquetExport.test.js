@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import parquet from '@dsnp/parquetjs';
+import { THREAD_PARQUET_SCHEMA, COMMENT_PARQUET_SCHEMA, toParquetRow, createParquetWriters } from '../../src/lib/parquetExport.js';
+import { THREAD_CSV_HEADER, COMMENT_CSV_HEADER } from '../../src/lib/export.js';
+import { csvHeaderFor } from '../../src/lib/textVariant.js';
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-parquet-'));
+});
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const comment = {
+  text: 'A reply', id: 'c1', parent_id: 't3_p1', link_id: 't3_p1', depth: '2', position: 0, subreddit: 'mocksub', meta: 'g', listing: 'new', query: '',
+  time: 1760000100.7, author: 'bob', ups: '-3', downs: 0, authorlinkkarma: '', authorcommentkarma: 12, authorisgold: 1, authorismod: 0, authorcreated: undefined,
+  lang: 'en', sentiment: '0.25'
+};
+
+test('has the CSV columns, in the same order, raw texts included', () => {
+  assert.deepEqual(Object.keys(THREAD_PARQUET_SCHEMA.fields), csvHeaderFor(THREAD_CSV_HEADER, 'both').map(c => c.id));
+  assert.deepEqual(Object.keys(COMMENT_PARQUET_SCHEMA.fields), csvHeaderFor(COMMENT_CSV_HEADER, 'both').map(c => c.id));
+  assert.deepEqual([THREAD_PARQUET_SCHEMA.fields.id.repetitionType, THREAD_PARQUET_SCHEMA.fields.text.repetitionType], ['REQUIRED', 'OPTIONAL']);
+  assert.equal(THREAD_PARQUET_SCHEMA.fields.time.primitiveType, 'INT64');
+  assert.equal(COMMENT_PARQUET_SCHEMA.fields.depth.primitiveType, 'INT32');
+});
+
+test('coerces row values to the column types, unknown values to null', () => {
+  const row = toParquetRow(COMMENT_PARQUET_SCHEMA, comment);
+  assert.deepEqual(
+    [row.depth, row.position, row.time, row.ups, row.authorlinkkarma, row.authorcommentkarma, row.authorcreated],
+    [2, 0, 1760000100, -3, null, 12, null]
+  );
+  assert.deepEqual([row.authorisgold, row.authorismod], [true, false]);
+  assert.equal(row.sentiment, 0.25);
+  assert.deepEqual([row.query, row.raw_text, row.id], [null, null, 'c1']);
+  assert.equal(toParquetRow(COMMENT_PARQUET_SCHEMA, { ...comment, ups: 'n/a', sentiment: '' }).ups, null);
+  assert.equal(toParquetRow(COMMENT_PARQUET_SCHEMA, { ...comment, authorisgold: true, sentiment: '' }).authorisgold, true);
+});
+
+test('writes files that read back with the coerced values', async () => {
+  const threadsPath = path.join(dir, 'g-threads.parquet');
+  const commentsPath = path.join(dir, 'g-comments.parquet');
+  const writers = await createParquetWriters(threadsPath, commentsPath);
+  await Promise.all([
+    writers.writeThreads([{ id: 'p1', title: 'Post', text: '', time: 1760000000, ups: 5, authorisgold: '' }]),
+    writers.writeComments([comment, { ...comment, id: 'c2', depth: 0 }])
+  ]);
+  await writers.close();
+
+  const read = async file => {
+    const reader = await parquet.ParquetReader.openFile(file);
+    const cursor = reader.getCursor();
+    const rows = [];
+    for (let row = await cursor.next(); row; row = await cursor.next()) rows.push(row);
+    await reader.close();
+    return rows;
+  };
+  const [thread] = await read(threadsPath);
+  assert.equal(thread.id, 'p1');
+  assert.equal(Number(thread.time), 1760000000);
+  assert.equal(thread.text, null);
+  const comments = await read(commentsPath);
+  assert.deepEqual(comments.map(c => [c.id, c.depth, c.authorisgold, c.sentiment]), [['c1', 2, true, 0.25], ['c2', 0, true, 0.25]]);
+});
@@ -0,0 +1,103 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { refreshThreads } from '../../src/lib/refreshThreads.js';
+import { createThreadStore } from '../../src/lib/threadStore.js';
+import { createScraper } from '../../src/lib/scraper.js';
+import { createMockRedditServer, mockFetchOptions } from '../mockRedditServer.js';
+
+// Thread p2 of the fixtures: c8 (score 2) > c9 (score -1)
+let mock;
+let dir;
+let store;
+
+before(async () => {
+  mock = createMockRedditServer({ rateLimit: false });
+  await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.requests.length = 0;
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-refresh-'));
+  store = createThreadStore(dir);
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const THREAD = { id: 'p2', subreddit: 'mocksub', meta: 'g', title: 'p2', time: 1759998000 };
+
+function row(id, raw, ups) {
+  return { id, parent_id: 't3_p2', author: 'carol', time: 1759998100, text: raw.toLowerCase(), raw_text: raw, ups, edited: false };
+}
+
+test('reports added, edited, removed and rescored comments and saves the new reference', async () => {
+  await store.save(THREAD, [row('c8', 'An older version of the comment', 5)]);
+  const previous = await store.load('p2');
+  const [result] = await refreshThreads([previous], 'mock-access-token', mockFetchOptions(mock), { store });
+  assert.deepEqual(result.added.map(c => c.id), ['c9']);
+  assert.deepEqual(result.edited.map(e => [e.id, e.before]), [['c8', 'An older version of the comment']]);
+  assert.deepEqual(result.rescored.map(r => [r.id, r.delta]), [['c8', -3]]);
+  assert.deepEqual(result.removed, []);
+  assert.equal(result.previousFetch, previous.fetchedAt);
+  assert.deepEqual(Object.keys((await store.load('p2')).comments).sort(), ['c8', 'c9']);
+});
+
+test('reports a comment that became [removed]', async () => {
+  await store.save(THREAD, [row('c8', 'Testing is boring but useful, especially for scrapers.', 2)]);
+  mock.inject({
+    match: '/r/mocksub/comments/p2',
+    status: 200,
+    body: [{}, { data: { children: [{ kind: 't1', data: { id: 'c8', parent_id: 't3_p2', author: '[deleted]', body: '[removed]', ups: 2 } }] } }]
+  });
+  const [result] = await refreshThreads([await store.load('p2')], 'mock-access-token', mockFetchOptions(mock), { store });
+  assert.deepEqual(result.removed.map(r => [r.id, r.status, r.author]), [['c8', 'removed', 'carol']]);
+});
+
+test('keeps the snapshot and reports the error when the thread cannot be fetched', async () => {
+  await store.save(THREAD, [row('c8', 'Testing is boring but useful, especially for scrapers.', 2)]);
+  const snapshot = await store.load('p2');
+  mock.inject({ match: '/r/mocksub/comments/p2', status: 500 });
+  const seen = [];
+  const [result] = await refreshThreads([snapshot], 'mock-access-token', mockFetchOptions(mock), { store, onThread: r => seen.push(r) });
+  assert.match(result.error, /Failed to fetch comments for thread: p2/);
+  assert.equal(result.added, undefined);
+  assert.equal(seen.length, 1);
+  assert.deepEqual(await store.load('p2'), snapshot);
+});
+
+test('needs a thread store, and fetchThread leaves a snapshot for a later refresh', async () => {
+  const withoutStore = createScraper({ throttle: { minDelayMs: 0, highDelayMs: 0 }, apiBaseUrl: mock.url, tokenProvider: 'mock-access-token' });
+  await assert.rejects(withoutStore.refreshThreads([]), /needs a thread store/);
+
+  const scraper = createScraper({ throttle: { minDelayMs: 0, highDelayMs: 0 }, apiBaseUrl: mock.url, tokenProvider: 'mock-access-token', threadStore: store });
+  await scraper.fetchThread('p2', { meta: 'g' });
+  const snapshot = await store.load('p2');
+  assert.deepEqual(Object.keys(snapshot.comments).sort(), ['c8', 'c9']);
+  const [result] = await scraper.refreshThreads([snapshot]);
+  assert.deepEqual([result.added, result.edited, result.removed, result.rescored], [[], [], [], []]);
+});
+
+test('lists a thread for every group that collected it', async () => {
+  await store.save(THREAD, [row('c8', 'Testing is boring but useful, especially for scrapers.', 2)]);
+  await store.save({ ...THREAD, meta: 'other' }, [row('c9', 'A reply', 1)]);
+  assert.deepEqual((await store.load('p2')).metas, ['g', 'other']);
+  assert.deepEqual((await store.list('g')).map(s => [s.id, s.meta]), [['p2', 'g']]);
+  assert.deepEqual((await store.list('other')).map(s => [s.id, s.meta]), [['p2', 'other']]);
+  assert.deepEqual(await store.list('unknown'), []);
+
+  // Le refresh d'un groupe ne retire pas le thread de l'autre
+  await refreshThreads(await store.list('other'), 'mock-access-token', mockFetchOptions(mock), { store });
+  assert.deepEqual((await store.load('p2')).metas, ['g', 'other']);
+  assert.equal((await store.list('g')).length, 1);
+});
+
+test('still lists the snapshots saved with a single group', async () => {
+  await fs.writeFile(path.join(dir, 'p2.json'), JSON.stringify({ id: 'p2', subreddit: 'mocksub', meta: 'g', title: 'p2', created_utc: 1759998000, fetchedAt: 1, comments: {} }));
+  assert.deepEqual((await store.list('g')).map(s => s.id), ['p2']);
+  await store.save({ ...THREAD, meta: 'other' }, []);
+  assert.deepEqual((await store.load('p2')).metas, ['g', 'other']);
+});
@@ -0,0 +1,147 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createScraper, openJournal } from '../../src/index.js';
+import { createMockRedditServer } from '../mockRedditServer.js';
+
+let mock;
+let dir;
+
+before(async () => {
+  mock = createMockRedditServer({ rateLimit: false });
+  await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.requests.length = 0;
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-scraper-'));
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+function scraperFor(options = {}) {
+  return createScraper({
+    throttle: { minDelayMs: 0, highDelayMs: 0 },
+    apiBaseUrl: mock.url,
+    tokenProvider: 'mock-access-token',
+    ...options
+  });
+}
+
+async function collect(iterable) {
+  const events = [];
+  for await (const event of iterable) events.push(event);
+  return events;
+}
+
+test('yields the job, its threads, then each thread with its comments in listing order', async () => {
+  const events = await collect(scraperFor({ maxParallelThreads: 3 }).scrapeSubreddit('mocksub', { meta: 'g', count: 3 }));
+  assert.deepEqual(events.map(e => e.type), ['job', 'threads', 'thread', 'thread', 'thread', 'jobDone']);
+  assert.deepEqual(events[1].threads.map(t => t.id), ['p1', 'p2', 'p3']);
+  const threads = events.filter(e => e.type === 'thread');
+  assert.deepEqual(threads.map(e => [e.index, e.thread.id]), [[0, 'p1'], [1, 'p2'], [2, 'p3']]);
+  assert.deepEqual(threads[0].comments.map(c => c.id), ['c1', 'c2', 'c3', 'c4', 'c5', 'c6', 'c7']);
+  assert.ok(threads[0].comments.every(c => c.meta === 'g' && c.listing === 'new'));
+  assert.equal(events.at(-1).complete, true);
+  assert.deepEqual(events[0].source, { key: 'mocksub', subreddit: 'mocksub' });
+});
+
+test('reports warnings and rate limits as events instead of printing them', async t => {
+  const printed = [];
+  t.mock.method(console, 'log', (...args) => printed.push(args.join(' ')));
+  t.mock.method(process.stdout, 'write', chunk => { printed.push(String(chunk)); return true; });
+  mock.inject({ match: '/r/mocksub/new', status: 429 });
+  const warnings = [];
+  const rateLimits = [];
+  const scraper = scraperFor({ maxMoreRequestsPerThread: 0 })
+    .on('warning', message => warnings.push(message))
+    .on('rateLimited', info => rateLimits.push(info));
+  const threadEvents = [];
+  scraper.on('thread', event => threadEvents.push(event.thread.id));
+  await collect(scraper.scrapeSubreddit('mocksub', { count: 1 }));
+  t.mock.restoreAll();
+  assert.deepEqual(printed, []);
+  assert.deepEqual(threadEvents, ['p1']);
+  assert.equal(rateLimits.length, 1);
+  assert.equal(rateLimits[0].attempt, 1);
+  assert.match(warnings[0], /more comments left unexpanded/);
+});
+
+test('reports a failing listing as a jobError and goes on with the next job', async () => {
+  const events = await collect(scraperFor().scrapeGroup('g', { subreddits: { unknownsub: 2, othersub: 1 } }));
+  assert.deepEqual(events.map(e => e.type), ['job', 'jobError', 'job', 'threads', 'thread', 'jobDone']);
+  assert.match(events[1].error.message, /Failed to fetch listing for r\/unknownsub/);
+});
+
+test('replays a journal instead of fetching again', async () => {
+  const journalPath = path.join(dir, 'g.jsonl');
+  const first = await collect(scraperFor().scrapeGroup('g', { subreddits: { mocksub: 2 } }, { journal: await openJournal(journalPath) }));
+  mock.requests.length = 0;
+  const replay = await collect(scraperFor().scrapeGroup('g', { subreddits: { mocksub: 2 } }, { journal: await openJournal(journalPath, { resume: true }) }));
+  assert.deepEqual(mock.requests, []);
+  const comments = events => events.filter(e => e.type === 'thread').map(e => e.comments.map(c => c.id));
+  assert.deepEqual(comments(replay), comments(first));
+});
+
+test('leaves a thread whose comments failed out of the journal, so a resume fetches it again', async () => {
+  const journalPath = path.join(dir, 'g.jsonl');
+  mock.inject({ match: '/r/mocksub/comments/p2', status: 500 });
+  const first = await collect(scraperFor().scrapeGroup('g', { subreddits: { mocksub: 2 } }, { journal: await openJournal(journalPath) }));
+  const failed = first.find(e => e.type === 'thread' && e.thread.id === 'p2');
+  assert.match(failed.error.message, /Failed to fetch comments for thread: p2/);
+  assert.deepEqual(failed.comments, []);
+  assert.equal(first.at(-1).complete, false);
+
+  mock.requests.length = 0;
+  const replay = await collect(scraperFor().scrapeGroup('g', { subreddits: { mocksub: 2 } }, { journal: await openJournal(journalPath, { resume: true }) }));
+  assert.deepEqual(mock.requests.map(r => r.path), ['/r/mocksub/comments/p2']);
+  assert.deepEqual(replay.find(e => e.type === 'thread' && e.thread.id === 'p2').comments.map(c => c.id), ['c8', 'c9']);
+});
+
+test('fetches the comments of a thread listed by several jobs of a group once', async () => {
+  const group = { subreddits: { mocksub: 2 }, searches: [{ query: 'first thread', subreddit: 'mocksub' }] };
+  const events = await collect(scraperFor().scrapeGroup('g', group));
+  const threads = events.filter(e => e.type === 'thread' && e.thread.id === 'p1');
+  assert.equal(threads.length, 2);
+  assert.deepEqual(mock.requests.filter(r => r.path === '/r/mocksub/comments/p1').length, 1);
+  assert.equal(mock.requests.filter(r => r.path === '/api/morechildren').length, 1);
+  // Chaque job garde ses propres lignes : listing et requête du job
+  const [listed, searched] = threads.map(e => e.comments);
+  assert.deepEqual(searched.map(c => c.id), listed.map(c => c.id));
+  assert.deepEqual([listed[0].listing, listed[0].query], ['new', '']);
+  assert.deepEqual([searched[0].listing, searched[0].query], ['search:relevance', 'first thread']);
+});
+
+test('fetches a comment tree again in the next job after a failure', async () => {
+  mock.inject({ match: '/r/mocksub/comments/p1', status: 500 });
+  const group = { subreddits: { mocksub: 1 }, searches: [{ query: 'first thread', subreddit: 'mocksub' }] };
+  const threads = (await collect(scraperFor().scrapeGroup('g', group))).filter(e => e.type === 'thread');
+  assert.deepEqual(threads.map(e => [Boolean(e.error), e.comments.length]), [[true, 0], [false, 7]]);
+  assert.equal(mock.requests.filter(r => r.path === '/r/mocksub/comments/p1').length, 2);
+});
+
+test('stops fetching comments when the consumer stops early', async () => {
+  for await (const event of scraperFor({ maxParallelThreads: 1 }).scrapeSubreddit('mocksub', { meta: 'g', count: 5 })) {
+    if (event.type === 'thread') break;
+  }
+  // Le thread déjà en cours (p2) se termine, les suivants ne partent pas
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const threads = new Set(mock.requests.map(r => r.path.match(/^\/r\/mocksub\/comments\/(p\d)/)).filter(Boolean).map(m => m[1]));
+  assert.deepEqual([...threads], ['p1', 'p2']);
+});
+
+test('fetches a single thread with its comments', async () => {
+  const { thread, comments } = await scraperFor().fetchThread('t3_p2', { meta: 'g' });
+  assert.equal(thread.id, 'p2');
+  assert.equal(thread.subreddit, 'mocksub');
+  assert.deepEqual(comments.map(c => [c.id, c.listing]), [['c8', 'thread'], ['c9', 'thread']]);
+});
+
+test('rejects invalid options and missing credentials', () => {
+  assert.throws(() => createScraper({ tokenProvider: 'x', maxParallelThreads: 0 }), /options.maxParallelThreads/);
+  assert.throws(() => createScraper({}), /credentials or a tokenProvider/);
+});
@@ -0,0 +1,54 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSentimentScorer, createSentimentSummary, extremeThreads } from '../../src/lib/sentiment.js';
+
+describe('createSentimentScorer', () => {
+  const score = createSentimentScorer();
+
+  test('scores each language with its own lexicon, in [-1, 1]', () => {
+    assert.ok(score('This is a wonderful day', 'en') > 0);
+    assert.ok(score('Quel film horrible', 'fr') < 0);
+    for (const value of [score('great great great', 'en'), score('awful', 'en')]) assert.ok(value >= -1 && value <= 1);
+  });
+
+  test('scores Italian words the lexicon only lists in another inflection', () => {
+    assert.ok(score('questo è bellissimo', 'it') > 0);
+    assert.equal(score('questo è bello', 'it'), 0.335);
+  });
+
+  test('leaves empty text and languages without a lexicon unscored', () => {
+    assert.equal(score('', 'en'), '');
+    assert.equal(score('Das ist wunderbar', 'de'), '');
+    assert.ok(score('wonderful', 'und') > 0);
+  });
+});
+
+describe('createSentimentSummary', () => {
+  test('averages per subreddit and per thread, counting a repeated thread once', () => {
+    const summary = createSentimentSummary();
+    const comments = [{ sentiment: 0.5 }, { sentiment: -0.1 }, { sentiment: '' }];
+    summary.add({ id: 'p1', subreddit: 'mocksub', title: 'One', sentiment: 0.2 }, comments);
+    summary.add({ id: 'p1', subreddit: 'mocksub', title: 'One', sentiment: 0.2 }, comments);
+    summary.add({ id: 'p2', subreddit: 'mocksub', title: 'Two', sentiment: '' }, []);
+    const { subreddits, threads } = summary.summarize();
+    assert.deepEqual(subreddits, [{ subreddit: 'mocksub', threads: 1, threadSentiment: 0.2, comments: 2, commentSentiment: 0.2 }]);
+    assert.deepEqual(threads.map(t => [t.id, t.comments, t.commentSentiment]), [['p1', 2, 0.2], ['p2', 0, null]]);
+  });
+});
+
+describe('extremeThreads', () => {
+  const thread = (id, commentSentiment) => ({ id, commentSentiment });
+
+  test('never lists a neutral or negative thread as positive on a small group', () => {
+    const { positive, negative } = extremeThreads([thread('a', -0.4), thread('b', 0), thread('c', -0.1), thread('d', null)]);
+    assert.deepEqual(positive, []);
+    assert.deepEqual(negative.map(t => t.id), ['a', 'c']);
+  });
+
+  test('keeps the most extreme threads of each sign, most extreme first', () => {
+    const threads = [0.1, 0.5, 0.3, 0.2, -0.2, -0.6, -0.1, -0.3].map((s, i) => thread(`t${i}`, s));
+    const { positive, negative } = extremeThreads(threads);
+    assert.deepEqual(positive.map(t => t.commentSentiment), [0.5, 0.3, 0.2]);
+    assert.deepEqual(negative.map(t => t.commentSentiment), [-0.6, -0.3, -0.2]);
+  });
+});
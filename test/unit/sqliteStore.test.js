@@ -0,0 +1,75 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { openDatabase, saveThreads, saveComments, listGroups, loadGroup } from '../../src/lib/sqliteStore.js';
+
+let dir;
+let db;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-red-sqlite-'));
+  db = openDatabase(path.join(dir, 'omega-red.sqlite'));
+});
+afterEach(async () => {
+  db.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function thread(id, fields = {}) {
+  return { id, subreddit: 'mocksub', meta: 'g', listing: 'new', title: `Post ${id}`, text: 'Body', raw_title: `Post ${id}`, raw_text: 'Body', lang: 'en', sentiment: 0.1, url: '', time: 1760000000, author: 'alice', ups: 1, downs: 0, authorlinkkarma: 10, authorcommentkarma: '', authorisgold: '', authorismod: '', authorcreated: '', ...fields };
+}
+
+function comment(id, threadId, author, fields = {}) {
+  return { id, parent_id: `t3_${threadId}`, link_id: `t3_${threadId}`, depth: 0, position: 0, subreddit: 'mocksub', text: 'A reply', raw_text: 'A reply', lang: 'en', sentiment: '', time: 1760000100, author, ups: 1, downs: 0, ...fields };
+}
+
+test('upserts rows: first_seen is kept, known values survive partial rows', () => {
+  saveThreads(db, [thread('p1')], { meta: 'g', source: 'mocksub', subreddit: 'mocksub' });
+  db.prepare('UPDATE threads SET first_seen = 1, last_seen = 1').run();
+  // Thread minimal reconstruit depuis un commentaire d'historique utilisateur
+  saveThreads(db, [thread('p1', { title: '', text: '', ups: 42, authorlinkkarma: '' })], { meta: 'g', source: 'mocksub', subreddit: 'mocksub' });
+  const row = db.prepare('SELECT * FROM threads WHERE id = ?').get('p1');
+  assert.equal(row.first_seen, 1);
+  assert.ok(row.last_seen > 1);
+  assert.deepEqual([row.title, row.selftext, row.ups], ['Post p1', 'Body', 42]);
+  assert.equal(db.prepare('SELECT link_karma FROM authors WHERE username = ?').get('alice').link_karma, 10);
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM thread_sources').get().n, 1);
+
+  saveComments(db, [comment('c1', 'p1', 'bob')]);
+  saveComments(db, [comment('c1', 'p1', 'bob', { text: 'Edited', ups: 5, edited: true })]);
+  const stored = db.prepare('SELECT * FROM comments').all();
+  assert.deepEqual(stored.map(c => [c.id, c.thread_id, c.body, c.raw_body, c.ups, c.edited]), [['c1', 'p1', 'Edited', 'A reply', 5, 1]]);
+});
+
+test('reloads a group in the shape of the fetchers, one entry per source', () => {
+  saveThreads(db, [thread('p1'), thread('p2', { time: 1760000500 })], { meta: 'g', source: 'mocksub', subreddit: 'mocksub' });
+  saveThreads(db, [thread('p1', { listing: 'search' })], { meta: 'g', source: 'search:p1:all', query: 'p1' });
+  saveThreads(db, [thread('p9')], { meta: 'other', source: 'mocksub', subreddit: 'mocksub' });
+  saveComments(db, [comment('c1', 'p1', 'bob'), comment('c2', 'p1', 'carol', { parent_id: 't1_c1', depth: 1 })]);
+
+  assert.deepEqual(listGroups(db), ['g', 'other']);
+  const { sources } = loadGroup(db, 'g');
+  assert.deepEqual([...sources.keys()], ['mocksub', 'search:p1:all']);
+  const listing = sources.get('mocksub');
+  assert.deepEqual(listing.threads.map(t => t.id), ['p2', 'p1']);
+  assert.equal(listing.threads[1].authorlinkkarma, 10);
+  assert.equal(listing.threads[1].authorisgold, '');
+  assert.deepEqual(listing.comments.get('p1').map(c => [c.id, c.parent_id, c.link_id, c.meta, c.listing]), [['c1', 't3_p1', 't3_p1', 'g', 'new'], ['c2', 't1_c1', 't3_p1', 'g', 'new']]);
+  assert.deepEqual(listing.comments.get('p2'), []);
+  assert.equal(sources.get('search:p1:all').query, 'p1');
+});
+
+test('keeps only the user comments on the threads a user job commented on', () => {
+  saveThreads(db, [thread('p1'), thread('p2')], { meta: 'g', source: 'mocksub', subreddit: 'mocksub' });
+  saveThreads(db, [thread('p1', { listing: 'user:comments' }), thread('p3', { listing: 'user:submitted', author: 'Carol' })], { meta: 'g', source: 'user:carol', username: 'carol' });
+  saveComments(db, [comment('c1', 'p1', 'bob'), comment('c2', 'p1', 'Carol'), comment('c3', 'p3', 'bob'), comment('c4', 'p3', 'Carol')]);
+
+  const { sources } = loadGroup(db, 'g');
+  assert.deepEqual(sources.get('mocksub').comments.get('p1').map(c => c.id), ['c1', 'c2']);
+  const user = sources.get('user:carol');
+  assert.equal(user.username, 'carol');
+  assert.deepEqual(user.comments.get('p1').map(c => c.id), ['c2']);
+  // Thread soumis par l'utilisateur : tous ses commentaires, comme au scraping
+  assert.deepEqual(user.comments.get('p3').map(c => c.id), ['c3', 'c4']);
+});
@@ -0,0 +1,91 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { requestRedditToken, createTokenProvider, missingCredentials, normalizeGrantType, INSTALLED_CLIENT_GRANT } from '../../src/lib/tokenProvider.js';
+import { createMockRedditServer } from '../mockRedditServer.js';
+
+let mock;
+
+before(async () => {
+  mock = createMockRedditServer({ rateLimit: false });
+  await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  mock.requests.length = 0;
+});
+
+const credentials = grantType => ({
+  grantType,
+  clientId: 'mock-client',
+  clientSecret: 'mock-secret',
+  userAgent: 'omega-red-test/1.0',
+  username: 'mock-user',
+  password: 'mock-password',
+  authBaseUrl: mock.url
+});
+
+// Form and Basic credentials of the last token request
+function lastTokenRequest() {
+  const request = mock.requests.at(-1);
+  assert.equal(request.method, 'POST');
+  assert.equal(request.path, '/api/v1/access_token');
+  return {
+    form: Object.fromEntries(new URLSearchParams(request.body)),
+    basic: Buffer.from(request.authorization.replace(/^Basic /, ''), 'base64').toString()
+  };
+}
+
+test('sends the account credentials with the password grant', async () => {
+  const data = await requestRedditToken(credentials('password'));
+  assert.equal(data.access_token, 'mock-access-token');
+  assert.deepEqual(lastTokenRequest(), {
+    form: { grant_type: 'password', username: 'mock-user', password: 'mock-password', scope: 'read' },
+    basic: 'mock-client:mock-secret'
+  });
+});
+
+test('sends no account with the application-only grant', async () => {
+  await requestRedditToken(credentials('client_credentials'));
+  assert.deepEqual(lastTokenRequest(), {
+    form: { grant_type: 'client_credentials', scope: 'read' },
+    basic: 'mock-client:mock-secret'
+  });
+});
+
+test('sends a device id and no secret with the installed client grant', async () => {
+  await requestRedditToken({ ...credentials('installed_client'), clientSecret: undefined, deviceId: 'device-0123456789abcdef' });
+  assert.deepEqual(lastTokenRequest(), {
+    form: { grant_type: INSTALLED_CLIENT_GRANT, device_id: 'device-0123456789abcdef', scope: 'read' },
+    basic: 'mock-client:'
+  });
+  // Sans device id, Reddit demande la valeur « anonyme » documentée
+  await requestRedditToken({ ...credentials(INSTALLED_CLIENT_GRANT), clientSecret: undefined });
+  assert.equal(lastTokenRequest().form.device_id, 'DO_NOT_TRACK_THIS_DEVICE');
+});
+
+test('rejects an unknown grant before any request', async () => {
+  await assert.rejects(requestRedditToken(credentials('implicit')), /Unsupported grant type 'implicit' \(expected one of password, client_credentials, installed_client\)/);
+  assert.equal(mock.requests.length, 0);
+});
+
+test('lists the variables each grant still needs', () => {
+  const env = { REDDIT_CLIENT_ID: 'id', REDDIT_USER_AGENT: 'ua' };
+  assert.deepEqual(missingCredentials('password', env), ['REDDIT_CLIENT_SECRET', 'REDDIT_USERNAME', 'REDDIT_PASSWORD']);
+  assert.deepEqual(missingCredentials(undefined, env), ['REDDIT_CLIENT_SECRET', 'REDDIT_USERNAME', 'REDDIT_PASSWORD']);
+  assert.deepEqual(missingCredentials('client_credentials', env), ['REDDIT_CLIENT_SECRET']);
+  assert.deepEqual(missingCredentials('installed_client', env), []);
+  assert.deepEqual(missingCredentials(INSTALLED_CLIENT_GRANT, {}), ['REDDIT_CLIENT_ID', 'REDDIT_USER_AGENT']);
+  assert.equal(normalizeGrantType(INSTALLED_CLIENT_GRANT), 'installed_client');
+});
+
+test('shares one token request between concurrent callers', async () => {
+  const provider = createTokenProvider(credentials('client_credentials'));
+  const tokens = await Promise.all([provider.getToken(), provider.getToken()]);
+  assert.deepEqual(tokens, ['mock-access-token', 'mock-access-token']);
+  assert.equal(mock.requests.length, 1);
+  provider.invalidate('mock-access-token');
+  await provider.getToken();
+  assert.equal(mock.requests.length, 2);
+});
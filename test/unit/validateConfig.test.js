@@ -0,0 +1,139 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig, checkSubreddit, preflightSubreddits } from '../../src/lib/validateConfig.js';
+import { createMockRedditServer, mockFetchOptions } from '../mockRedditServer.js';
+
+// Problems of a config as "path: message" lines
+const problems = config => validateConfig(config).map(({ path, message }) => `${path}: ${message}`);
+
+describe('validateConfig', () => {
+  test('accepts the three kinds of groups', () => {
+    assert.deepEqual(problems({
+      subreddits: { saas: { SaaS: 50, startups: { count: 10, sort: 'top', t: 'week' } }, mix: { sort: 'hot', subreddits: { vibecoding: 5 } } },
+      searches: { ai: [{ query: 'vibe coding', subreddit: 'SaaS', sort: 'new' }] },
+      users: { people: ['spez', { username: 'u/kn0thing', count: 20, comments: false }] },
+      options: { exportFormats: ['csv', 'json'], throttle: { minDelayMs: 100, highDelayMs: 2000 } }
+    }), []);
+  });
+
+  test('requires an object with at least one kind of group', () => {
+    assert.deepEqual(problems([]), ['config: must be a JSON object']);
+    assert.deepEqual(problems({ options: {} }), ['subreddits: is required (or searches / users)']);
+  });
+
+  test('points to the options of the wrong type', () => {
+    assert.deepEqual(problems({
+      subreddits: { g: { saas: 1 } },
+      options: {
+        maxParallelThreads: 0,
+        autosaveIntervalSec: 'soon',
+        sentiment: 'yes',
+        exportFormats: ['csv', 'xml'],
+        apiBaseUrl: 'localhost:8080',
+        normalization: { tokenizer: 'spaces' },
+        throttle: { minDelayMs: 500, highDelayMs: 100 }
+      }
+    }), [
+      'options.exportFormats[1]: must be one of csv, json, md, html, ndjson, parquet, sqlite (got "xml")',
+      'options.maxParallelThreads: must be an integer >= 1 (got 0)',
+      'options.autosaveIntervalSec: must be a number > 0 (got "soon")',
+      'options.sentiment: must be true or false (got "yes")',
+      'options.apiBaseUrl: must be an http(s) URL such as "http://localhost:8080" (got "localhost:8080")',
+      'options.normalization.tokenizer: must be one of auto, treebank, word, wordpunct, whitespace, none (got "spaces")',
+      'options.throttle.highDelayMs: must be >= options.throttle.minDelayMs (500)'
+    ]);
+  });
+
+  test('accepts the formats of the third-party exporters', () => {
+    const options = { exporters: { xml: './xml.js', CSV: './csv.js' }, exportFormats: ['xml'] };
+    assert.deepEqual(problems({ subreddits: { g: { saas: 1 } }, options }), [
+      'options.exporters.CSV: must be a lowercase name (letters, digits, _ or -) other than csv, json, md, html, ndjson, parquet, sqlite'
+    ]);
+  });
+
+  test('points to unknown sorts, time windows and languages', () => {
+    assert.deepEqual(problems({
+      subreddits: { g: { sort: 'best', t: 'decade', subreddits: { saas: { count: 5, sort: 'newest' } } } },
+      searches: { s: [{ query: 'ai', sort: 'best' }] },
+      users: { u: [{ username: 'spez', languages: ['klingon'] }] }
+    }), [
+      'subreddits.g.sort: must be one of new, hot, top, controversial, rising (got "best")',
+      'subreddits.g.t: must be one of hour, day, week, month, year, all (got "decade")',
+      'subreddits.g.subreddits.saas.sort: must be one of new, hot, top, controversial, rising (got "newest")',
+      'searches.s[0].sort: must be one of relevance, hot, top, new, comments (got "best")',
+      'users.u[0].languages[0]: must be one of en, fr, es, it, pt, nl (got "klingon")'
+    ]);
+  });
+
+  test('points to missing subreddits, counts, queries and usernames', () => {
+    assert.deepEqual(problems({
+      subreddits: { empty: {}, bad: { 'r/saas': 10, saas: { sort: 'new' }, startups: -1 } },
+      searches: { s: [{ subreddit: 'SaaS' }, 'ai'] },
+      users: { u: ['x', { count: 5 }] }
+    }), [
+      'subreddits.empty: must list at least one subreddit',
+      'subreddits.bad.r/saas: is not a valid subreddit name',
+      'subreddits.bad.saas.count: is required',
+      'subreddits.bad.startups: must be a positive integer thread count or { count, sort, t } (got -1)',
+      'searches.s[0].query: must be a non-empty string',
+      'searches.s[1]: must be an object with a "query"',
+      'users.u[0]: is not a valid username (got "x")',
+      'users.u[1].username: is not a valid username (got undefined)'
+    ]);
+  });
+});
+
+describe('subreddit preflight', () => {
+  let mock;
+
+  before(async () => {
+    // mocksub / othersub viennent des fixtures, les autres sont scriptés ici
+    mock = createMockRedditServer({
+      rateLimit: false,
+      handler: request => {
+        const about = {
+          '/r/secret/about': { status: 403, body: { reason: 'private', message: 'Forbidden', error: 403 } },
+          '/r/gated/about': { status: 403, body: { reason: 'quarantined', message: 'Forbidden', error: 403 } },
+          '/r/members/about': { body: { kind: 't5', data: { display_name: 'members', subreddit_type: 'private', quarantine: false } } },
+          '/r/flagged/about': { body: { kind: 't5', data: { display_name: 'flagged', subreddit_type: 'public', quarantine: true } } },
+          '/r/typo/about': { status: 302, headers: { Location: '/subreddits/search?q=typo' } },
+          '/r/listing/about': { body: { kind: 'Listing', data: { children: [] } } },
+          '/r/broken/about': { status: 500 }
+        };
+        return about[request.path];
+      }
+    });
+    await mock.listen();
+  });
+
+  after(() => mock.close());
+
+  const check = subreddit => checkSubreddit(subreddit, 'mock-access-token', mockFetchOptions(mock));
+
+  test('reports public subreddits as ok', async () => {
+    assert.deepEqual(await check('mocksub'), { subreddit: 'mocksub', status: 'ok' });
+  });
+
+  test('tells private, quarantined and banned subreddits apart', async () => {
+    assert.deepEqual(await check('secret'), { subreddit: 'secret', status: 'private', detail: 'private' });
+    assert.deepEqual(await check('members'), { subreddit: 'members', status: 'private' });
+    assert.deepEqual(await check('gated'), { subreddit: 'gated', status: 'quarantined', detail: 'quarantined' });
+    assert.deepEqual(await check('flagged'), { subreddit: 'flagged', status: 'quarantined' });
+    // Le mock répond 404 { reason: 'banned' } pour les subreddits absents des fixtures
+    assert.deepEqual(await check('unknownsub'), { subreddit: 'unknownsub', status: 'banned', detail: 'banned' });
+  });
+
+  test('reports redirects and non-subreddit answers as not found, other failures as errors', async () => {
+    assert.deepEqual(await check('typo'), { subreddit: 'typo', status: 'not_found' });
+    assert.deepEqual(await check('listing'), { subreddit: 'listing', status: 'not_found' });
+    assert.deepEqual(await check('broken'), { subreddit: 'broken', status: 'error', detail: 'HTTP 500' });
+  });
+
+  test('checks each subreddit once, whatever its case', async () => {
+    mock.requests.length = 0;
+    const results = await preflightSubreddits(['mocksub', 'MockSub', 'secret'], 'mock-access-token', mockFetchOptions(mock));
+    assert.deepEqual([...results.keys()], ['mocksub', 'secret']);
+    assert.deepEqual([...results.values()].map(r => r.status), ['ok', 'private']);
+    assert.deepEqual(mock.requests.map(r => r.path), ['/r/mocksub/about', '/r/secret/about']);
+  });
+});